@@ -0,0 +1,802 @@
+/**
+ * Broadcom Security Advisory client (shared)
+ *
+ * Add this file to BOTH Apps Script projects:
+ *   - the Sheet exporter (google-app-function.js)
+ *   - the Doc fetcher    (google_doc_cves.js)
+ * The Node CLI (cli/advisories.js) runs it unchanged outside Apps Script.
+ *
+ * It owns everything about talking to getSecurityAdvisoryList:
+ * - Request headers + payload shape
+ * - Pagination (pageInfo.nextPage, short page, totalCount, MAX_PAGES)
+ * - Retries with exponential backoff on 429 / 5xx / transport errors
+ * - An overall time budget per fetch run (UrlFetchApp has no per-call timeout)
+ * - The RunLog tab row both projects append after every run
+ * - The Watchlist tab both projects read to tag advisories
+ * - Tolerant field mapping → one normalized advisory object:
+ *
+ *   {
+ *     id,            // String notificationId (or first matching id key)
+ *     fullId,        // prefixed code, e.g. "VTDSA-2025-36622", from the payload
+ *                    // or the notificationUrl; id when there is none
+ *     title,         // full title, "Product Release Advisory - " removed
+ *     severity,      // "Critical" / "High" / ...
+ *     url,           // notificationUrl
+ *     published,     // Date (UTC) or null
+ *     publishedDay,  // "yyyy-MM-dd" (UTC calendar day) or ""
+ *     updated,       // Date (UTC) or null
+ *     cves,          // ["CVE-2025-1234", ...] found in the list payload
+ *     cvss,          // highest CVSS base score in the payload, or null
+ *     products,      // affected products as "a, b" ("" when absent)
+ *     affectedVersions, // affected versions / ranges as given, "a, b" ("" when absent)
+ *     fixedVersions, // fixed versions as given, "a, b" ("" when absent)
+ *     status,        // advisory status, e.g. "OPEN" ("" when absent)
+ *     segment,       // segment it was fetched from ("VT", "VC", ...)
+ *     raw            // untouched API item
+ *   }
+ *
+ * Window filtering compares "yyyy-MM-dd" day strings, so callers in any
+ * script time zone get the same calendar-day semantics.
+ */
+
+const BROADCOM_CLIENT_CONFIG = {
+  ENDPOINT_URL:
+    "https://support.broadcom.com/web/ecx/security-advisory/-/securityadvisory/getSecurityAdvisoryList",
+  ORIGIN: "https://support.broadcom.com",
+
+  DEFAULT_SEGMENT: "VT",
+  PAGE_SIZE: 200,
+  MAX_PAGES: 50,
+
+  MAX_RETRIES: 4,          // retries after the first attempt
+  BACKOFF_BASE_MS: 1000,   // 1s, 2s, 4s, 8s ... (+ jitter)
+  BACKOFF_MAX_MS: 30000,
+  TIMEOUT_MS: 120000,      // whole fetch run, all pages + retries
+  PAGE_DELAY_MS: 200,
+};
+
+// Segments the advisory portal knows about (value = label for menus/sidebars)
+const BROADCOM_SEGMENTS = {
+  VT: "Tanzu",
+  VC: "VMware Cloud / VMSA",
+  ANS: "App Net & Security",
+  TNZ: "TNZ",
+};
+
+/* ================= FETCH (all pages) ================= */
+
+/**
+ * Fetch advisories for one segment, following pages until the window is
+ * exhausted. Returns normalized advisories plus paging stats.
+ *
+ * options:
+ *   segment    "VT" | "VC" | "ANS" | "TNZ" ...
+ *   fromDay    "yyyy-MM-dd" inclusive (optional)
+ *   toDay      "yyyy-MM-dd" inclusive (optional)
+ *   searchVal  free-text search passed to the API (optional)
+ *   serverDates  also send fromDay / toDay as the API's fromDate / toDate
+ *              (default false: the window is applied to "published" here,
+ *              as the API may match its dates against "updated")
+ *   pageSize   default BROADCOM_CLIENT_CONFIG.PAGE_SIZE
+ *   maxPages   default BROADCOM_CLIENT_CONFIG.MAX_PAGES
+ *   earlyStop  stop once a page is entirely older than fromDay (default true)
+ *   timeoutMs  default BROADCOM_CLIENT_CONFIG.TIMEOUT_MS
+ */
+function broadcomFetchAdvisories_(options) {
+  options = options || {};
+  const segment = options.segment || BROADCOM_CLIENT_CONFIG.DEFAULT_SEGMENT;
+  const pageSize = Number(options.pageSize) || BROADCOM_CLIENT_CONFIG.PAGE_SIZE;
+  const maxPages = Number(options.maxPages) || BROADCOM_CLIENT_CONFIG.MAX_PAGES;
+  const earlyStop = options.earlyStop !== false;
+  const fromDay = options.fromDay || "";
+  const toDay = options.toDay || "";
+  const deadline = Date.now() + (Number(options.timeoutMs) || BROADCOM_CLIENT_CONFIG.TIMEOUT_MS);
+
+  const advisories = [];
+  const seen = new Set();
+  let page = 0;
+  let pages = 0;
+  let fetched = 0;
+  let stoppedEarly = false;
+
+  for (let i = 0; i < maxPages; i++) {
+    if (i > 0) Utilities.sleep(BROADCOM_CLIENT_CONFIG.PAGE_DELAY_MS);
+
+    const payload = broadcomBuildPayload_(Object.assign(
+      { segment, pageSize, searchVal: options.searchVal },
+      options.serverDates ? { fromDay, toDay } : {}
+    ), page);
+    const json = broadcomPostPage_(payload, deadline);
+    pages++;
+
+    const list = Array.isArray(json?.data?.list) ? json.data.list : [];
+    fetched += list.length;
+    Logger.log(`Broadcom ${segment} page ${page}: ${list.length} items`);
+
+    let oldestDay = "";
+    for (const item of list) {
+      const a = normalizeAdvisory_(item);
+      if (!a || !a.publishedDay) continue;
+      a.segment = segment;
+
+      if (!oldestDay || a.publishedDay < oldestDay) oldestDay = a.publishedDay;
+
+      if (fromDay && a.publishedDay < fromDay) continue;
+      if (toDay && a.publishedDay > toDay) continue;
+      if (seen.has(a.id)) continue;
+      seen.add(a.id);
+      advisories.push(a);
+    }
+
+    // Sorted DESC by published: once a page reaches past fromDay,
+    // every later page is older still.
+    if (earlyStop && fromDay && oldestDay && oldestDay < fromDay) {
+      Logger.log(`Early stop: oldest on page ${oldestDay} < fromDay ${fromDay}`);
+      stoppedEarly = true;
+      break;
+    }
+
+    const next = broadcomNextPage_(json, page, list.length, pageSize, fetched);
+    if (next == null) break;
+    page = next;
+  }
+
+  Logger.log(`Broadcom ${segment}: pages=${pages}, fetched=${fetched}, kept=${advisories.length}`);
+  return { advisories, pages, fetched, earlyStop: stoppedEarly };
+}
+
+/**
+ * Decide the next page number, or null when done.
+ * Trusts pageInfo.nextPage when the API sends it (null = last page);
+ * otherwise falls back to "short page" / totalCount.
+ */
+function broadcomNextPage_(json, page, listLength, pageSize, fetchedSoFar) {
+  const pageInfo = json?.data?.pageInfo;
+  if (pageInfo && Object.prototype.hasOwnProperty.call(pageInfo, "nextPage")) {
+    return pageInfo.nextPage == null ? null : Number(pageInfo.nextPage);
+  }
+  if (!listLength || listLength < pageSize) return null;
+  const total = Number(pageInfo?.totalCount);
+  if (Number.isFinite(total) && total > 0 && fetchedSoFar >= total) return null;
+  return page + 1;
+}
+
+/* ================= SINGLE REQUEST ================= */
+
+function broadcomBuildPayload_(opts, pageNumber) {
+  const payload = {
+    pageNumber: pageNumber || 0,
+    pageSize: Number(opts.pageSize) || BROADCOM_CLIENT_CONFIG.PAGE_SIZE,
+    searchVal: opts.searchVal || "",
+    segment: opts.segment || BROADCOM_CLIENT_CONFIG.DEFAULT_SEGMENT,
+
+    // Force sort so we can stop early.
+    // If the API ignores this, it still works; it just may need more pages.
+    sortInfo: { column: "published", order: "DESC" },
+  };
+  if (opts.fromDay) payload.fromDate = opts.fromDay;
+  if (opts.toDay) payload.toDate = opts.toDay;
+  return payload;
+}
+
+function broadcomRequestOptions_(payload) {
+  return {
+    method: "post",
+    contentType: "application/json;charset=UTF-8",
+    headers: {
+      accept: "application/json, text/plain, */*",
+      origin: BROADCOM_CLIENT_CONFIG.ORIGIN,
+      referer: `${BROADCOM_CLIENT_CONFIG.ORIGIN}/web/ecx/security-advisory?segment=${payload.segment}`,
+      "User-Agent": "Mozilla/5.0 (AppsScript)",
+    },
+    payload: JSON.stringify(payload),
+    muteHttpExceptions: true,
+    followRedirects: true,
+  };
+}
+
+/**
+ * POST one page and return { code, text, json, attempts }.
+ * Retries 429 / 5xx / thrown transport errors with backoff; never throws
+ * for a final non-2xx (callers decide), but does throw on timeout.
+ */
+function broadcomRequest_(payload, deadline) {
+  const res = broadcomFetchWithRetry_(
+    BROADCOM_CLIENT_CONFIG.ENDPOINT_URL,
+    broadcomRequestOptions_(payload),
+    deadline,
+    `page ${payload.pageNumber}`
+  );
+  let json = null;
+  try { json = JSON.parse(res.text || "{}"); } catch (e) { json = null; }
+  return { code: res.code, text: res.text, json, attempts: res.attempts };
+}
+
+/** UrlFetchApp.fetch with backoff on 429 / 5xx / transport errors → { code, text, attempts }. */
+function broadcomFetchWithRetry_(url, fetchOptions, deadline, label) {
+  deadline = deadline || Date.now() + BROADCOM_CLIENT_CONFIG.TIMEOUT_MS;
+  const maxAttempts = BROADCOM_CLIENT_CONFIG.MAX_RETRIES + 1;
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (Date.now() > deadline) {
+      throw new Error(`Broadcom request timed out (${label}, ${attempt - 1} attempt(s)).`);
+    }
+
+    let resp;
+    try {
+      resp = UrlFetchApp.fetch(url, fetchOptions);
+    } catch (e) {
+      lastError = e;
+      Logger.log(`Broadcom fetch error (${label}, attempt ${attempt}/${maxAttempts}): ${e.message || e}`);
+      if (attempt < maxAttempts) broadcomBackoff_(attempt, null, deadline);
+      continue;
+    }
+
+    const code = resp.getResponseCode();
+    const text = resp.getContentText() || "";
+
+    if ((code === 429 || code >= 500) && attempt < maxAttempts) {
+      Logger.log(`HTTP ${code} from Broadcom (${label}, attempt ${attempt}/${maxAttempts}); retrying`);
+      broadcomBackoff_(attempt, broadcomRetryAfterMs_(resp), deadline);
+      continue;
+    }
+
+    return { code, text, attempts: attempt };
+  }
+
+  throw new Error(`Broadcom request failed after ${maxAttempts} attempt(s) (${label}): ${lastError && (lastError.message || lastError)}`);
+}
+
+/** POST one page and return parsed JSON; throws on non-2xx or bad JSON. */
+function broadcomPostPage_(payload, deadline) {
+  const res = broadcomRequest_(payload, deadline);
+  if (res.code < 200 || res.code >= 300) {
+    throw new Error(`HTTP ${res.code} from Broadcom endpoint. Body: ${res.text.substring(0, 500)}`);
+  }
+  if (!res.json) {
+    throw new Error(`Broadcom endpoint returned non-JSON. Body: ${res.text.substring(0, 500)}`);
+  }
+  return res.json;
+}
+
+function broadcomBackoff_(attempt, retryAfterMs, deadline) {
+  const exp = BROADCOM_CLIENT_CONFIG.BACKOFF_BASE_MS * Math.pow(2, attempt - 1);
+  let wait = retryAfterMs != null ? retryAfterMs : exp + Math.floor(Math.random() * 250);
+  wait = Math.min(wait, BROADCOM_CLIENT_CONFIG.BACKOFF_MAX_MS);
+  // Don't sleep past the deadline; the next loop turn reports the timeout.
+  wait = Math.max(0, Math.min(wait, deadline - Date.now()));
+  if (wait > 0) Utilities.sleep(wait);
+}
+
+function broadcomRetryAfterMs_(resp) {
+  const headers = (resp.getHeaders && resp.getHeaders()) || {};
+  const key = Object.keys(headers).find(k => k.toLowerCase() === "retry-after");
+  if (!key) return null;
+  const secs = Number(headers[key]);
+  return Number.isFinite(secs) && secs >= 0 ? secs * 1000 : null;
+}
+
+/* ================= NORMALIZE ================= */
+
+const BROADCOM_FIELD_KEYS = {
+  id: [
+    "notificationId", "notificationID", "notificationNo",
+    "advisoryId", "id", "vmsaId", "vmsa",
+  ],
+  // include lots of candidate date keys Broadcom might use
+  published: [
+    "issueDate", "releaseDate", "published", "publishDate",
+    "date", "releasedOn", "publicationDate", "lastUpdated",
+    "postedDate", "advisoryDate", "createDate", "createdDate", "modifiedDate",
+  ],
+  updated: ["updated", "lastUpdated", "updatedDate", "modifiedDate"],
+  title: ["title", "summary", "subject", "headline", "description"],
+  severity: ["advisorySeverity", "severity", "level", "riskLevel", "threatLevel"],
+  url: ["notificationUrl", "advisoryUrl", "detailUrl", "url"],
+  // affectedCve: what getSecurityAdvisoryList sends, e.g. "CVE-2025-55182, CVE-2025-55183"
+  cves: ["cveIds", "cves", "cveList", "affectedCve", "cveId", "cve", "cveNumbers", "CVE"],
+  cvss: ["cvssScore", "cvssBaseScore", "baseScore", "cvss", "score"],
+  products: ["supportProducts", "affectedProducts", "products", "productNames", "productName", "product"],
+  affectedVersions: ["affectedVersions", "affectedVersion", "versionsAffected", "affectedReleases"],
+  fixedVersions: ["fixedVersions", "fixedVersion", "fixedIn", "fixedReleases", "resolvedVersions", "remediatedVersions"],
+  status: ["status", "advisoryStatus", "notificationStatus", "state"],
+};
+
+// Fields that may carry the prefixed advisory code (as advisories.py checks them)
+const BROADCOM_FULL_ID_KEYS = [
+  "notificationCode", "notificationNo", "notificationNumber",
+  "notificationIdentifier", "notificationIdStr", "notification_id",
+];
+const BROADCOM_FULL_ID_RE = /[A-Z]{3,}-\d{4}-\d+/;
+
+/**
+ * Prefixed advisory code (VTDSA-2025-36622, VMSA-2025-0001, ...): a payload
+ * field that contains one, else the code at the end of a notificationUrl
+ * path segment, else "".
+ */
+function broadcomFullId_(item) {
+  for (const key of BROADCOM_FULL_ID_KEYS) {
+    const val = item[key];
+    if (typeof val === "string" && BROADCOM_FULL_ID_RE.test(val)) return val.trim();
+  }
+  const url = String(broadcomPick_(item, BROADCOM_FIELD_KEYS.url, "")).trim();
+  const m = url.match(/\/([A-Z]{3,}-\d{4}-\d+)(?:[/?#]|$)/);
+  return m ? m[1] : "";
+}
+
+/** Map one raw API item to the normalized advisory shape (null if no id). */
+function normalizeAdvisory_(item) {
+  if (!item) return null;
+  const K = BROADCOM_FIELD_KEYS;
+
+  const id = broadcomPick_(item, K.id);
+  if (!id) return null;
+
+  const published = broadcomToDateObj_(broadcomPick_(item, K.published, null));
+  const updated = broadcomToDateObj_(broadcomPick_(item, K.updated, null));
+
+  return {
+    id: String(id).trim(),
+    fullId: broadcomFullId_(item) || String(id).trim(),
+    title: broadcomCleanTitle_(broadcomPick_(item, K.title, "")),
+    severity: String(broadcomPick_(item, K.severity, "")).trim(),
+    url: String(broadcomPick_(item, K.url, "")).trim(),
+    published,
+    publishedDay: published ? broadcomFormatDay_(published) : "",
+    updated,
+    cves: broadcomExtractCves_(item),
+    cvss: broadcomExtractCvss_(item),
+    products: broadcomListText_(broadcomPick_(item, K.products, "")),
+    affectedVersions: broadcomListText_(broadcomPick_(item, K.affectedVersions, "")),
+    fixedVersions: broadcomListText_(broadcomPick_(item, K.fixedVersions, "")),
+    status: String(broadcomPick_(item, K.status, "")).trim(),
+    segment: "",
+    raw: item,
+  };
+}
+
+/* ================= CVEs / CVSS ================= */
+
+const CVE_ID_RE = /CVE-\d{4}-\d{4,7}/gi;
+
+/**
+ * CVE ids for one raw item: dedicated list fields first (array or
+ * delimited string), then any CVE-looking text in title/description.
+ */
+function broadcomExtractCves_(item) {
+  const K = BROADCOM_FIELD_KEYS;
+  let found = [];
+
+  const field = broadcomPick_(item, K.cves, null);
+  if (field != null) {
+    const text = Array.isArray(field)
+      ? field.map(v => (v && typeof v === "object") ? (v.cveId || v.id || v.name || "") : v).join(" ")
+      : String(field);
+    found = text.match(CVE_ID_RE) || [];
+  }
+  if (!found.length) {
+    const text = [...K.title, "synopsis", "content"].map(k => item[k] || "").join(" ");
+    found = text.match(CVE_ID_RE) || [];
+  }
+  return broadcomUniqueCves_(found);
+}
+
+/** Highest CVSS base score (0–10) in the item, or null. */
+function broadcomExtractCvss_(item) {
+  const v = broadcomPick_(item, BROADCOM_FIELD_KEYS.cvss, null);
+  if (v == null) return null;
+  const nums = String(v).match(/\d{1,2}(?:\.\d)?/g) || [];
+  const scores = nums.map(Number).filter(n => n >= 0 && n <= 10);
+  return scores.length ? Math.max(...scores) : null;
+}
+
+/**
+ * GET the advisory detail page (notificationUrl) and scrape CVE ids, the
+ * highest CVSS score and the affected / fixed versions. Used when the list
+ * payload carries no CVEs (or no versions).
+ */
+function broadcomFetchAdvisoryDetail_(url, deadline) {
+  if (!url) return { cves: [], cvss: null, affectedVersions: "", fixedVersions: "" };
+  const res = broadcomFetchWithRetry_(url, {
+    method: "get",
+    headers: { accept: "text/html,application/json;q=0.9,*/*;q=0.8", "User-Agent": "Mozilla/5.0 (AppsScript)" },
+    muteHttpExceptions: true,
+    followRedirects: true,
+  }, deadline, `detail ${url}`);
+
+  if (res.code < 200 || res.code >= 300) {
+    Logger.log(`Detail page HTTP ${res.code}: ${url}`);
+    return { cves: [], cvss: null, affectedVersions: "", fixedVersions: "" };
+  }
+  return broadcomParseDetailText_(res.text);
+}
+
+function broadcomParseDetailText_(text) {
+  const plain = String(text || "").replace(/<[^>]+>/g, " ").replace(/&nbsp;/g, " ");
+  const cves = broadcomUniqueCves_(plain.match(CVE_ID_RE) || []);
+
+  let cvss = null;
+  const re = /CVSS(?:v\d(?:\.\d)?)?[^0-9]{0,40}?(\d{1,2}\.\d)/gi;
+  let m;
+  while ((m = re.exec(plain)) !== null) {
+    const n = Number(m[1]);
+    if (n <= 10 && (cvss == null || n > cvss)) cvss = n;
+  }
+  return Object.assign({ cves, cvss }, broadcomDetailVersions_(text));
+}
+
+/**
+ * Affected / fixed versions on a detail page, as "a, b" text: a table with
+ * "Affected ..." and "Fixed ..." header cells (every product row pooled),
+ * else "Affected Versions: ..." / "Fixed Version(s): ..." lines.
+ */
+function broadcomDetailVersions_(html) {
+  const lines = String(html || "")
+    .replace(/<\/t[dh]>/gi, " | ")
+    .replace(/<\/(?:tr|p|div|li|h\d)>|<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .split("\n")
+    .map(l => l.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const affected = [];
+  const fixed = [];
+  let table = null;
+  lines.forEach(line => {
+    const cells = line.split("|").map(c => c.trim());
+    if (line.indexOf("|") !== -1) {
+      const a = cells.findIndex(c => /^affected\b/i.test(c) || /\bversions? affected$/i.test(c));
+      const f = cells.findIndex(c => /^(?:fixed|resolved|remediated|patched)\b/i.test(c));
+      if (a !== -1 || f !== -1) {
+        table = { a, f };
+        return;
+      }
+      if (table) {
+        if (table.a !== -1 && cells[table.a]) affected.push(cells[table.a]);
+        if (table.f !== -1 && cells[table.f]) fixed.push(cells[table.f]);
+        return;
+      }
+    }
+    table = null;
+    const m = line.match(/^(affected|fixed|resolved)(?: product)? versions?(?:\(s\))?\s*[:\-–]\s*(.+)$/i);
+    if (m) (/^affected/i.test(m[1]) ? affected : fixed).push(m[2]);
+  });
+  return { affectedVersions: affected.join(", "), fixedVersions: fixed.join(", ") };
+}
+
+function broadcomUniqueCves_(list) {
+  return Array.from(new Set(list.map(c => c.toUpperCase()))).sort();
+}
+
+/* ================= SEVERITY ================= */
+
+const BROADCOM_SEVERITY_RANK = { critical: 4, high: 3, important: 3, medium: 2, moderate: 2, low: 1 };
+
+/** "Critical" → 4 … "Low" → 1, unknown → 0. */
+function broadcomSeverityRank_(severity) {
+  return BROADCOM_SEVERITY_RANK[String(severity || "").trim().toLowerCase()] || 0;
+}
+
+/* ================= VERSIONS ================= */
+
+/** "v10.2.5+LTS" → [10, 2, 5]; null when there is no version number. */
+function broadcomParseVersion_(text) {
+  const m = String(text == null ? "" : text).match(/\d+(?:\.\d+)*/);
+  return m ? m[0].split(".").map(Number) : null;
+}
+
+/** Compare two parsed versions (missing parts count as 0): <0, 0, >0. */
+function broadcomCompareVersions_(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const d = (a[i] || 0) - (b[i] || 0);
+    if (d) return d;
+  }
+  return 0;
+}
+
+/**
+ * Affected-version text → [{ lo, loIncl, hi, hiIncl }] (parsed versions,
+ * null = unbounded). Understands "10.2.0 - 10.2.4", "10.2.x", "10.2"
+ * (the whole line), "< 10.2.5" / "prior to", "<= 10.2.4" / "up to",
+ * ">= 10.0" / "10.0 and later", exact "10.2.3" and "all versions".
+ */
+function broadcomParseVersionRanges_(text) {
+  const V = "v?(\\d+(?:\\.\\d+)*)";
+  const line = prefix => {
+    const next = prefix.slice();
+    next[next.length - 1]++;
+    return { lo: prefix, loIncl: true, hi: next, hiIncl: false };
+  };
+  const ranges = [];
+  String(text || "").toLowerCase()
+    .split(/[,;\n]|\band\b(?!\s+(?:later|above|newer|including))|\bor\b(?!\s+(?:later|above|newer))/)
+    .map(p => p.trim())
+    .filter(Boolean)
+    .forEach(p => {
+      let m;
+      if (/^all(?: versions?)?$/.test(p)) {
+        ranges.push({ lo: null, loIncl: true, hi: null, hiIncl: true });
+      } else if ((m = p.match(new RegExp(`${V}(\\.x)?\\s*(?:-|–|—|to|through|thru)\\s*${V}(\\.x)?`)))) {
+        const hi = broadcomParseVersion_(m[3]);
+        ranges.push(m[4] ? { lo: broadcomParseVersion_(m[1]), loIncl: true, hi: line(hi).hi, hiIncl: false }
+          : { lo: broadcomParseVersion_(m[1]), loIncl: true, hi, hiIncl: true });
+      } else if ((m = p.match(new RegExp(`(?:<=|≤|up to(?: and including)?|through|until)\\s*${V}`)))) {
+        ranges.push({ lo: null, loIncl: true, hi: broadcomParseVersion_(m[1]), hiIncl: true });
+      } else if ((m = p.match(new RegExp(`(?:<|prior to|before|earlier than|older than|below|lower than)\\s*${V}`)))) {
+        ranges.push({ lo: null, loIncl: true, hi: broadcomParseVersion_(m[1]), hiIncl: false });
+      } else if ((m = p.match(new RegExp(`(?:>=|≥|from|since)\\s*${V}`))) ||
+                 (m = p.match(new RegExp(`${V}(?:\\.x)?\\s*(?:\\+|and later|or later|and above|and newer)`)))) {
+        ranges.push({ lo: broadcomParseVersion_(m[1]), loIncl: true, hi: null, hiIncl: true });
+      } else if ((m = p.match(/(\d+(?:\.\d+)*)\.x\b/))) {
+        ranges.push(line(broadcomParseVersion_(m[1])));
+      } else if ((m = p.match(/\d+\.\d+(?:\.\d+)+/))) {
+        const v = broadcomParseVersion_(m[0]);
+        ranges.push({ lo: v, loIncl: true, hi: v, hiIncl: true });
+      } else if ((m = p.match(/\d+\.\d+/))) {
+        ranges.push(line(broadcomParseVersion_(m[0])));
+      }
+    });
+  return ranges;
+}
+
+/** Whether a parsed version falls in a broadcomParseVersionRanges_ range. */
+function broadcomVersionInRange_(v, r) {
+  if (r.lo) {
+    const c = broadcomCompareVersions_(v, r.lo);
+    if (c < 0 || (c === 0 && !r.loIncl)) return false;
+  }
+  if (r.hi) {
+    const c = broadcomCompareVersions_(v, r.hi);
+    if (c > 0 || (c === 0 && !r.hiIncl)) return false;
+  }
+  return true;
+}
+
+/** Every version number in fixed-version text ("10.2.5, 10.0.12") → parsed versions. */
+function broadcomParseVersionList_(text) {
+  return (String(text || "").match(/\d+(?:\.\d+)+/g) || []).map(broadcomParseVersion_);
+}
+
+/* ================= WATCHLIST ================= */
+
+// Watchlist tab header names per field (case, spaces and punctuation ignored)
+const BROADCOM_WATCHLIST_HEADERS = {
+  entry: ["Entry", "Product", "Keyword", "Term", "Watch"],
+  type: ["Type", "Kind"],
+  exclude: ["Exclude", "Exclusions", "Except"],
+};
+const BROADCOM_WATCHLIST_TYPES = ["product", "keyword", "exclude"];
+
+/**
+ * Watchlist tab → [{ entry, type, exclude: [...] }], or null when ss has no
+ * tab of that name. One row per entry:
+ *   Entry    product name or keyword, matched as a whole phrase ("Hub" does
+ *            not match "GitHub"; case and punctuation ignored)
+ *   Type     "product": the payload's product fields (the title when it
+ *            has none); "keyword" (default): title and product fields;
+ *            "exclude": advisories matching it get no tags at all
+ *   Exclude  optional, comma-separated: this entry does not match
+ *            advisories that also mention any of these
+ * Throws on an unknown Type so a typo never turns an exclusion into a match.
+ */
+function broadcomReadWatchlist_(ss, tabName) {
+  const sheet = ss.getSheetByName(tabName);
+  if (!sheet) return null;
+  const lastRow = sheet.getLastRow();
+  const width = sheet.getLastColumn();
+  if (lastRow < 1 || width < 1) return [];
+
+  const values = sheet.getRange(1, 1, lastRow, width).getValues();
+  const key = s => String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  const headers = values[0].map(key);
+  const col = {};
+  Object.keys(BROADCOM_WATCHLIST_HEADERS).forEach(f => {
+    const i = BROADCOM_WATCHLIST_HEADERS[f].map(key).map(h => headers.indexOf(h)).filter(x => x !== -1).sort((x, y) => x - y)[0];
+    if (i != null) col[f] = i;
+  });
+  if (col.entry == null) {
+    throw new Error(`Watchlist tab "${tabName}" needs an "${BROADCOM_WATCHLIST_HEADERS.entry[0]}" header in row 1.`);
+  }
+
+  const entries = [];
+  values.slice(1).forEach((row, i) => {
+    const entry = String(row[col.entry] == null ? "" : row[col.entry]).trim();
+    if (!entry) return;
+    const type = col.type != null ? String(row[col.type] || "").trim().toLowerCase() || "keyword" : "keyword";
+    if (BROADCOM_WATCHLIST_TYPES.indexOf(type) === -1) {
+      throw new Error(`Watchlist row ${i + 2}: unknown Type "${row[col.type]}" (use ${BROADCOM_WATCHLIST_TYPES.join(", ")}).`);
+    }
+    const exclude = col.exclude != null
+      ? String(row[col.exclude] || "").split(/[,;\n]+/).map(s => s.trim()).filter(Boolean)
+      : [];
+    entries.push({ entry, type, exclude });
+  });
+  return entries;
+}
+
+/**
+ * Watchlist entries a normalized advisory matches, in watchlist order
+ * ([] when an "exclude" entry matches it).
+ */
+function broadcomWatchlistMatches_(a, entries) {
+  if (!entries || !entries.length) return [];
+
+  const K = BROADCOM_FIELD_KEYS;
+  const raw = a.raw || {};
+  const productText = [a.products].concat(K.products.map(k => broadcomListText_(raw[k]))).join(" ");
+  const haystack = {
+    product: broadcomWatchText_(productText.trim() ? productText : a.title),
+    keyword: broadcomWatchText_(`${a.title} ${productText}`),
+  };
+  const mentions = (text, term) => {
+    const t = broadcomWatchText_(term);
+    return t.trim() !== "" && text.indexOf(t) !== -1;
+  };
+
+  if (entries.some(e => e.type === "exclude" && mentions(haystack.keyword, e.entry))) return [];
+
+  return entries
+    .filter(e => e.type !== "exclude")
+    .filter(e => mentions(haystack[e.type], e.entry))
+    .filter(e => !e.exclude.some(x => mentions(haystack.keyword, x)))
+    .map(e => e.entry);
+}
+
+/** " text " lowercased, with every run of non-alphanumerics collapsed to one space. */
+function broadcomWatchText_(s) {
+  return ` ${String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim()} `;
+}
+
+/* ================= RUN LOG ================= */
+
+const BROADCOM_RUN_LOG_HEADERS = [
+  "Started", "Finished", "Source", "User", "Window", "Segment",
+  "Pages", "Items Kept", "Rows Deleted", "Rows Written", "Duration (s)", "Error",
+];
+
+/**
+ * New run record; callers add to pages / kept / deleted / written and set
+ * error, then hand it to broadcomAppendRunLog_ when the run ends.
+ */
+function broadcomStartRun_(fields) {
+  let user = "";
+  try {
+    user = Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail();
+  } catch (e) {
+    // triggers in consumer accounts may not expose the user
+  }
+  return Object.assign({
+    started: new Date(),
+    source: "",
+    user: user || "unknown",
+    window: "",
+    segment: "",
+    pages: 0,
+    kept: 0,
+    deleted: 0,
+    written: 0,
+    error: "",
+  }, fields);
+}
+
+/** Append one finished run to tabName in ss (tab created on first use). */
+function broadcomAppendRunLog_(ss, tabName, run) {
+  const finished = new Date();
+  let sheet = ss.getSheetByName(tabName);
+  if (!sheet) {
+    sheet = ss.insertSheet(tabName);
+    sheet.getRange(1, 1, 1, BROADCOM_RUN_LOG_HEADERS.length)
+      .setValues([BROADCOM_RUN_LOG_HEADERS])
+      .setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+
+  const row = [
+    run.started, finished, run.source, run.user, run.window, run.segment,
+    run.pages, run.kept, run.deleted, run.written,
+    Math.round((finished - run.started) / 100) / 10,
+    run.error || "",
+  ];
+  const at = sheet.getLastRow() + 1;
+  sheet.getRange(at, 1, 1, row.length).setValues([row]);
+  sheet.getRange(at, 1, 1, 2).setNumberFormat("yyyy-mm-dd hh:mm:ss");
+}
+
+/* ================= FIELD HELPERS ================= */
+
+function broadcomPick_(obj, keys, fallback) {
+  if (fallback === undefined) fallback = "";
+  for (const k of keys) {
+    if (obj != null && obj[k] != null && String(obj[k]).trim() !== "") return obj[k];
+  }
+  return fallback;
+}
+
+/** Array (of strings or { name }) or delimited string → "a, b". */
+function broadcomListText_(value) {
+  if (Array.isArray(value)) {
+    return value
+      .map(v => (v && typeof v === "object") ? (v.productName || v.name || "") : v)
+      .map(v => String(v == null ? "" : v).trim())
+      .filter(Boolean)
+      .join(", ");
+  }
+  return String(value == null ? "" : value).trim();
+}
+
+function broadcomCleanTitle_(title) {
+  return String(title || "").trim().replace(/^Product Release Advisory\s*-\s*/i, "").trim();
+}
+
+/** "yyyy-MM-dd" of a Date in UTC. */
+function broadcomFormatDay_(d) {
+  return d.toISOString().substring(0, 10);
+}
+
+/** Very-tolerant date parser for common Broadcom shapes (returns UTC Date or null). */
+function broadcomToDateObj_(val) {
+  if (val === null || val === undefined || val === "") return null;
+  if (val instanceof Date) return isNaN(val) ? null : val;
+
+  // numeric (epoch seconds or ms)
+  if (typeof val === "number") {
+    // treat <1e12 as seconds
+    const ms = val < 1e12 ? val * 1000 : val;
+    const d = new Date(ms);
+    return isNaN(d) ? null : d;
+  }
+
+  let s = String(val).trim();
+  if (!s) return null;
+
+  // plain yyyy-mm-dd -> UTC midnight
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return new Date(s + "T00:00:00Z");
+
+  // yyyy/mm/dd
+  if (/^\d{4}\/\d{2}\/\d{2}$/.test(s)) {
+    const [Y, M, D] = s.split("/");
+    const d = new Date(Date.UTC(Number(Y), Number(M) - 1, Number(D)));
+    return isNaN(d) ? null : d;
+  }
+
+  // mm/dd/yyyy
+  if (/^\d{2}\/\d{2}\/\d{4}$/.test(s)) {
+    const [m, d, y] = s.split("/").map(Number);
+    const dt = new Date(Date.UTC(y, m - 1, d));
+    return isNaN(dt) ? null : dt;
+  }
+
+  // "Oct 29, 2025" or "29 Oct 2025" / "28 December 2025"
+  const monthMap = {
+    jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
+  };
+  const m = s.match(/^(?:([A-Za-z]{3,})\s+(\d{1,2}),?\s+(\d{4}))|(?:(\d{1,2})\s+([A-Za-z]{3,}),?\s+(\d{4}))/);
+  if (m) {
+    const day = Number(m[1] ? m[2] : m[4]);
+    const mon = monthMap[(m[1] || m[5]).slice(0, 3).toLowerCase()];
+    const year = Number(m[1] ? m[3] : m[6]);
+    if (mon == null) return null;
+    const dt = new Date(Date.UTC(year, mon, day));
+    return isNaN(dt) ? null : dt;
+  }
+
+  // ISO-ish: "2025-10-29 13:22:10", "2025-10-29T13:22:10", with/without Z/offset
+  s = s.replace(" ", "T");
+  if (/^\d{4}-\d{2}-\d{2}T/.test(s) && !/[Zz+\-]\d{2}:?\d{2}$/.test(s)) {
+    // add Z if it looks like a full time without zone
+    s += "Z";
+  }
+  const d2 = new Date(s);
+  if (!isNaN(d2)) return d2;
+
+  // last resort: extract yyyy-mm-dd anywhere in the string
+  const m2 = s.match(/(\d{4})-(\d{2})-(\d{2})/);
+  if (m2) {
+    const dt = new Date(Date.UTC(Number(m2[1]), Number(m2[2]) - 1, Number(m2[3])));
+    return isNaN(dt) ? null : dt;
+  }
+
+  return null;
+}
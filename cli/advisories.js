@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+'use strict';
+/**
+ * Broadcom Security Advisories → CSV / JSON / Markdown, from the command line.
+ *
+ * Runs broadcom-client.js and google-app-function.js unchanged (see
+ * gas-node.js), so the window, the published-date semantics, the
+ * normalization and the columns are exactly those of a TasCVE export:
+ *
+ *   CVE ID, RATING, COMMENTS, Link, Pub Date, RR Date, CVSS, Advisory,
+ *   Title, Updated, Affected Products, Advisory Status, CVE List, Segment
+ *
+ * Examples:
+ *   node cli/advisories.js                        # last 7 days, VT, CSV on stdout
+ *   node cli/advisories.js --days 14 --segment VT,VC --format json
+ *   node cli/advisories.js --from 2025-12-01 --to 2025-12-31 --search GemFire \
+ *     --format markdown --out december.md
+ *
+ * Exit codes: 0 ok, 1 fetch / write failure, 2 bad arguments.
+ */
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { createGasGlobals, loadGasScripts } = require('./gas-node');
+
+const SCRIPT_FILES = ['broadcom-client.js', 'google-app-function.js'];
+const FORMATS = ['csv', 'json', 'markdown'];
+
+// Column keys written, in TasCVE order: the required columns, then the feed-owned optional ones
+const EXPORT_COLUMNS = ['id', 'rating', 'comments', 'link', 'pub', 'rr'];
+const SHEET_ONLY_COLUMNS = ['watchlist', 'environments', 'kev', 'kevDue', 'epss'];
+
+const USAGE = `Usage: advisories [options]
+
+  --segment SEG      segment(s) to fetch, repeatable or comma-separated
+                     (default: the TasCVE SEGMENTS setting)
+  --days N           last N days up to today, inclusive (default 7)
+  --from YYYY-MM-DD  window start, with --to (instead of --days)
+  --to YYYY-MM-DD    window end, inclusive
+  --search TEXT      free-text search passed to the advisory API
+  --format FMT       csv | json | markdown (default csv)
+  --expand-cves      one row per CVE instead of per advisory
+  --out FILE         write to FILE instead of stdout
+  --tz ZONE          time zone for calendar days (default $TZ or the system zone)
+  --verbose          log requests and paging to stderr
+  --help             show this help
+`;
+
+/** argv → options; throws an Error with a user-facing message on bad input. */
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      segment: { type: 'string', multiple: true },
+      days: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      search: { type: 'string' },
+      format: { type: 'string', default: 'csv' },
+      'expand-cves': { type: 'boolean', default: false },
+      out: { type: 'string' },
+      tz: { type: 'string' },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    },
+    strict: true
+  });
+
+  const opts = {
+    help: values.help,
+    format: String(values.format).toLowerCase(),
+    segments: (values.segment || []).join(',').split(/[\s,;]+/).map(s => s.trim().toUpperCase()).filter(Boolean),
+    search: values.search || '',
+    expandCves: values['expand-cves'],
+    out: values.out,
+    tz: values.tz,
+    verbose: values.verbose
+  };
+  if (opts.help) return opts;
+
+  if (FORMATS.indexOf(opts.format) === -1) throw new Error(`--format must be one of ${FORMATS.join(', ')}.`);
+
+  const day = /^\d{4}-\d{2}-\d{2}$/;
+  if (values.from != null || values.to != null) {
+    if (values.days != null) throw new Error('Use either --days or --from/--to, not both.');
+    if (!day.test(values.from || '') || !day.test(values.to || '')) {
+      throw new Error('--from and --to are both required, as YYYY-MM-DD.');
+    }
+    if (values.from > values.to) throw new Error('--from is after --to.');
+    opts.startDate = values.from;
+    opts.endDate = values.to;
+  } else if (values.days != null) {
+    if (!/^\d+$/.test(values.days)) throw new Error('--days must be a whole number of days.');
+    opts.daysBack = Number(values.days);
+  }
+
+  if (opts.tz) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: opts.tz });
+    } catch (e) {
+      throw new Error(`Unknown time zone "${opts.tz}".`);
+    }
+  }
+  return opts;
+}
+
+/**
+ * Fetch and transform like exportTasCVE, minus the sheet: one fetch per
+ * segment, in-window rows newest first, optional per-CVE expansion.
+ * Returns { headers, records } with one plain object per row.
+ */
+function fetchTasCVERecords(opts, runtime) {
+  const { gas, evaluate } = loadGasScripts(SCRIPT_FILES, createGasGlobals(runtime));
+
+  const segmentNames = evaluate('BROADCOM_SEGMENTS');
+  const segments = opts.segments.length ? opts.segments : gas.getTasCVESettings_().SEGMENTS;
+  const unknown = segments.filter(sg => !segmentNames[sg]);
+  if (unknown.length) {
+    const err = new Error(`Unknown segment(s): ${unknown.join(', ')}. Known: ${Object.keys(segmentNames).join(', ')}.`);
+    err.usage = true;
+    throw err;
+  }
+
+  const range = gas.resolveDateRange_(opts);
+  const advisories = [];
+  segments.forEach(seg => advisories.push(...gas.fetchAdvisoriesWindowed_(range, seg, null, opts.search)));
+
+  let rows = gas.advisoriesToRows_(advisories, range);
+  if (opts.expandCves) rows = gas.expandRowsByCve_(rows);
+
+  const columns = evaluate('TAS_CVE_COLUMNS');
+  // No spreadsheet here, so no Watchlist / Inventory tab to match rows against,
+  // and no KEV / EPSS enrichment (its Drive sources need Apps Script)
+  const keys = EXPORT_COLUMNS.concat(evaluate('TAS_CVE_FEED_COLUMNS'))
+    .filter(k => SHEET_ONLY_COLUMNS.indexOf(k) === -1);
+  const slaEnabled = evaluate('TAS_CVE_CONFIG.SLA.ENABLED');
+  const day = d => (d ? gas.Utilities.formatDate(d, range.tz, 'yyyy-MM-dd') : '');
+
+  const records = rows.map(r => {
+    const rec = {};
+    keys.forEach(k => {
+      let v;
+      if (k === 'id') v = r.advisoryId;
+      else if (k === 'comments') v = r.comments;
+      else if (k === 'rr') v = slaEnabled ? day(gas.rowDueDate_(r)) : '';
+      else if (k === 'pub') v = day(r.pub);
+      else if (k === 'updated') v = r.updated ? gas.Utilities.formatDate(r.updated, range.tz, 'yyyy-MM-dd HH:mm') : '';
+      else v = gas.tasCVECellValue_(k, r);
+      rec[columns[k].headers[0]] = v == null ? '' : v;
+    });
+    return rec;
+  });
+
+  return {
+    headers: keys.map(k => columns[k].headers[0]),
+    records,
+    window: `${day(range.startDate)} → ${day(range.endDate)}`,
+    segments
+  };
+}
+
+function toCsv(headers, records) {
+  const cell = v => {
+    const s = String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [headers].concat(records.map(r => headers.map(h => r[h])))
+    .map(line => line.map(cell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+function toMarkdown(headers, records) {
+  const cell = v => String(v).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const lines = [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`
+  ];
+  records.forEach(r => lines.push(`| ${headers.map(h => cell(r[h])).join(' | ')} |`));
+  return lines.join('\n') + '\n';
+}
+
+function formatRecords(format, headers, records) {
+  if (format === 'json') return JSON.stringify(records, null, 2) + '\n';
+  if (format === 'markdown') return toMarkdown(headers, records);
+  return toCsv(headers, records);
+}
+
+/**
+ * Entry point; returns the process exit code.
+ * io: { stdout, stderr } writers and optional gas-node runtime options
+ * ({ request, properties }) for tests.
+ */
+function main(argv, io) {
+  io = io || {};
+  const stdout = io.stdout || (s => process.stdout.write(s));
+  const stderr = io.stderr || (s => process.stderr.write(s));
+
+  let opts;
+  try {
+    opts = parseCliArgs(argv);
+  } catch (e) {
+    stderr(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help) {
+    stdout(USAGE);
+    return 0;
+  }
+
+  try {
+    const runtime = Object.assign({}, io.runtime, { tz: opts.tz });
+    if (opts.verbose) runtime.log = msg => stderr(`${msg}\n`);
+    const res = fetchTasCVERecords(opts, runtime);
+    const text = formatRecords(opts.format, res.headers, res.records);
+
+    if (opts.out) {
+      fs.writeFileSync(opts.out, text);
+      stderr(`Wrote ${res.records.length} row(s) for ${res.segments.join(', ')} ${res.window} to ${opts.out}\n`);
+    } else {
+      stdout(text);
+    }
+    return 0;
+  } catch (e) {
+    if (e.usage) {
+      stderr(`${e.message}\n\n${USAGE}`);
+      return 2;
+    }
+    stderr(`Error: ${e.message}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseCliArgs, fetchTasCVERecords, formatRecords };
@@ -0,0 +1,147 @@
+'use strict';
+/**
+ * Node stand-ins for the Apps Script services that broadcom-client.js and
+ * google-app-function.js use on the fetch → rows path, so the CLI runs the
+ * very same code as the Sheet exporter instead of a port of it.
+ *
+ * UrlFetchApp.fetch is synchronous in Apps Script; here each request runs in
+ * a short-lived child node process (spawnSync) using the built-in fetch.
+ * Script files are evaluated into one vm context, the way Apps Script
+ * concatenates a project's files into a single global scope.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const REQUEST_TIMEOUT_MS = 60000;
+
+// Runs in the child: reads { url, options } on stdin, prints { code, headers, body } or { error }
+const FETCH_CHILD = `
+let input = '';
+process.stdin.on('data', d => { input += d; }).on('end', async () => {
+  const { url, options } = JSON.parse(input);
+  try {
+    const headers = Object.assign({}, options.headers);
+    if (options.contentType) headers['content-type'] = options.contentType;
+    const res = await fetch(url, {
+      method: String(options.method || 'get').toUpperCase(),
+      headers,
+      body: options.payload,
+      redirect: options.followRedirects === false ? 'manual' : 'follow'
+    });
+    const body = await res.text();
+    process.stdout.write(JSON.stringify({ code: res.status, headers: Object.fromEntries(res.headers), body }));
+  } catch (e) {
+    process.stdout.write(JSON.stringify({ error: String((e && e.cause && e.cause.message) || (e && e.message) || e) }));
+  }
+});
+`;
+
+/** Blocking HTTP request → { code, headers, body }; throws on transport errors. */
+function httpRequestSync(url, options) {
+  const child = spawnSync(process.execPath, ['-e', FETCH_CHILD], {
+    input: JSON.stringify({ url, options }),
+    encoding: 'utf8',
+    timeout: REQUEST_TIMEOUT_MS,
+    maxBuffer: 64 * 1024 * 1024
+  });
+  if (child.error) throw new Error(`Request to ${url} failed: ${child.error.message}`);
+  let res;
+  try {
+    res = JSON.parse(child.stdout);
+  } catch (e) {
+    throw new Error(`Request to ${url} failed: ${(child.stderr || '').trim() || 'no response'}`);
+  }
+  if (res.error) throw new Error(`Request to ${url} failed: ${res.error}`);
+  return res;
+}
+
+/** Apps Script-style date formatting for the patterns the scripts use. */
+function formatDate(date, tz, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: tz || 'UTC',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    weekday: 'short', hourCycle: 'h23'
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+  const isoDay = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 }[parts.weekday];
+  const tokens = {
+    yyyy: parts.year, MM: parts.month, dd: parts.day,
+    HH: parts.hour, mm: parts.minute, ss: parts.second, u: String(isoDay)
+  };
+  return pattern.replace(/'([^']*)'|yyyy|MM|dd|HH|mm|ss|u/g, (m, lit) => lit != null ? lit : tokens[m]);
+}
+
+/**
+ * Globals for the vm context.
+ * opts.tz         script time zone (also applied to process.env.TZ, since the
+ *                 scripts build local dates with new Date("yyyy/MM/dd ..."))
+ * opts.request    (url, options) → { code, headers, body }; default httpRequestSync
+ * opts.log        receives Logger.log / console output; default: dropped
+ * opts.properties Script Properties seen by the settings readers
+ */
+function createGasGlobals(opts) {
+  opts = opts || {};
+  const tz = opts.tz || process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  process.env.TZ = tz;
+  const request = opts.request || httpRequestSync;
+  const log = opts.log || (() => {});
+  const properties = Object.assign({}, opts.properties);
+  const user = { getEmail: () => process.env.USER || 'cli' };
+
+  return {
+    console: { log: log, info: log, warn: log, error: log },
+    Logger: { log: msg => log(String(msg)) },
+    Utilities: {
+      formatDate,
+      sleep: ms => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms)
+    },
+    Session: {
+      getScriptTimeZone: () => tz,
+      getActiveUser: () => user,
+      getEffectiveUser: () => user
+    },
+    PropertiesService: {
+      getScriptProperties: () => ({
+        getProperty: k => (k in properties ? properties[k] : null),
+        getProperties: () => Object.assign({}, properties)
+      })
+    },
+    UrlFetchApp: {
+      fetch(url, options) {
+        options = options || {};
+        const res = request(url, options);
+        const code = res.code;
+        const text = typeof res.body === 'string' ? res.body : JSON.stringify(res.body == null ? {} : res.body);
+        if (!options.muteHttpExceptions && (code < 200 || code >= 400)) {
+          throw new Error(`Request failed for ${url} returned code ${code}. Truncated server response: ${text.substring(0, 200)}`);
+        }
+        return {
+          getResponseCode: () => code,
+          getContentText: () => text,
+          getHeaders: () => res.headers || {}
+        };
+      }
+    }
+  };
+}
+
+/**
+ * Evaluate repo-relative script files into one context. Returns `gas` (the
+ * script functions) and `evaluate(expr)` for top-level const bindings, which
+ * vm does not expose on the context.
+ */
+function loadGasScripts(files, globals) {
+  const context = vm.createContext(Object.assign({}, globals));
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  return { gas: context, evaluate: expr => vm.runInContext(expr, context) };
+}
+
+module.exports = { createGasGlobals, loadGasScripts, httpRequestSync, formatDate };
@@ -4,20 +4,117 @@
  * Spreadsheet: opened via SPREADSHEET_ID
  * Tab: "TasCVE"
  *
- * Required headers in row 1 (exact text):
- *   "CVE ID", "RATING", "COMMENTS", "Link", "Pub Date", "RR Date"
+ * SPREADSHEET_ID, TAB_NAME, SEGMENTS, PAGE_SIZE and MAX_PAGES can be set per
+ * project copy in TasCVE → Settings… (Script Properties); the constants
+ * below are only the fallback when nothing is configured.
+ *
+ * Columns are found by header text (case, spaces and punctuation ignored),
+ * through the aliases in TAS_CVE_COLUMNS plus TAS_CVE_CONFIG.COLUMN_ALIASES,
+ * so renamed headers keep working and columns may be in any order.
+ *
+ * Required headers in row 1 (first name, or any alias):
+ *   "CVE ID", "RATING" (Severity), "COMMENTS", "Link" (URL),
+ *   "Pub Date" (Published), "RR Date"
+ *
+ * Optional headers (filled when present; add the header to opt in):
+ *   "CVSS", "Advisory", "Title" (full, untruncated), "Updated",
+ *   "Affected Products", "Advisory Status", "CVE List",
+ *   "Done" (yours: TRUE / done / fixed / … stops SLA highlighting),
+ *   "Feed Status" (created by upsert mode if missing),
+ *   "Watchlist" (created when a Watchlist tab exists),
+ *   "Affected Environments" (created when an Inventory tab exists),
+ *   "KEV", "KEV Due", "EPSS Percentile" (created when enrichment is on),
+ *   "Segment" (created when a tab gets rows of any segment but the first of
+ *   SEGMENTS; blank cells count as that first segment)
  *
  * Mapping:
- *   CVE ID  <- notificationId
+ *   CVE ID  <- prefixed code, e.g. VTDSA-2025-36622 (notificationCode or the
+ *              notificationUrl; else notificationId), or the CVE id in
+ *              per-CVE mode. Rows written with the bare notificationId by
+ *              older versions are matched too and upgraded in place.
  *   RATING  <- severity
  *   Link    <- notificationUrl
  *   Pub Date<- published (e.g. "28 December 2025")
+ *   RR Date <- Pub Date + SLA days for the severity
+ *   CVSS    <- highest CVSS score in payload / detail page
+ *   Advisory<- parent notificationId(s) (per-CVE mode)
+ *   Title   <- full title
+ *   Updated <- updated / lastUpdated
+ *   Affected Products <- supportProducts / affectedProducts
+ *   Advisory Status   <- status
+ *   CVE List<- CVE ids of the advisory, comma-separated
+ *   Watchlist <- Watchlist tab entries the advisory matches
+ *   Affected Environments <- Inventory rows the advisory's versions cover
+ *   KEV     <- "Yes" when a CVE of the row is in the CISA KEV catalog
+ *   KEV Due <- earliest KEV due date of those CVEs
+ *   EPSS Percentile <- highest EPSS percentile of the row's CVEs
+ *
+ * Requires broadcom-client.js in the same Apps Script project (shared
+ * fetch / retry / field-mapping logic with the Doc fetcher).
  *
  * Behavior:
  * - Default: last 7 days (inclusive), based on "published"
- * - Clears ONLY rows in that date window, then re-populates
- * - One row per advisory (no CVE splitting)
- * - COMMENTS and RR Date are left blank
+ * - SEGMENTS / { segments: [...] }: one fetch per segment. SEGMENT_ROUTING
+ *   "column" writes them all to TasCVE with a Segment column; "tabs" writes
+ *   each to its own tab (SEGMENT_TABS, default "TasCVE <segment>")
+ * - WRITE_MODE "replace": clears ONLY rows in that date window, then re-populates
+ * - WRITE_MODE "upsert" / { mode: "upsert" }: matches rows on the CVE ID cell,
+ *   updates RATING / Link / Pub Date (+ optional feed columns) in place, appends
+ *   only new ids, and marks window rows missing from the feed in "Feed Status".
+ *   COMMENTS, RR Date and any other columns are never touched on existing rows.
+ * - One row per advisory by default; EXPAND_CVES / { expandCves: true }
+ *   writes one row per CVE instead (CVEs from the list payload, else the
+ *   advisory detail page; a CVE in several advisories is written once)
+ * - COMMENTS is left blank; RR Date too when SLA is disabled
+ * - Every export holds a script lock, so scheduled (trigger) runs and manual
+ *   menu runs never overlap. Scheduled runs record their last success /
+ *   failure in the "TasCVE Status" tab.
+ * - REVISIONS.ENABLED / { revisions: true } (off by default): before rows
+ *   are replaced/merged, the stored RATING, Updated and Title (when that
+ *   column exists) are compared with the feed. Changed rows get "Revised
+ *   yyyy-MM-dd: <fields>" in the Revised column (Updated and Revised are
+ *   created if missing, so turning it on adds two columns to the tab) and
+ *   one History row per changed field (before → after) is appended to the
+ *   "TasCVE History" tab.
+ * - SLA.ENABLED: RR Date is filled from Pub Date + SLA days for the RATING
+ *   (upsert only replaces RR Dates the script computed itself, so hand-set
+ *   dates stay). Rows due within SLA.DUE_SOON_DAYS turn amber, overdue rows
+ *   red, unless the optional "Done" column says so. TasCVE → "Build Overdue
+ *   report" lists every overdue, not-done row in the "Overdue" tab.
+ * - Every export, successful or not, appends one row to the "RunLog" tab:
+ *   start/end, source, user, window, segments, pages requested, items kept,
+ *   rows deleted / written, duration and the error message, if any.
+ * - TASKS.ENABLED / { tasks: true }: creates one Google Task per new advisory
+ *   at or above TASKS.MIN_SEVERITY in the configured list: title, link in
+ *   the notes, a #severity tag and the RR Date target as due date. Ids that got
+ *   a task are recorded in the "TasCVE Tasks" tab and never get another.
+ * - SEARCH / { search: "..." }: free text sent as the API's searchVal, so
+ *   the portal narrows the feed before anything is fetched.
+ * - WATCHLIST: when the spreadsheet has a WATCHLIST.TAB tab (Entry | Type |
+ *   Exclude, see broadcomReadWatchlist_), every advisory is tagged with the
+ *   entries it matches (title and product fields) in the Watchlist column.
+ *   MODE "highlight" writes all advisories and shades matching rows; "only"
+ *   writes matching advisories only; "off" ignores the tab. MODE can be
+ *   overridden in Settings… or with { watchlist: "only" }.
+ * - INVENTORY: when the spreadsheet has an INVENTORY.TAB tab (Product |
+ *   Version | Environment | Owner), every advisory that names an inventory
+ *   product is checked against its affected / fixed versions (payload
+ *   fields, else the detail page, else the version in the title) and the
+ *   exposed environments are listed in "Affected Environments", e.g.
+ *   "prod: TAS 10.2.3 → 10.2.5 (alice)". "[unverified]" marks entries whose
+ *   version could not be compared, was compared with a fix on another
+ *   release line, or against the version in the title.
+ * - ENRICHMENT.ENABLED / { enrich: true }: every row's CVEs (advisories
+ *   without CVEs in the list get them from the detail page) are looked up
+ *   in the CISA KEV catalog and the EPSS scores, loaded once per export
+ *   from ENRICHMENT.KEV_SOURCE / EPSS_SOURCE (URL or uploaded Drive file).
+ *   KEV rows are shaded ENRICHMENT.KEV_COLOR ahead of the SLA colors, and
+ *   their RR Date is the KEV due date when that is earlier than the SLA one.
+ * - DIGEST.ENABLED / { digest: true }: after the sheet is written, emails an
+ *   HTML digest of advisories that were NOT in the sheet before this run,
+ *   at or above DIGEST.MIN_SEVERITY, grouped by severity. Nothing new → no mail.
+ *   With expandCves, new CVE rows are listed once per parent advisory.
+ *   Recipients and threshold can also be set in Settings….
  */
 
 const TAS_CVE_CONFIG = {
@@ -26,16 +123,94 @@ const TAS_CVE_CONFIG = {
 
   TAB_NAME: "TasCVE",
 
-  ENDPOINT_URL:
-    "https://support.broadcom.com/web/ecx/security-advisory/-/securityadvisory/getSecurityAdvisoryList",
-
-  SEGMENT: "VT",
+  SEGMENTS: ["VT"],         // first one = segment of legacy rows with no Segment cell
+  SEGMENT_ROUTING: "column", // "column" | "tabs"
+  SEGMENT_TABS: {},          // segment → tab name; default: first segment → TAB_NAME, others → "TAB_NAME <seg>"
   PAGE_SIZE: 200,
   MAX_PAGES: 15,
 
-  HEADERS: {
-    accept: "application/json",
-    "content-type": "application/json",
+  WRITE_MODE: "replace",    // "replace" | "upsert"
+  EXPAND_CVES: false,       // one row per CVE instead of per advisory
+  DETAIL_FETCH_LIMIT: 50,   // max advisory detail pages fetched per run
+
+  LOCK_WAIT_MS: 30000,
+
+  RUN_LOG_TAB: "RunLog",    // one audit row per export (menu, trigger)
+
+  // Remediation SLA: RR Date = Pub Date + DAYS[severity] (severities without
+  // an entry get no target). DAYS can be overridden in Settings….
+  SLA: {
+    ENABLED: true,
+    DAYS: { Critical: 7, High: 30, Medium: 90 },
+    DUE_SOON_DAYS: 7,        // highlight rows due within this many days
+    OVERDUE_TAB: "Overdue",
+    // "Done" column values that close a row (checkbox TRUE always does)
+    DONE_VALUES: ["done", "yes", "fixed", "remediated", "resolved", "closed", "n/a", "not affected"],
+  },
+
+  // Revised advisories: rows whose Updated / RATING / Title changed since the
+  // last run get a "Revised" marker; before/after values go to HISTORY_TAB.
+  // Opt-in: enabling it adds Updated and Revised columns to the tab.
+  REVISIONS: {
+    ENABLED: false,
+    HISTORY_TAB: "TasCVE History",
+  },
+
+  // Free text passed to the API as searchVal ("" = everything in the segment)
+  SEARCH: "",
+
+  // Product watchlist (tab in the TasCVE spreadsheet; no tab = no tagging)
+  WATCHLIST: {
+    MODE: "highlight",       // "off" | "highlight" | "only"
+    TAB: "Watchlist",
+    HIGHLIGHT_COLOR: "#d2e3fc",
+  },
+
+  // Deployed product versions (tab in the TasCVE spreadsheet; no tab = no matching)
+  INVENTORY: {
+    TAB: "Inventory",
+  },
+
+  // CISA KEV catalog + FIRST EPSS scores per CVE. Each source is an https://
+  // URL or a Drive file id ("drive:<id>" works too) holding the JSON or CSV
+  // feed, .gz allowed; "" skips that feed. ENABLED and both sources can be
+  // overridden in Settings….
+  ENRICHMENT: {
+    ENABLED: false,
+    KEV_SOURCE: "https://www.cisa.gov/sites/default/files/feeds/known_exploited_vulnerabilities.json",
+    EPSS_SOURCE: "https://api.first.org/data/v1/epss?cve={cves}", // {cves}: queried per batch of CVEs
+    EPSS_BATCH: 100,
+    KEV_COLOR: "#e06666",
+  },
+
+  // Extra header names per column, on top of TAS_CVE_COLUMNS,
+  // e.g. { rating: ["Risk"], pub: ["Released"] }
+  COLUMN_ALIASES: {},
+
+  // Time-driven refresh (TasCVE → Schedule menu)
+  SCHEDULE: {
+    DAYS_BACK: 7,
+    MODE: "upsert",
+    DAILY_HOUR: 7,
+    STATUS_TAB: "TasCVE Status",
+  },
+
+  // Google Tasks for new advisories (needs the Tasks advanced service).
+  // LIST_ID can be overridden in Settings…; TASKS.TAB remembers which ids
+  // already have a task, so no advisory ever gets two.
+  TASKS: {
+    ENABLED: false,
+    LIST_ID: "",             // e.g. "MDExMjM0NTY3ODkw..."; see Taskabana → Settings… for ids
+    MIN_SEVERITY: "Critical",
+    TAB: "TasCVE Tasks",
+  },
+
+  // Email digest of newly added advisories (sent via MailApp)
+  DIGEST: {
+    ENABLED: false,
+    RECIPIENTS: [],          // e.g. ["secops@example.com"]
+    MIN_SEVERITY: "High",    // "Critical" | "High" | "Medium" | "Low" | "" (everything)
+    SUBJECT_PREFIX: "[TasCVE]",
   },
 };
 
@@ -50,9 +225,20 @@ function onOpen(e) {
     .addItem("Refresh last 7 days", "menuTasCVE_last7")
     .addItem("Refresh last 14 days", "menuTasCVE_last14")
     .addItem("Refresh last 30 days", "menuTasCVE_last30")
+    .addItem("Refresh last 7 days (one row per CVE)", "menuTasCVE_last7Cves")
+    .addItem("Merge last 30 days (keep comments)", "menuTasCVE_merge30")
+    .addSeparator()
+    .addItem("Build Overdue report", "menuTasCVE_overdueReport")
     .addSeparator()
     .addItem("Refresh custom date range…", "menuTasCVE_customRange")
     .addSeparator()
+    .addSubMenu(SpreadsheetApp.getUi().createMenu("Schedule")
+      .addItem("Install daily refresh…", "menuTasCVE_scheduleDaily")
+      .addItem("Install hourly refresh (weekdays)", "menuTasCVE_scheduleHourlyWeekdays")
+      .addItem("List scheduled refreshes", "menuTasCVE_listSchedules")
+      .addItem("Remove scheduled refreshes", "menuTasCVE_removeSchedules"))
+    .addSeparator()
+    .addItem("Settings…", "showTasCVESettings")
     .addItem("Debug: fetch first page (Logs)", "debugTasCVE_fetchFirstPage")
     .addToUi();
 }
@@ -60,6 +246,8 @@ function onOpen(e) {
 function menuTasCVE_last7() { exportTasCVE(); }
 function menuTasCVE_last14() { exportTasCVE({ daysBack: 14 }); }
 function menuTasCVE_last30() { exportTasCVE({ daysBack: 30 }); }
+function menuTasCVE_last7Cves() { exportTasCVE({ expandCves: true }); }
+function menuTasCVE_merge30() { exportTasCVE({ daysBack: 30, mode: "upsert" }); }
 
 function menuTasCVE_customRange() {
   const ui = SpreadsheetApp.getUi();
@@ -86,32 +274,1241 @@ function menuTasCVE_customRange() {
     return;
   }
 
-  exportTasCVE({ startDate, endDate });
+  const segResp = ui.prompt(
+    "TasCVE – Custom Range",
+    `Segments, comma-separated (${Object.keys(BROADCOM_SEGMENTS).join(", ")}).\n` +
+      `Leave blank for ${getTasCVESettings_().SEGMENTS.join(", ")}:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (segResp.getSelectedButton() !== ui.Button.OK) return;
+
+  const segments = parseSegmentList_(segResp.getResponseText());
+  const unknown = segments.filter(sg => !BROADCOM_SEGMENTS[sg]);
+  if (unknown.length) {
+    ui.alert(`Unknown segment(s): ${unknown.join(", ")}.`);
+    return;
+  }
+
+  exportTasCVE({ startDate, endDate, segments: segments.length ? segments : undefined });
   ui.alert(`TasCVE refresh complete for ${startDate} → ${endDate}.`);
 }
 
+function parseSegmentList_(text) {
+  return String(text || "")
+    .split(/[\s,;]+/)
+    .map(sg => sg.trim().toUpperCase())
+    .filter(Boolean);
+}
+
 /* ================= ENTRY POINT ================= */
 
 function exportTasCVE(options) {
   options = options || {};
   const range = resolveDateRange_(options);
+  const segments = options.segments && options.segments.length ? options.segments : getTasCVESettings_().SEGMENTS;
+  const routing = options.segmentRouting || TAS_CVE_CONFIG.SEGMENT_ROUTING;
 
   Logger.log(`TasCVE window: ${range.startDate.toISOString()} → ${range.endDate.toISOString()} (tz=${range.tz})`);
+  Logger.log(`Segments: ${segments.join(", ")} (routing=${routing})`);
 
-  const { ss, sheet } = getSpreadsheetAndTab_();
+  const run = broadcomStartRun_({
+    source: options.source || "manual",
+    window: `${Utilities.formatDate(range.startDate, range.tz, "yyyy-MM-dd")} → ${Utilities.formatDate(range.endDate, range.tz, "yyyy-MM-dd")}`,
+    segment: segments.join(", "),
+  });
+
+  try {
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(TAS_CVE_CONFIG.LOCK_WAIT_MS)) {
+      throw new Error("Another TasCVE export is already running. Try again in a minute.");
+    }
+
+    const newRows = [];
+    try {
+      const { ss, sheet } = getSpreadsheetAndTab_();
+      const matching = resolveTasCVEMatching_(ss, options);
+
+      if (routing === "tabs") {
+        segments.forEach(seg => {
+          newRows.push(...refreshTab_(getSegmentTab_(ss, sheet, seg), range, [seg], options, run, matching).newRows);
+        });
+      } else {
+        newRows.push(...refreshTab_(sheet, range, segments, options, run, matching).newRows);
+      }
+
+      const tasks = options.tasks != null ? options.tasks : TAS_CVE_CONFIG.TASKS.ENABLED;
+      if (tasks) createAdvisoryTasks_(ss, newRows, range);
+    } finally {
+      lock.releaseLock();
+    }
+
+    const digest = options.digest != null ? options.digest : TAS_CVE_CONFIG.DIGEST.ENABLED;
+    if (digest) sendTasCVEDigest_(newRows, range);
+  } catch (err) {
+    run.error = String(err && err.message || err);
+    throw err;
+  } finally {
+    writeTasCVERunLog_(run);
+  }
+
+  Logger.log("TasCVE export complete.");
+}
+
+/** RunLog row in the TasCVE spreadsheet; never masks the export's own outcome. */
+function writeTasCVERunLog_(run) {
+  try {
+    const ss = SpreadsheetApp.openById(getTasCVESettings_().SPREADSHEET_ID);
+    broadcomAppendRunLog_(ss, TAS_CVE_CONFIG.RUN_LOG_TAB, run);
+  } catch (e) {
+    Logger.log(`RunLog write failed: ${e.message}. Run: ${JSON.stringify(run)}`);
+  }
+}
+
+/**
+ * Clear/fetch/transform/write one tab for the given segments.
+ * matching: { search, mode, entries, inventory, enrichment } from resolveTasCVEMatching_ (optional).
+ * Returns { newRows }: rows whose id was not in the tab before this run.
+ */
+function refreshTab_(sheet, range, segments, options, run, matching) {
+  matching = matching || { search: "", mode: "off", entries: null, inventory: null, enrichment: null };
   ensureHeadersExist_(sheet);
+  // Rows of any segment but the default one are tagged, so a refresh never
+  // clears (or marks missing) another segment's rows in a shared tab
+  const defaultSegment = getTasCVESettings_().SEGMENTS[0];
+  if (segments.some(sg => sg !== defaultSegment)) ensureOptionalHeader_(sheet, "segment");
+  const existingIds = readExistingIds_(sheet);
+
+  // Snapshot stored values before replace mode clears the window
+  let stored = null;
+  const revisions = options.revisions != null ? options.revisions : TAS_CVE_CONFIG.REVISIONS.ENABLED;
+  if (revisions) {
+    ensureOptionalHeader_(sheet, "updated");
+    ensureOptionalHeader_(sheet, "revised");
+    stored = readStoredRevisionState_(sheet);
+  }
 
-  clearTasCVERowsInRange_(sheet, range);
+  const mode = options.mode || TAS_CVE_CONFIG.WRITE_MODE;
+  if (mode !== "upsert") {
+    const deleted = clearTasCVERowsInRange_(sheet, range, segments);
+    if (run) run.deleted += deleted;
+  }
 
-  const advisories = fetchAdvisoriesWindowed_(range);
-  Logger.log(`Fetched advisories total (all pages): ${advisories.length}`);
+  const advisories = [];
+  segments.forEach(seg => advisories.push(...fetchAdvisoriesWindowed_(range, seg, run, matching.search)));
+  Logger.log(`Fetched advisories total (all pages, ${sheet.getName()}): ${advisories.length}`);
 
-  const rows = advisoriesToRows_(advisories, range);
+  let rows = advisoriesToRows_(advisories, range, matching.entries);
   Logger.log(`Rows to write (in window): ${rows.length}`);
 
-  writeRows_(sheet, rows);
+  // Ids the watchlist left out: still in the feed, so upsert must not mark them missing
+  let unwatched = null;
+  if (matching.entries) {
+    ensureOptionalHeader_(sheet, "watchlist");
+    if (matching.mode === "only") {
+      unwatched = new Set();
+      rows.filter(r => !r.watchlist.length).forEach(r => {
+        advisoryIdKeys_(r).concat(r.cves || []).forEach(k => unwatched.add(k));
+      });
+      rows = rows.filter(r => r.watchlist.length);
+      Logger.log(`Rows matching the watchlist: ${rows.length}`);
+    }
+  }
+
+  if (matching.inventory) {
+    ensureOptionalHeader_(sheet, "environments");
+    annotateInventory_(rows, matching.inventory);
+  }
 
-  Logger.log("TasCVE export complete.");
+  const expandCves = options.expandCves != null ? options.expandCves : TAS_CVE_CONFIG.EXPAND_CVES;
+  if (expandCves) {
+    rows = expandRowsByCve_(rows);
+    Logger.log(`Rows after per-CVE expansion: ${rows.length}`);
+  }
+
+  // After expansion, so per-CVE rows get their own CVE's KEV / EPSS data
+  if (matching.enrichment) {
+    if (matching.enrichment.kev) {
+      ensureOptionalHeader_(sheet, "kev");
+      ensureOptionalHeader_(sheet, "kevDue");
+    }
+    if (matching.enrichment.epssSource) ensureOptionalHeader_(sheet, "epss");
+    enrichRows_(rows, matching.enrichment);
+  }
+
+  if (stored) {
+    const changes = detectRevisions_(rows, stored, range.tz);
+    appendRevisionHistory_(sheet, changes, range.tz);
+  }
+
+  let written;
+  if (mode === "upsert") {
+    const res = upsertRows_(sheet, rows, range, segments, unwatched);
+    written = res.updated + res.appended;
+  } else {
+    written = writeRows_(sheet, rows);
+  }
+  if (run) run.written += written;
+
+  if (TAS_CVE_CONFIG.SLA.ENABLED) applySlaFormatting_(sheet);
+  // After the SLA rules, so overdue / due-soon colors win on watched rows
+  if (matching.entries) applyWatchlistFormatting_(sheet, matching.mode === "highlight");
+  // Ahead of every other rule, so KEV rows stand out whatever their SLA state
+  applyKevFormatting_(sheet, !!(matching.enrichment && matching.enrichment.kev));
+
+  return { newRows: rows.filter(r => !advisoryIdKeys_(r).some(k => existingIds.has(k))) };
+}
+
+/** Text of every CVE ID cell (the HYPERLINK label), before anything is cleared. */
+function readExistingIds_(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return new Set();
+  const col = readTasCVEColumns_(sheet);
+  return new Set(
+    readColumn_(sheet, col.id, lastRow - 1)
+      .map(v => String(v || "").trim())
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Ids a row may be stored under: its advisoryId and, for advisory rows, the
+ * bare notificationId that exports before prefixed codes wrote.
+ */
+function advisoryIdKeys_(r) {
+  return r.rawId && r.rawId !== r.advisoryId ? [r.advisoryId, r.rawId] : [r.advisoryId];
+}
+
+/**
+ * Per-CVE rows (expandCves) → one row per advisory, keyed on advisoryUrl.
+ * Each CVE row carries the newest parent's link, date and title, so the
+ * first parent id names the advisory; its severity is the highest seen.
+ * Advisory rows pass through unchanged.
+ */
+function advisoryRows_(rows) {
+  const byUrl = new Map();
+  rows.forEach(r => {
+    if (!r.parents) {
+      byUrl.set(r.advisoryUrl || r.advisoryId, r);
+      return;
+    }
+    const existing = byUrl.get(r.advisoryUrl);
+    if (!existing) {
+      byUrl.set(r.advisoryUrl, Object.assign({}, r, { advisoryId: r.parents[0] }));
+      return;
+    }
+    if (broadcomSeverityRank_(r.severity) > broadcomSeverityRank_(existing.severity)) existing.severity = r.severity;
+  });
+  return Array.from(byUrl.values());
+}
+
+/* ================= GOOGLE TASKS ================= */
+
+const TAS_CVE_TASK_HEADERS = ["ID", "Task ID", "List ID", "Created", "Title"];
+
+/**
+ * One task per new advisory at or above TASKS.MIN_SEVERITY that has none yet
+ * (per-CVE rows are collapsed back to their advisory first).
+ * Failures are logged per row and never fail the export.
+ * Returns the number of tasks created.
+ */
+function createAdvisoryTasks_(ss, newRows, range) {
+  const cfg = TAS_CVE_CONFIG.TASKS;
+  const listId = getTasCVESettings_().TASK_LIST_ID;
+  if (!listId) {
+    Logger.log("Tasks enabled but no task list is configured; not creating tasks.");
+    return 0;
+  }
+
+  const minRank = broadcomSeverityRank_(cfg.MIN_SEVERITY);
+  const registry = getTaskRegistryTab_(ss);
+  const n = registry.getLastRow() - 1;
+  const known = new Set(n > 0 ? readColumn_(registry, 1, n).map(v => String(v).trim()) : []);
+
+  const created = [];
+  advisoryRows_(newRows).forEach(r => {
+    if (advisoryIdKeys_(r).some(k => known.has(k)) || broadcomSeverityRank_(r.severity) < minRank) return;
+    try {
+      const task = Tasks.Tasks.insert(advisoryTaskResource_(r, range.tz), listId);
+      known.add(r.advisoryId);
+      created.push([r.advisoryId, task.id, listId, new Date(), task.title]);
+    } catch (e) {
+      Logger.log(`Task creation failed for ${r.advisoryId}: ${e.message}`);
+    }
+  });
+
+  if (created.length) {
+    registry.getRange(registry.getLastRow() + 1, 1, created.length, created[0].length).setValues(created);
+  }
+  Logger.log(`Tasks: created ${created.length} in list ${listId}`);
+  return created.length;
+}
+
+/** Tasks API resource for one row: title, link + #severity in notes, RR Date as due date. */
+function advisoryTaskResource_(r, tz) {
+  const title = normalizeAndTruncateTitle_(r.title, 200);
+  const tag = `#${String(r.severity || "unrated").trim().toLowerCase().replace(/\s+/g, "-")}`;
+  const resource = {
+    title: `${r.advisoryId}: ${title || "Broadcom advisory"}`,
+    notes: `${r.advisoryUrl}\n\n${tag}`,
+  };
+  const due = rowDueDate_(r);
+  // Tasks only keeps the date part of "due"
+  if (due) resource.due = `${Utilities.formatDate(due, tz, "yyyy-MM-dd")}T00:00:00.000Z`;
+  return resource;
+}
+
+function getTaskRegistryTab_(ss) {
+  const name = TAS_CVE_CONFIG.TASKS.TAB;
+  let sheet = ss.getSheetByName(name);
+  if (!sheet) {
+    sheet = ss.insertSheet(name);
+    sheet.getRange(1, 1, 1, TAS_CVE_TASK_HEADERS.length)
+      .setValues([TAS_CVE_TASK_HEADERS])
+      .setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/* ================= EMAIL DIGEST ================= */
+
+function sendTasCVEDigest_(newRows, range) {
+  const cfg = TAS_CVE_CONFIG.DIGEST;
+  const settings = getTasCVESettings_();
+  const recipients = settings.DIGEST_RECIPIENTS;
+  if (!recipients.length) {
+    Logger.log("Digest enabled but DIGEST.RECIPIENTS is empty; not sending.");
+    return 0;
+  }
+
+  const minRank = broadcomSeverityRank_(settings.DIGEST_MIN_SEVERITY);
+  const rows = advisoryRows_(newRows).filter(r => broadcomSeverityRank_(r.severity) >= minRank);
+  if (!rows.length) {
+    Logger.log("Digest: no new advisories at or above threshold; not sending.");
+    return 0;
+  }
+
+  const window = `${Utilities.formatDate(range.startDate, range.tz, "yyyy-MM-dd")} → ${Utilities.formatDate(range.endDate, range.tz, "yyyy-MM-dd")}`;
+  const subject = `${cfg.SUBJECT_PREFIX} ${rows.length} new Broadcom advisor${rows.length === 1 ? "y" : "ies"} (${window})`;
+
+  MailApp.sendEmail({
+    to: recipients.join(","),
+    subject,
+    htmlBody: buildDigestHtml_(rows, range, window),
+    body: buildDigestText_(rows, range, window),
+  });
+  Logger.log(`Digest sent to ${recipients.join(", ")}: ${rows.length} advisories`);
+  return rows.length;
+}
+
+/** "a@x.com, b@x.com; c@x.com" → ["a@x.com", "b@x.com", "c@x.com"]. */
+function parseRecipients_(text) {
+  return String(text || "")
+    .split(/[\s,;]+/)
+    .filter(Boolean);
+}
+
+/** Rows grouped by severity, most severe first. */
+function groupRowsBySeverity_(rows) {
+  const groups = new Map();
+  rows
+    .slice()
+    .sort((x, y) => broadcomSeverityRank_(y.severity) - broadcomSeverityRank_(x.severity) || y.pub - x.pub)
+    .forEach(r => {
+      const key = r.severity || "Unrated";
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(r);
+    });
+  return groups;
+}
+
+function buildDigestHtml_(rows, range, window) {
+  const esc = s => String(s == null ? "" : s)
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+  let html = `<h2 style="font-family:Arial,sans-serif">New Broadcom security advisories</h2>` +
+    `<p style="font-family:Arial,sans-serif;color:#666">Window: ${esc(window)} · ` +
+    `Minimum severity: ${esc(getTasCVESettings_().DIGEST_MIN_SEVERITY || "any")}</p>`;
+
+  groupRowsBySeverity_(rows).forEach((list, severity) => {
+    html += `<h3 style="font-family:Arial,sans-serif">${esc(severity)} (${list.length})</h3><ul style="font-family:Arial,sans-serif">`;
+    list.forEach(r => {
+      html += `<li><a href="${esc(r.advisoryUrl)}">${esc(r.advisoryId)}</a> – ${esc(r.title)} ` +
+        `<span style="color:#666">(${esc(Utilities.formatDate(r.pub, range.tz, "yyyy-MM-dd"))})</span></li>`;
+    });
+    html += "</ul>";
+  });
+
+  return html;
+}
+
+function buildDigestText_(rows, range, window) {
+  const lines = [`New Broadcom security advisories (${window})`, ""];
+  groupRowsBySeverity_(rows).forEach((list, severity) => {
+    lines.push(`${severity} (${list.length})`);
+    list.forEach(r => {
+      lines.push(`- ${r.advisoryId} ${Utilities.formatDate(r.pub, range.tz, "yyyy-MM-dd")} ${r.title}`);
+      lines.push(`  ${r.advisoryUrl}`);
+    });
+    lines.push("");
+  });
+  return lines.join("\n");
+}
+
+/* ================= SCHEDULE (time-driven triggers) ================= */
+
+const TAS_CVE_TRIGGER_HANDLERS = ["runScheduledTasCVE", "runScheduledTasCVEWeekdays"];
+
+/** Trigger handler: daily refresh. */
+function runScheduledTasCVE(e) {
+  runScheduledExport_("daily trigger");
+}
+
+/** Trigger handler: hourly refresh, skipped on Saturday/Sunday (script time zone). */
+function runScheduledTasCVEWeekdays(e) {
+  const day = Number(Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "u")); // 1=Mon … 7=Sun
+  if (day >= 6) return;
+  runScheduledExport_("hourly weekday trigger");
+}
+
+function runScheduledExport_(source) {
+  const cfg = TAS_CVE_CONFIG.SCHEDULE;
+  const now = new Date();
+  try {
+    exportTasCVE({ daysBack: cfg.DAYS_BACK, mode: cfg.MODE, source });
+    writeScheduleStatus_({
+      "Last success": now,
+      "Last run source": source,
+    });
+  } catch (err) {
+    Logger.log(`Scheduled TasCVE export failed: ${err && err.stack || err}`);
+    writeScheduleStatus_({
+      "Last failure": now,
+      "Last error": String(err && err.message || err),
+      "Last run source": source,
+    });
+    throw err; // keep the failure visible in the trigger's execution log / email
+  }
+}
+
+/** Upsert Key/Value rows in the status tab (created on first use). */
+function writeScheduleStatus_(updates) {
+  const ss = SpreadsheetApp.openById(getTasCVESettings_().SPREADSHEET_ID);
+  const name = TAS_CVE_CONFIG.SCHEDULE.STATUS_TAB;
+  let sheet = ss.getSheetByName(name);
+  if (!sheet) {
+    sheet = ss.insertSheet(name);
+    sheet.getRange(1, 1, 1, 2).setValues([["Key", "Value"]]).setFontWeight("bold");
+  }
+
+  const lastRow = Math.max(sheet.getLastRow(), 1);
+  const keys = sheet.getRange(1, 1, lastRow, 1).getValues().map(v => String(v[0]));
+
+  Object.keys(updates).forEach(key => {
+    let row = keys.indexOf(key) + 1;
+    if (!row) {
+      keys.push(key);
+      row = keys.length;
+      sheet.getRange(row, 1).setValue(key);
+    }
+    sheet.getRange(row, 2).setValue(updates[key]);
+  });
+}
+
+function menuTasCVE_scheduleDaily() {
+  const ui = SpreadsheetApp.getUi();
+  const resp = ui.prompt(
+    "TasCVE – Daily refresh",
+    `Hour of day to run (0–23, ${Session.getScriptTimeZone()}). Leave blank for ${TAS_CVE_CONFIG.SCHEDULE.DAILY_HOUR}:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (resp.getSelectedButton() !== ui.Button.OK) return;
+
+  const text = resp.getResponseText().trim();
+  const hour = text === "" ? TAS_CVE_CONFIG.SCHEDULE.DAILY_HOUR : Number(text);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    ui.alert("Invalid hour. Please enter a whole number from 0 to 23.");
+    return;
+  }
+
+  removeTasCVETriggers_();
+  ScriptApp.newTrigger("runScheduledTasCVE")
+    .timeBased()
+    .everyDays(1)
+    .atHour(hour)
+    .nearMinute(0)
+    .inTimezone(Session.getScriptTimeZone())
+    .create();
+
+  ui.alert(`Daily TasCVE refresh installed (~${String(hour).padStart(2, "0")}:00, last ${TAS_CVE_CONFIG.SCHEDULE.DAYS_BACK} days).`);
+}
+
+function menuTasCVE_scheduleHourlyWeekdays() {
+  removeTasCVETriggers_();
+  ScriptApp.newTrigger("runScheduledTasCVEWeekdays")
+    .timeBased()
+    .everyHours(1)
+    .create();
+
+  SpreadsheetApp.getUi().alert(`Hourly weekday TasCVE refresh installed (last ${TAS_CVE_CONFIG.SCHEDULE.DAYS_BACK} days).`);
+}
+
+function menuTasCVE_listSchedules() {
+  const triggers = getTasCVETriggers_();
+  const lines = triggers.map(t => `• ${t.getHandlerFunction()} (${t.getEventType()}) – id ${t.getUniqueId()}`);
+  SpreadsheetApp.getUi().alert(
+    lines.length ? `Scheduled TasCVE refreshes:\n${lines.join("\n")}` : "No scheduled TasCVE refreshes."
+  );
+}
+
+function menuTasCVE_removeSchedules() {
+  const n = removeTasCVETriggers_();
+  SpreadsheetApp.getUi().alert(`Removed ${n} scheduled TasCVE refresh(es).`);
+}
+
+function getTasCVETriggers_() {
+  return ScriptApp.getProjectTriggers()
+    .filter(t => TAS_CVE_TRIGGER_HANDLERS.indexOf(t.getHandlerFunction()) !== -1);
+}
+
+function removeTasCVETriggers_() {
+  const triggers = getTasCVETriggers_();
+  triggers.forEach(t => ScriptApp.deleteTrigger(t));
+  return triggers.length;
+}
+
+/* ================= SETTINGS (Script Properties) ================= */
+
+// Setting → Script Property key. Unset properties fall back to TAS_CVE_CONFIG.
+const TAS_CVE_SETTING_KEYS = {
+  SPREADSHEET_ID: "TASCVE_SPREADSHEET_ID",
+  TAB_NAME: "TASCVE_TAB_NAME",
+  SEGMENTS: "TASCVE_SEGMENTS", // comma-separated
+  PAGE_SIZE: "TASCVE_PAGE_SIZE",
+  MAX_PAGES: "TASCVE_MAX_PAGES",
+  SLA_DAYS: "TASCVE_SLA_DAYS", // "Critical=7, High=30, Medium=90"
+  TASK_LIST_ID: "TASCVE_TASK_LIST_ID",
+  SEARCH: "TASCVE_SEARCH",
+  WATCHLIST_MODE: "TASCVE_WATCHLIST_MODE", // "off" | "highlight" | "only"
+  ENRICH: "TASCVE_ENRICH", // "on" | "off"
+  KEV_SOURCE: "TASCVE_KEV_SOURCE",
+  EPSS_SOURCE: "TASCVE_EPSS_SOURCE",
+  DIGEST_RECIPIENTS: "TASCVE_DIGEST_RECIPIENTS", // comma-separated
+  DIGEST_MIN_SEVERITY: "TASCVE_DIGEST_MIN_SEVERITY", // "Critical" … "Low", "" for everything
+};
+
+const TAS_CVE_DIGEST_SEVERITIES = ["Critical", "High", "Medium", "Low", ""];
+
+let tasCVESettingsCache_ = null;
+
+/** Effective settings: Script Properties first, TAS_CVE_CONFIG constants otherwise. */
+function getTasCVESettings_() {
+  if (tasCVESettingsCache_) return tasCVESettingsCache_;
+
+  const props = PropertiesService.getScriptProperties().getProperties();
+  const get = key => props[TAS_CVE_SETTING_KEYS[key]];
+
+  tasCVESettingsCache_ = {
+    SPREADSHEET_ID: get("SPREADSHEET_ID") || TAS_CVE_CONFIG.SPREADSHEET_ID,
+    TAB_NAME: get("TAB_NAME") || TAS_CVE_CONFIG.TAB_NAME,
+    SEGMENTS: get("SEGMENTS") ? parseSegmentList_(get("SEGMENTS")) : TAS_CVE_CONFIG.SEGMENTS,
+    PAGE_SIZE: Number(get("PAGE_SIZE")) || TAS_CVE_CONFIG.PAGE_SIZE,
+    MAX_PAGES: Number(get("MAX_PAGES")) || TAS_CVE_CONFIG.MAX_PAGES,
+    SLA_DAYS: get("SLA_DAYS") != null ? parseSlaDays_(get("SLA_DAYS")).days : TAS_CVE_CONFIG.SLA.DAYS,
+    TASK_LIST_ID: get("TASK_LIST_ID") || TAS_CVE_CONFIG.TASKS.LIST_ID,
+    SEARCH: get("SEARCH") != null ? get("SEARCH") : TAS_CVE_CONFIG.SEARCH,
+    WATCHLIST_MODE: get("WATCHLIST_MODE") || TAS_CVE_CONFIG.WATCHLIST.MODE,
+    ENRICH: get("ENRICH") != null ? get("ENRICH") === "on" : TAS_CVE_CONFIG.ENRICHMENT.ENABLED,
+    KEV_SOURCE: get("KEV_SOURCE") != null ? get("KEV_SOURCE") : TAS_CVE_CONFIG.ENRICHMENT.KEV_SOURCE,
+    EPSS_SOURCE: get("EPSS_SOURCE") != null ? get("EPSS_SOURCE") : TAS_CVE_CONFIG.ENRICHMENT.EPSS_SOURCE,
+    DIGEST_RECIPIENTS: get("DIGEST_RECIPIENTS") != null
+      ? parseRecipients_(get("DIGEST_RECIPIENTS"))
+      : TAS_CVE_CONFIG.DIGEST.RECIPIENTS,
+    DIGEST_MIN_SEVERITY: get("DIGEST_MIN_SEVERITY") != null
+      ? get("DIGEST_MIN_SEVERITY")
+      : TAS_CVE_CONFIG.DIGEST.MIN_SEVERITY,
+  };
+  return tasCVESettingsCache_;
+}
+
+function showTasCVESettings() {
+  const html = HtmlService.createHtmlOutputFromFile("tascve_settings")
+    .setWidth(460)
+    .setHeight(1080);
+  SpreadsheetApp.getUi().showModalDialog(html, "TasCVE – Settings");
+}
+
+/** Dialog: current values, which of them come from Script Properties, and the constants. */
+function getTasCVESettingsForm() {
+  const props = PropertiesService.getScriptProperties().getProperties();
+  const s = getTasCVESettings_();
+  return {
+    values: {
+      SPREADSHEET_ID: s.SPREADSHEET_ID,
+      TAB_NAME: s.TAB_NAME,
+      SEGMENTS: s.SEGMENTS.join(", "),
+      PAGE_SIZE: s.PAGE_SIZE,
+      MAX_PAGES: s.MAX_PAGES,
+      SLA_DAYS: formatSlaDays_(s.SLA_DAYS),
+      TASK_LIST_ID: s.TASK_LIST_ID,
+      SEARCH: s.SEARCH,
+      WATCHLIST_MODE: s.WATCHLIST_MODE,
+      ENRICH: s.ENRICH ? "on" : "off",
+      KEV_SOURCE: s.KEV_SOURCE,
+      EPSS_SOURCE: s.EPSS_SOURCE,
+      DIGEST_RECIPIENTS: s.DIGEST_RECIPIENTS.join(", "),
+      DIGEST_MIN_SEVERITY: s.DIGEST_MIN_SEVERITY,
+    },
+    configured: Object.keys(TAS_CVE_SETTING_KEYS).filter(k => props[TAS_CVE_SETTING_KEYS[k]] != null),
+    segments: BROADCOM_SEGMENTS,
+  };
+}
+
+/** Dialog "Save": validate everything, then store. Throws with every problem found. */
+function saveTasCVESettings(form) {
+  form = form || {};
+  const errors = [];
+
+  const spreadsheetId = String(form.SPREADSHEET_ID || "").trim();
+  const tabName = String(form.TAB_NAME || "").trim();
+  const segments = parseSegmentList_(form.SEGMENTS);
+  const pageSize = Number(form.PAGE_SIZE);
+  const maxPages = Number(form.MAX_PAGES);
+  const sla = parseSlaDays_(form.SLA_DAYS);
+  const taskListId = String(form.TASK_LIST_ID || "").trim();
+  const search = String(form.SEARCH || "").trim();
+  const watchlistMode = String(form.WATCHLIST_MODE || "").trim().toLowerCase();
+  const enrich = String(form.ENRICH || "").trim().toLowerCase();
+  const kevSource = String(form.KEV_SOURCE || "").trim();
+  const epssSource = String(form.EPSS_SOURCE || "").trim();
+  const recipients = parseRecipients_(form.DIGEST_RECIPIENTS);
+  const digestMin = TAS_CVE_DIGEST_SEVERITIES
+    .find(sev => sev.toLowerCase() === String(form.DIGEST_MIN_SEVERITY || "").trim().toLowerCase());
+
+  let spreadsheetName = "";
+  if (!spreadsheetId) {
+    errors.push("Spreadsheet ID is required.");
+  } else {
+    try {
+      const ss = SpreadsheetApp.openById(spreadsheetId);
+      spreadsheetName = ss.getName();
+      if (!tabName) errors.push("Tab name is required.");
+      else if (!ss.getSheetByName(tabName)) errors.push(`Tab "${tabName}" not found in "${spreadsheetName}".`);
+    } catch (e) {
+      errors.push(`Cannot open spreadsheet ${spreadsheetId}: ${e.message}`);
+    }
+  }
+
+  if (!segments.length) errors.push("At least one segment is required.");
+  const unknown = segments.filter(sg => !BROADCOM_SEGMENTS[sg]);
+  if (unknown.length) errors.push(`Unknown segment(s): ${unknown.join(", ")}.`);
+
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 10000) errors.push("Page size must be 1–10000.");
+  if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > 200) errors.push("Max pages must be 1–200.");
+  errors.push(...sla.errors);
+
+  if (taskListId) {
+    try {
+      Tasks.Tasklists.get(taskListId);
+    } catch (e) {
+      errors.push(`Task list ${taskListId} not found (is the Tasks advanced service enabled?): ${e.message}`);
+    }
+  }
+
+  if (TAS_CVE_WATCHLIST_MODES.indexOf(watchlistMode) === -1) {
+    errors.push(`Watchlist mode must be one of ${TAS_CVE_WATCHLIST_MODES.join(", ")}.`);
+  }
+
+  if (enrich !== "on" && enrich !== "off") errors.push('KEV / EPSS enrichment must be "on" or "off".');
+  errors.push(...enrichmentSourceErrors_("KEV source", kevSource));
+  errors.push(...enrichmentSourceErrors_("EPSS source", epssSource));
+
+  const badRecipients = recipients.filter(a => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(a));
+  if (badRecipients.length) errors.push(`Not an email address: ${badRecipients.join(", ")}.`);
+  if (digestMin == null) errors.push("Digest minimum severity must be Critical, High, Medium, Low or blank.");
+
+  if (errors.length) throw new Error(errors.join(" "));
+
+  PropertiesService.getScriptProperties().setProperties({
+    [TAS_CVE_SETTING_KEYS.SPREADSHEET_ID]: spreadsheetId,
+    [TAS_CVE_SETTING_KEYS.TAB_NAME]: tabName,
+    [TAS_CVE_SETTING_KEYS.SEGMENTS]: segments.join(","),
+    [TAS_CVE_SETTING_KEYS.PAGE_SIZE]: String(pageSize),
+    [TAS_CVE_SETTING_KEYS.MAX_PAGES]: String(maxPages),
+    [TAS_CVE_SETTING_KEYS.SLA_DAYS]: formatSlaDays_(sla.days),
+    [TAS_CVE_SETTING_KEYS.TASK_LIST_ID]: taskListId,
+    [TAS_CVE_SETTING_KEYS.SEARCH]: search,
+    [TAS_CVE_SETTING_KEYS.WATCHLIST_MODE]: watchlistMode,
+    [TAS_CVE_SETTING_KEYS.ENRICH]: enrich,
+    [TAS_CVE_SETTING_KEYS.KEV_SOURCE]: kevSource,
+    [TAS_CVE_SETTING_KEYS.EPSS_SOURCE]: epssSource,
+    [TAS_CVE_SETTING_KEYS.DIGEST_RECIPIENTS]: recipients.join(","),
+    [TAS_CVE_SETTING_KEYS.DIGEST_MIN_SEVERITY]: digestMin,
+  });
+  tasCVESettingsCache_ = null;
+
+  return `Saved. Exporting to "${spreadsheetName}" → ${tabName} (${segments.join(", ")}).`;
+}
+
+/** Dialog "Reset": drop the Script Properties so the constants apply again. */
+function resetTasCVESettings() {
+  const props = PropertiesService.getScriptProperties();
+  Object.keys(TAS_CVE_SETTING_KEYS).forEach(k => props.deleteProperty(TAS_CVE_SETTING_KEYS[k]));
+  tasCVESettingsCache_ = null;
+  return "Reset to the defaults in the script.";
+}
+
+/* ================= SLA ================= */
+
+/** "Critical=7, High=30" → { days: { Critical: 7, High: 30 }, errors: [...] }. */
+function parseSlaDays_(text) {
+  const days = {};
+  const errors = [];
+  String(text || "").split(/[,;\n]+/).map(p => p.trim()).filter(Boolean).forEach(part => {
+    const m = part.match(/^([A-Za-z]+)\s*[=:]\s*(\d+)$/);
+    if (!m) {
+      errors.push(`SLA entry "${part}" must look like "High=30".`);
+      return;
+    }
+    if (!broadcomSeverityRank_(m[1])) {
+      errors.push(`SLA entry "${part}": unknown severity "${m[1]}".`);
+      return;
+    }
+    days[m[1].charAt(0).toUpperCase() + m[1].slice(1).toLowerCase()] = Number(m[2]);
+  });
+  return { days, errors };
+}
+
+function formatSlaDays_(days) {
+  return Object.keys(days).map(k => `${k}=${days[k]}`).join(", ");
+}
+
+/** SLA days for a severity (matched by rank, so "Important" uses High), or null. */
+function slaDaysFor_(severity) {
+  const rank = broadcomSeverityRank_(severity);
+  if (!rank) return null;
+  const days = getTasCVESettings_().SLA_DAYS;
+  const key = Object.keys(days).find(k => broadcomSeverityRank_(k) === rank);
+  return key ? days[key] : null;
+}
+
+/** Target remediation date (local noon, like Pub Date), or null when no SLA applies. */
+function slaDueDate_(severity, pub) {
+  const days = slaDaysFor_(severity);
+  if (days == null || !pub) return null;
+  return new Date(pub.getFullYear(), pub.getMonth(), pub.getDate() + days, 12, 0, 0);
+}
+
+/** RR Date of a row: the SLA target, or its KEV due date when that comes first. */
+function rowDueDate_(r) {
+  const sla = slaDueDate_(r.severity, r.pub);
+  return r.kevDue && (!sla || r.kevDue < sla) ? r.kevDue : sla;
+}
+
+function sameDay_(a, b) {
+  const x = coerceDate_(a);
+  return !!(x && b) && x.getFullYear() === b.getFullYear() &&
+    x.getMonth() === b.getMonth() && x.getDate() === b.getDate();
+}
+
+function isDoneValue_(v) {
+  if (v === true) return true;
+  return TAS_CVE_CONFIG.SLA.DONE_VALUES.indexOf(String(v == null ? "" : v).trim().toLowerCase()) !== -1;
+}
+
+// Tag inside our rule formulas, so re-applying replaces only our own rules
+const TAS_CVE_SLA_RULE_TAG = 'N("TasCVE SLA")=0';
+
+/** (Re)apply the due-soon / overdue conditional formatting rules to the data rows. */
+function applySlaFormatting_(sheet) {
+  const col = readTasCVEColumns_(sheet);
+  const rr = `$${columnLetter_(col.rr)}2`;
+  const notDone = col.done ? `, NOT(${doneFormula_(`$${columnLetter_(col.done)}2`)})` : "";
+  const range = sheet.getRange(2, 1, Math.max(sheet.getMaxRows() - 1, 1), sheet.getLastColumn());
+
+  const overdue = SpreadsheetApp.newConditionalFormatRule()
+    .whenFormulaSatisfied(`=AND(${TAS_CVE_SLA_RULE_TAG}, ISNUMBER(${rr}), ${rr}<TODAY()${notDone})`)
+    .setBackground("#f4c7c3")
+    .setRanges([range])
+    .build();
+  const dueSoon = SpreadsheetApp.newConditionalFormatRule()
+    .whenFormulaSatisfied(
+      `=AND(${TAS_CVE_SLA_RULE_TAG}, ISNUMBER(${rr}), ${rr}>=TODAY(), ${rr}<=TODAY()+${TAS_CVE_CONFIG.SLA.DUE_SOON_DAYS}${notDone})`)
+    .setBackground("#fce8b2")
+    .setRanges([range])
+    .build();
+
+  const others = sheet.getConditionalFormatRules().filter(rule => {
+    const cond = rule.getBooleanCondition && rule.getBooleanCondition();
+    const formula = cond ? String(cond.getCriteriaValues()[0] || "") : "";
+    return formula.indexOf(TAS_CVE_SLA_RULE_TAG) === -1;
+  });
+  sheet.setConditionalFormatRules(others.concat([overdue, dueSoon]));
+}
+
+/** Sheet formula that is TRUE when cell counts as done (mirrors isDoneValue_). */
+function doneFormula_(cell) {
+  const words = TAS_CVE_CONFIG.SLA.DONE_VALUES.map(w => w.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&"));
+  return `OR(${cell}=TRUE, REGEXMATCH(LOWER(TRIM(${cell}&"")), "^(${words.join("|")})$"))`;
+}
+
+function columnLetter_(n) {
+  let s = "";
+  for (; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + (n - 1) % 26) + s;
+  return s;
+}
+
+function menuTasCVE_overdueReport() {
+  const count = buildOverdueReport_();
+  SpreadsheetApp.getUi().alert(count ? `${count} overdue advisories listed in "${TAS_CVE_CONFIG.SLA.OVERDUE_TAB}".`
+    : "Nothing overdue.");
+}
+
+const TAS_CVE_OVERDUE_HEADERS = ["CVE ID", "RATING", "Pub Date", "RR Date", "Days Overdue", "COMMENTS", "Link", "Tab"];
+
+/**
+ * Rewrite the Overdue tab from every TasCVE tab: rows whose RR Date (or, if
+ * blank, the SLA target) is before today and whose Done cell is not done.
+ * Most overdue first. Returns the number of rows listed.
+ */
+function buildOverdueReport_() {
+  const { ss, sheet } = getSpreadsheetAndTab_();
+  const tz = Session.getScriptTimeZone();
+  const today = new Date(Utilities.formatDate(new Date(), tz, "yyyy/MM/dd") + " 00:00:00");
+
+  const tabs = [sheet];
+  if (TAS_CVE_CONFIG.SEGMENT_ROUTING === "tabs") {
+    getTasCVESettings_().SEGMENTS.forEach(seg => {
+      const t = ss.getSheetByName(segmentTabName_(seg));
+      if (t && tabs.indexOf(t) === -1) tabs.push(t);
+    });
+  }
+
+  const out = [];
+  tabs.forEach(tab => {
+    const n = tab.getLastRow() - 1;
+    if (n < 1) return;
+    const col = readTasCVEColumns_(tab);
+    const ids = readColumn_(tab, col.id, n);
+    const rating = readColumn_(tab, col.rating, n);
+    const pub = readColumn_(tab, col.pub, n);
+    const rr = readColumn_(tab, col.rr, n);
+    const comments = readColumn_(tab, col.comments, n);
+    const link = readColumn_(tab, col.link, n);
+    const done = col.done ? readColumn_(tab, col.done, n) : null;
+
+    ids.forEach((id, i) => {
+      if (!String(id || "").trim() || (done && isDoneValue_(done[i]))) return;
+      const pubDate = coerceDate_(pub[i]);
+      const due = coerceDate_(rr[i]) || slaDueDate_(rating[i], pubDate);
+      if (!due || due >= today) return;
+      const daysOver = Math.floor((today - new Date(due.getFullYear(), due.getMonth(), due.getDate())) / 86400000);
+      out.push([hyperlinkFormula_(link[i], id), rating[i], pubDate || pub[i], due, daysOver, comments[i], link[i], tab.getName()]);
+    });
+  });
+
+  out.sort((a, b) => b[4] - a[4]);
+
+  const name = TAS_CVE_CONFIG.SLA.OVERDUE_TAB;
+  const report = ss.getSheetByName(name) || ss.insertSheet(name);
+  report.clear();
+  report.getRange(1, 1, 1, TAS_CVE_OVERDUE_HEADERS.length)
+    .setValues([TAS_CVE_OVERDUE_HEADERS])
+    .setFontWeight("bold");
+  report.setFrozenRows(1);
+  if (out.length) {
+    report.getRange(2, 1, out.length, out[0].length).setValues(out);
+    report.getRange(2, 3, out.length, 2).setNumberFormat("yyyy-mm-dd");
+  }
+  Logger.log(`Overdue report: ${out.length} row(s)`);
+  return out.length;
+}
+
+/* ================= WATCHLIST / SEARCH ================= */
+
+const TAS_CVE_WATCHLIST_MODES = ["off", "highlight", "only"];
+
+/**
+ * Search term, watchlist, inventory and KEV / EPSS data for one export:
+ * options first, then Settings…. entries is null when the mode is "off" or
+ * the spreadsheet has no watchlist tab ("only" without a tab throws rather
+ * than writing nothing); inventory is null without an inventory tab;
+ * enrichment is null unless enrichment is on.
+ */
+function resolveTasCVEMatching_(ss, options) {
+  const settings = getTasCVESettings_();
+  const search = String(options.search != null ? options.search : settings.SEARCH).trim();
+  const mode = String(options.watchlist || settings.WATCHLIST_MODE).toLowerCase();
+  if (TAS_CVE_WATCHLIST_MODES.indexOf(mode) === -1) {
+    throw new Error(`Unknown watchlist mode "${mode}" (use ${TAS_CVE_WATCHLIST_MODES.join(", ")}).`);
+  }
+
+  let entries = null;
+  if (mode !== "off") {
+    entries = broadcomReadWatchlist_(ss, TAS_CVE_CONFIG.WATCHLIST.TAB);
+    if (!entries && mode === "only") {
+      throw new Error(`Watchlist mode "only" needs a "${TAS_CVE_CONFIG.WATCHLIST.TAB}" tab in the TasCVE spreadsheet.`);
+    }
+  }
+  const inventory = readInventory_(ss);
+  const enrich = options.enrich != null ? options.enrich : settings.ENRICH;
+  const enrichment = enrich ? loadEnrichment_(settings.KEV_SOURCE, settings.EPSS_SOURCE) : null;
+  Logger.log(`Search: "${search}"; watchlist: ${mode}${entries ? ` (${entries.length} entries)` : " (no tab)"}; ` +
+    `inventory: ${inventory ? `${inventory.length} rows` : "no tab"}; enrichment: ${enrichment ? "on" : "off"}`);
+  return { search, mode, entries, inventory, enrichment };
+}
+
+// Tag inside our rule formula, so re-applying replaces only our own rule
+const TAS_CVE_WATCHLIST_RULE_TAG = 'N("TasCVE Watchlist")=0';
+
+/** (Re)apply, or with highlight false just remove, the watched-row shading. */
+function applyWatchlistFormatting_(sheet, highlight) {
+  const col = readTasCVEColumns_(sheet);
+  const others = sheet.getConditionalFormatRules().filter(rule => {
+    const cond = rule.getBooleanCondition && rule.getBooleanCondition();
+    const formula = cond ? String(cond.getCriteriaValues()[0] || "") : "";
+    return formula.indexOf(TAS_CVE_WATCHLIST_RULE_TAG) === -1;
+  });
+  if (!highlight || !col.watchlist) {
+    sheet.setConditionalFormatRules(others);
+    return;
+  }
+
+  const range = sheet.getRange(2, 1, Math.max(sheet.getMaxRows() - 1, 1), sheet.getLastColumn());
+  const rule = SpreadsheetApp.newConditionalFormatRule()
+    .whenFormulaSatisfied(`=AND(${TAS_CVE_WATCHLIST_RULE_TAG}, LEN($${columnLetter_(col.watchlist)}2)>0)`)
+    .setBackground(TAS_CVE_CONFIG.WATCHLIST.HIGHLIGHT_COLOR)
+    .setRanges([range])
+    .build();
+  sheet.setConditionalFormatRules(others.concat([rule]));
+}
+
+/* ================= INVENTORY ================= */
+
+// Inventory tab header names per field (matched like TasCVE headers)
+const TAS_CVE_INVENTORY_HEADERS = {
+  product: ["Product", "Product Name"],
+  version: ["Version", "Deployed Version"],
+  environment: ["Environment", "Foundation", "Env"],
+  owner: ["Owner", "Contact"],
+};
+
+/** Inventory tab → [{ product, version, environment, owner }], or null without the tab. */
+function readInventory_(ss) {
+  const name = TAS_CVE_CONFIG.INVENTORY.TAB;
+  const sheet = ss.getSheetByName(name);
+  if (!sheet) return null;
+  if (sheet.getLastRow() < 1) return [];
+
+  const values = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+  const headers = values[0].map(tasCVEHeaderKey_);
+  const col = {};
+  Object.keys(TAS_CVE_INVENTORY_HEADERS).forEach(f => {
+    const i = TAS_CVE_INVENTORY_HEADERS[f].map(h => headers.indexOf(tasCVEHeaderKey_(h))).find(x => x !== -1);
+    if (i != null) col[f] = i;
+  });
+  if (col.product == null || col.version == null) {
+    throw new Error(`Inventory tab "${name}" needs "Product" and "Version" headers in row 1.`);
+  }
+
+  const cell = (row, f) => (col[f] == null || row[col[f]] == null ? "" : String(row[col[f]]).trim());
+  return values.slice(1)
+    .map(row => ({
+      product: cell(row, "product"),
+      version: cell(row, "version"),
+      environment: cell(row, "environment"),
+      owner: cell(row, "owner"),
+    }))
+    .filter(item => item.product);
+}
+
+/**
+ * Set r.environments on every row: the inventory rows whose product the
+ * advisory names (title or product fields, whole phrase) and whose version
+ * it covers. Rows without version data get it from the detail page (up to
+ * DETAIL_FETCH_LIMIT; CVEs found there are kept for per-CVE expansion),
+ * else from the version at the end of the title, taken as the fixed one.
+ * Guesses (title versions, fixes on other release lines) are "[unverified]".
+ */
+function annotateInventory_(rows, inventory) {
+  const deadline = Date.now() + BROADCOM_CLIENT_CONFIG.TIMEOUT_MS;
+  let detailFetches = 0;
+
+  rows.forEach(r => {
+    const text = broadcomWatchText_(`${r.title} ${r.products}`);
+    const items = inventory.filter(item => text.indexOf(broadcomWatchText_(item.product)) !== -1);
+    r.environments = [];
+    if (!items.length) return;
+
+    if (!r.affectedVersions && !r.fixedVersions && detailFetches < TAS_CVE_CONFIG.DETAIL_FETCH_LIMIT) {
+      detailFetches++;
+      r.detailChecked = true;
+      try {
+        const detail = broadcomFetchAdvisoryDetail_(r.advisoryUrl, deadline);
+        r.affectedVersions = detail.affectedVersions;
+        r.fixedVersions = detail.fixedVersions;
+        if (!(r.cves || []).length) r.cves = detail.cves;
+        if (r.cvss == null) r.cvss = detail.cvss;
+      } catch (e) {
+        Logger.log(`Detail fetch failed for ${r.advisoryId}: ${e.message}`);
+      }
+    }
+
+    const ranges = broadcomParseVersionRanges_(r.affectedVersions);
+    let fixed = broadcomParseVersionList_(r.fixedVersions);
+    let fromTitle = false;
+    if (!ranges.length && !fixed.length) {
+      const m = String(r.title || "").match(/(\d+(?:\.\d+)+)\s*$/);
+      if (m) {
+        fixed = [broadcomParseVersion_(m[1])];
+        fromTitle = true;
+      }
+    }
+
+    items.forEach(item => {
+      const exposure = inventoryExposure_(item.version, ranges, fixed);
+      if (exposure.status === "fixed") return;
+      let label = `${item.product} ${item.version}`.trim();
+      if (exposure.fix) label += ` → ${exposure.fix}`;
+      if (item.environment) label = `${item.environment}: ${label}`;
+      if (item.owner) label += ` (${item.owner})`;
+      if (exposure.status === "unknown" || exposure.guess || fromTitle) label += " [unverified]";
+      r.environments.push(label);
+    });
+  });
+  Logger.log(`Inventory: ${rows.filter(r => r.environments.length).length} row(s) with affected environments, ` +
+    `${detailFetches} detail page(s) fetched`);
+}
+
+/**
+ * One deployed version against an advisory → { status, fix, guess }.
+ * status: "affected" (in an affected range; without ranges, older than the
+ * fix on its major.minor line, or than the newest fix when that line has
+ * none), "fixed", or "unknown" (no comparable versions). fix: the nearest
+ * fixed version above it, for affected ones. guess: the status or the fix
+ * came from another release line's fix, so it needs checking by hand.
+ */
+function inventoryExposure_(version, ranges, fixed) {
+  const v = broadcomParseVersion_(version);
+  if (!v || (!ranges.length && !fixed.length)) return { status: "unknown", fix: "", guess: false };
+
+  const sameLine = f => f[0] === v[0] && (f[1] || 0) === (v[1] || 0);
+  const older = f => broadcomCompareVersions_(v, f) < 0;
+  let affected;
+  let guess = false;
+  if (ranges.length) {
+    affected = ranges.some(r => broadcomVersionInRange_(v, r));
+  } else {
+    const lineFixes = fixed.filter(sameLine);
+    guess = !lineFixes.length;
+    affected = (guess ? fixed : lineFixes).some(older);
+  }
+  if (!affected) return { status: "fixed", fix: "", guess };
+
+  const above = fixed.filter(older).sort(broadcomCompareVersions_);
+  const lineFix = above.filter(sameLine)[0];
+  const fix = lineFix || above[0];
+  return { status: "affected", fix: fix ? fix.join(".") : "", guess: guess || (!!fix && !lineFix) };
+}
+
+/* ================= KEV / EPSS ENRICHMENT ================= */
+
+/**
+ * KEV catalog and EPSS scores for one export → { kev, epss, epssSource, epssQuery }.
+ * kev: Map CVE → { due } (null without a KEV source). epss: Map CVE →
+ * percentile, loaded here from a file or whole-feed URL; a {cves} query URL
+ * (epssQuery) is instead asked per batch by enrichRows_. Throws when a
+ * source cannot be read, so a run never silently drops KEV flags.
+ */
+function loadEnrichment_(kevSource, epssSource) {
+  kevSource = String(kevSource || "").trim();
+  epssSource = String(epssSource || "").trim();
+  const epssQuery = epssSource.indexOf("{cves}") !== -1;
+
+  const kev = kevSource ? parseKevCatalog_(readEnrichmentSource_(kevSource, "KEV")) : null;
+  const epss = epssSource && !epssQuery ? parseEpssScores_(readEnrichmentSource_(epssSource, "EPSS")) : new Map();
+  Logger.log(`KEV: ${kev ? `${kev.size} CVEs` : "no source"}; ` +
+    `EPSS: ${!epssSource ? "no source" : epssQuery ? "queried per CVE" : `${epss.size} CVEs`}`);
+  return { kev, epss, epssSource, epssQuery, epssAsked: new Set() };
+}
+
+/** Drive file id of a source ("<id>", "drive:<id>" or a Drive link), else null. */
+function driveSourceId_(source) {
+  const s = String(source || "").trim();
+  const m = s.match(/^(?:drive:)?([\w-]{20,})$/i) ||
+    s.match(/^https:\/\/drive\.google\.com\/.*?(?:\/d\/|[?&]id=)([\w-]{20,})/i);
+  return m ? m[1] : null;
+}
+
+/** Text of a source: a Drive file or an http(s) URL; ".gz" names are gunzipped. */
+function readEnrichmentSource_(source, label) {
+  const id = driveSourceId_(source);
+  let blob, name;
+  if (id) {
+    const file = DriveApp.getFileById(id);
+    blob = file.getBlob();
+    name = file.getName();
+  } else if (/^https?:\/\//i.test(source)) {
+    const res = UrlFetchApp.fetch(source, { muteHttpExceptions: true, followRedirects: true });
+    const code = res.getResponseCode();
+    if (code < 200 || code >= 300) throw new Error(`${label} source returned HTTP ${code}: ${source}`);
+    blob = res.getBlob();
+    name = source.split("?")[0];
+  } else {
+    throw new Error(`${label} source "${source}" is neither an https:// URL nor a Drive file id.`);
+  }
+  return /\.gz$/i.test(name || "")
+    ? Utilities.ungzip(blob.setContentType("application/x-gzip")).getDataAsString()
+    : blob.getDataAsString();
+}
+
+/** Settings check for one source: blank (feed skipped), a readable Drive file or an http(s) URL. */
+function enrichmentSourceErrors_(label, source) {
+  if (!source) return [];
+  const id = driveSourceId_(source);
+  if (id) {
+    try {
+      DriveApp.getFileById(id).getName();
+      return [];
+    } catch (e) {
+      return [`${label}: cannot open Drive file ${id}: ${e.message}`];
+    }
+  }
+  return /^https?:\/\/\S+$/i.test(source) ? [] : [`${label} must be an https:// URL or a Drive file id.`];
+}
+
+/** CISA KEV catalog, JSON ({ vulnerabilities: [...] }) or CSV → Map CVE → { due }. */
+function parseKevCatalog_(text) {
+  const kev = new Map();
+  const add = (cve, due) => {
+    cve = String(cve || "").trim().toUpperCase();
+    if (/^CVE-\d{4}-\d+$/.test(cve)) kev.set(cve, { due: parseBroadcomDate_(String(due || "").trim()) });
+  };
+
+  const t = String(text || "").trim();
+  if (t.charAt(0) === "{") {
+    (JSON.parse(t).vulnerabilities || []).forEach(v => add(v.cveID, v.dueDate));
+    return kev;
+  }
+  const rows = Utilities.parseCsv(t);
+  const headers = (rows[0] || []).map(tasCVEHeaderKey_);
+  const c = headers.indexOf("cveid");
+  const d = headers.indexOf("duedate");
+  if (c === -1) throw new Error('KEV CSV needs a "cveID" column.');
+  rows.slice(1).forEach(row => add(row[c], d === -1 ? "" : row[d]));
+  return kev;
+}
+
+/** FIRST EPSS data, API JSON ({ data: [...] }) or the daily CSV → Map CVE → percentile (0–1). */
+function parseEpssScores_(text) {
+  const scores = new Map();
+  const add = (cve, percentile) => {
+    const p = percentile === "" || percentile == null ? NaN : Number(percentile);
+    if (cve && isFinite(p)) scores.set(String(cve).trim().toUpperCase(), p);
+  };
+
+  const t = String(text || "").trim();
+  if (t.charAt(0) === "{") {
+    (JSON.parse(t).data || []).forEach(d => add(d.cve, d.percentile));
+    return scores;
+  }
+  // The daily file starts with a "#model_version:…" comment line
+  const rows = Utilities.parseCsv(t.split(/\r?\n/).filter(l => l.charAt(0) !== "#").join("\n"));
+  const headers = (rows[0] || []).map(tasCVEHeaderKey_);
+  const c = headers.indexOf("cve");
+  const p = headers.indexOf("percentile");
+  if (c === -1 || p === -1) throw new Error('EPSS CSV needs "cve" and "percentile" columns.');
+  rows.slice(1).forEach(row => add(row[c], row[p]));
+  return scores;
+}
+
+/** CVEs a row stands for: its own id in per-CVE rows, else the advisory's CVE list. */
+function rowCves_(r) {
+  return /^CVE-\d{4}-\d+$/i.test(r.advisoryId) ? [r.advisoryId.toUpperCase()] : (r.cves || []);
+}
+
+/**
+ * Set r.kev, r.kevDue (earliest KEV due date) and r.epss (highest EPSS
+ * percentile) from each row's CVEs. Rows without CVEs get them from the
+ * detail page first (up to DETAIL_FETCH_LIMIT, skipping rows whose page
+ * was already fetched this run).
+ */
+function enrichRows_(rows, enrichment) {
+  const deadline = Date.now() + BROADCOM_CLIENT_CONFIG.TIMEOUT_MS;
+  let detailFetches = 0;
+
+  rows.forEach(r => {
+    if (rowCves_(r).length || r.detailChecked || detailFetches >= TAS_CVE_CONFIG.DETAIL_FETCH_LIMIT) return;
+    detailFetches++;
+    r.detailChecked = true;
+    try {
+      const detail = broadcomFetchAdvisoryDetail_(r.advisoryUrl, deadline);
+      r.cves = detail.cves;
+      if (r.cvss == null) r.cvss = detail.cvss;
+    } catch (e) {
+      Logger.log(`Detail fetch failed for ${r.advisoryId}: ${e.message}`);
+    }
+  });
+
+  if (enrichment.epssQuery) fetchEpssScores_(enrichment, [].concat(...rows.map(rowCves_)));
+
+  rows.forEach(r => {
+    r.kev = false;
+    r.kevDue = null;
+    r.epss = null;
+    rowCves_(r).forEach(cve => {
+      cve = String(cve).toUpperCase();
+      const k = enrichment.kev && enrichment.kev.get(cve);
+      if (k) {
+        r.kev = true;
+        if (k.due && (!r.kevDue || k.due < r.kevDue)) r.kevDue = k.due;
+      }
+      const p = enrichment.epss.get(cve);
+      if (p != null && (r.epss == null || p > r.epss)) r.epss = p;
+    });
+  });
+  Logger.log(`Enrichment: ${rows.filter(r => r.kev).length} KEV row(s), ` +
+    `${rows.filter(r => r.epss != null).length} with EPSS, ${detailFetches} detail page(s) fetched`);
+}
+
+/** Ask the EPSS query URL for the CVEs not asked yet this export, EPSS_BATCH per request. */
+function fetchEpssScores_(enrichment, cves) {
+  const todo = Array.from(new Set(cves.map(c => String(c).toUpperCase())))
+    .filter(c => !enrichment.epssAsked.has(c));
+  const size = TAS_CVE_CONFIG.ENRICHMENT.EPSS_BATCH;
+  for (let i = 0; i < todo.length; i += size) {
+    const batch = todo.slice(i, i + size);
+    const url = enrichment.epssSource.replace("{cves}", batch.join(","));
+    parseEpssScores_(readEnrichmentSource_(url, "EPSS")).forEach((p, cve) => enrichment.epss.set(cve, p));
+    batch.forEach(c => enrichment.epssAsked.add(c));
+  }
+}
+
+// Tag inside our rule formula, so re-applying replaces only our own rule
+const TAS_CVE_KEV_RULE_TAG = 'N("TasCVE KEV")=0';
+
+/** (Re)apply, or with highlight false just remove, the KEV row shading, as the first rule. */
+function applyKevFormatting_(sheet, highlight) {
+  const col = readTasCVEColumns_(sheet);
+  const others = sheet.getConditionalFormatRules().filter(rule => {
+    const cond = rule.getBooleanCondition && rule.getBooleanCondition();
+    const formula = cond ? String(cond.getCriteriaValues()[0] || "") : "";
+    return formula.indexOf(TAS_CVE_KEV_RULE_TAG) === -1;
+  });
+  if (!highlight || !col.kev) {
+    sheet.setConditionalFormatRules(others);
+    return;
+  }
+
+  const notDone = col.done ? `, NOT(${doneFormula_(`$${columnLetter_(col.done)}2`)})` : "";
+  const range = sheet.getRange(2, 1, Math.max(sheet.getMaxRows() - 1, 1), sheet.getLastColumn());
+  const rule = SpreadsheetApp.newConditionalFormatRule()
+    .whenFormulaSatisfied(`=AND(${TAS_CVE_KEV_RULE_TAG}, $${columnLetter_(col.kev)}2="Yes"${notDone})`)
+    .setBackground(TAS_CVE_CONFIG.ENRICHMENT.KEV_COLOR)
+    .setBold(true)
+    .setRanges([range])
+    .build();
+  sheet.setConditionalFormatRules([rule].concat(others));
 }
 
 /* ================= DATE RANGE ================= */
@@ -140,44 +1537,169 @@ function resolveDateRange_(options) {
 /* ================= SHEET ACCESS ================= */
 
 function getSpreadsheetAndTab_() {
-  const ss = SpreadsheetApp.openById(TAS_CVE_CONFIG.SPREADSHEET_ID);
-  const sheet = ss.getSheetByName(TAS_CVE_CONFIG.TAB_NAME);
-  if (!sheet) throw new Error(`Tab "${TAS_CVE_CONFIG.TAB_NAME}" not found in spreadsheet ${TAS_CVE_CONFIG.SPREADSHEET_ID}.`);
+  const settings = getTasCVESettings_();
+  const ss = SpreadsheetApp.openById(settings.SPREADSHEET_ID);
+  const sheet = ss.getSheetByName(settings.TAB_NAME);
+  if (!sheet) throw new Error(`Tab "${settings.TAB_NAME}" not found in spreadsheet ${settings.SPREADSHEET_ID}.`);
   return { ss, sheet };
 }
 
+/** Tab for one segment in "tabs" routing; created with the main tab's headers. */
+function getSegmentTab_(ss, mainSheet, segment) {
+  const name = segmentTabName_(segment);
+  let sheet = ss.getSheetByName(name);
+  if (sheet) return sheet;
+
+  const headers = mainSheet.getRange(1, 1, 1, mainSheet.getLastColumn()).getValues();
+  sheet = ss.insertSheet(name);
+  sheet.getRange(1, 1, 1, headers[0].length).setValues(headers).setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  Logger.log(`Created tab "${name}" for segment ${segment}`);
+  return sheet;
+}
+
+function segmentTabName_(segment) {
+  const settings = getTasCVESettings_();
+  return TAS_CVE_CONFIG.SEGMENT_TABS[segment] ||
+    (segment === settings.SEGMENTS[0] ? settings.TAB_NAME : `${settings.TAB_NAME} ${segment}`);
+}
+
+/** Segment of a data row; blank cells are legacy rows of the first configured segment. */
+function rowSegment_(cell) {
+  return String(cell || "").trim().toUpperCase() || getTasCVESettings_().SEGMENTS[0];
+}
+
+/* ================= COLUMNS ================= */
+
+/**
+ * Column key → accepted header names. The first name is the one written
+ * when the script creates the header itself (Feed Status, Segment).
+ * Optional columns are only filled when their header is present.
+ */
+const TAS_CVE_COLUMNS = {
+  id:         { required: true, headers: ["CVE ID", "ID", "Advisory ID", "Notification ID"] },
+  rating:     { required: true, headers: ["RATING", "Severity", "Level"] },
+  comments:   { required: true, headers: ["COMMENTS", "Comment", "Notes"] },
+  link:       { required: true, headers: ["Link", "URL", "Advisory URL"] },
+  pub:        { required: true, headers: ["Pub Date", "Published", "Publish Date", "Release Date", "Issue Date"] },
+  rr:         { required: true, headers: ["RR Date", "Remediate By"] },
+  cvss:       { headers: ["CVSS", "CVSS Score"] },
+  advisory:   { headers: ["Advisory", "Advisories", "Parent Advisory"] },
+  title:      { headers: ["Title", "Full Title"] },
+  updated:    { headers: ["Updated", "Last Updated", "Modified"] },
+  products:   { headers: ["Affected Products", "Products"] },
+  status:     { headers: ["Advisory Status", "Status"] },
+  revised:    { headers: ["Revised", "Revision"] },
+  done:       { headers: ["Done", "Remediated", "Remediation Status"] },
+  cveList:    { headers: ["CVE List", "CVEs"] },
+  segment:    { headers: ["Segment"] },
+  watchlist:  { headers: ["Watchlist", "Watched"] },
+  environments: { headers: ["Affected Environments", "Environments", "Exposure"] },
+  kev:        { headers: ["KEV", "CISA KEV", "Known Exploited"] },
+  kevDue:     { headers: ["KEV Due", "KEV Due Date"] },
+  epss:       { headers: ["EPSS Percentile", "EPSS"] },
+  feedStatus: { headers: ["Feed Status"] },
+};
+
+/** Optional columns the feed owns: rewritten on matched rows in upsert mode. */
+const TAS_CVE_FEED_COLUMNS = [
+  "cvss", "advisory", "title", "updated", "products", "status", "cveList", "segment", "watchlist", "environments",
+  "kev", "kevDue", "epss",
+];
+
+function tasCVEHeaderKey_(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/** Accepted header names for one column key, built-ins first. */
+function tasCVEColumnAliases_(key) {
+  const extra = TAS_CVE_CONFIG.COLUMN_ALIASES[key] || [];
+  return TAS_CVE_COLUMNS[key].headers.concat(extra);
+}
+
+/**
+ * Header row → { key: 1-based column } for every column key found.
+ * The leftmost matching header wins when a tab has several.
+ */
+function mapTasCVEColumns_(headers) {
+  const byText = {};
+  headers.forEach((h, i) => {
+    const k = tasCVEHeaderKey_(h);
+    if (k && !byText[k]) byText[k] = i + 1;
+  });
+
+  const col = {};
+  Object.keys(TAS_CVE_COLUMNS).forEach(key => {
+    const c = tasCVEColumnAliases_(key)
+      .map(name => byText[tasCVEHeaderKey_(name)])
+      .filter(Boolean)
+      .sort((a, b) => a - b)[0];
+    if (c) col[key] = c;
+  });
+  return col;
+}
+
+function readTasCVEColumns_(sheet) {
+  return mapTasCVEColumns_(sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0]);
+}
+
+/** Cell value of a feed-owned column for one row. */
+function tasCVECellValue_(key, r) {
+  switch (key) {
+    case "rating": return r.severity;
+    case "link": return r.advisoryUrl;
+    case "pub": return r.pub;
+    case "cvss": return r.cvss != null ? r.cvss : "";
+    case "advisory": return r.parentIds || "";
+    case "title": return r.title || "";
+    case "updated": return r.updated || "";
+    case "products": return r.products || "";
+    case "status": return r.status || "";
+    case "cveList": return (r.cves || []).join(", ");
+    case "segment": return r.segment || "";
+    case "watchlist": return (r.watchlist || []).join(", ");
+    case "environments": return (r.environments || []).join("; ");
+    case "kev": return r.kev ? "Yes" : "";
+    case "kevDue": return r.kevDue || "";
+    case "epss": return r.epss != null ? r.epss : "";
+    default: return "";
+  }
+}
+
 /* ================= VALIDATE HEADERS ================= */
 
 function ensureHeadersExist_(sheet) {
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  const col = mapHeaders_(headers);
+  const col = readTasCVEColumns_(sheet);
 
-  const required = ["CVE ID", "RATING", "COMMENTS", "Link", "Pub Date", "RR Date"];
-  const missing = required.filter(h => !col[h]);
+  const missing = Object.keys(TAS_CVE_COLUMNS).filter(k => TAS_CVE_COLUMNS[k].required && !col[k]);
   if (missing.length) {
-    throw new Error(`TasCVE is missing required header(s): ${missing.join(", ")}. Headers must match exactly.`);
+    const names = missing.map(k => TAS_CVE_COLUMNS[k].headers[0]);
+    const accepted = missing.map(k => `${TAS_CVE_COLUMNS[k].headers[0]}: ${tasCVEColumnAliases_(k).join(" / ")}`);
+    throw new Error(`TasCVE is missing required header(s): ${names.join(", ")}. Accepted names: ${accepted.join("; ")}.`);
   }
 }
 
 /* ================= CLEAR EXISTING ROWS ================= */
 
-function clearTasCVERowsInRange_(sheet, range) {
+/** Delete window rows (of the given segments); returns how many were deleted. */
+function clearTasCVERowsInRange_(sheet, range, segments) {
   const lastRow = sheet.getLastRow();
-  if (lastRow < 2) return;
+  if (lastRow < 2) return 0;
 
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  const col = mapHeaders_(headers);
-  const pubCol = col["Pub Date"];
+  const col = readTasCVEColumns_(sheet);
 
-  const values = sheet.getRange(2, pubCol, lastRow - 1, 1).getValues();
+  const values = sheet.getRange(2, col.pub, lastRow - 1, 1).getValues();
+  // Only clear the segments being refreshed when the tab has a Segment column
+  const segValues = col.segment && segments ? readColumn_(sheet, col.segment, lastRow - 1) : null;
 
   const rows = [];
   values.forEach((v, i) => {
     const d = coerceDate_(v[0]);
+    if (segValues && segments.indexOf(rowSegment_(segValues[i])) === -1) return;
     if (d && d >= range.startDate && d <= range.endDate) rows.push(i + 2);
   });
 
-  if (!rows.length) return;
+  if (!rows.length) return 0;
 
   rows.sort((a, b) => a - b);
 
@@ -201,93 +1723,45 @@ function clearTasCVERowsInRange_(sheet, range) {
   }
 
   Logger.log(`Cleared rows in window: ${rows.length}`);
+  return rows.length;
 }
 
-/* ================= FETCH (paged POST) ================= */
-
-function fetchAdvisoriesWindowed_(range) {
-  const results = [];
-  let page = 0;
-
-  for (let i = 0; i < TAS_CVE_CONFIG.MAX_PAGES; i++) {
-    Logger.log(`Fetching page ${page} (pageSize=${TAS_CVE_CONFIG.PAGE_SIZE})...`);
-
-    const payload = {
-      pageNumber: page,
-      pageSize: TAS_CVE_CONFIG.PAGE_SIZE,
-      searchVal: "",
-      segment: TAS_CVE_CONFIG.SEGMENT,
-
-      // Force sort so we can stop early.
-      // If the API ignores this, it still works; it just may need more pages.
-      sortInfo: { column: "published", order: "DESC" },
-    };
-
-    const resp = UrlFetchApp.fetch(TAS_CVE_CONFIG.ENDPOINT_URL, {
-      method: "post",
-      headers: TAS_CVE_CONFIG.HEADERS,
-      payload: JSON.stringify(payload),
-      muteHttpExceptions: true,
-      followRedirects: true,
-    });
-
-    const code = resp.getResponseCode();
-    const body = resp.getContentText();
-    if (code < 200 || code >= 300) {
-      throw new Error(`HTTP ${code} from Broadcom endpoint. Body: ${body.substring(0, 500)}`);
-    }
-
-    const json = JSON.parse(body);
-    const list = Array.isArray(json?.data?.list) ? json.data.list : [];
-    Logger.log(`Page ${page} returned ${list.length} items`);
-
-    // Track oldest publish date on this page (for early stop)
-    let oldestOnPage = null;
-
-    for (const item of list) {
-      const pub = parseBroadcomDate_(item.published);
-      if (!pub) continue;
-
-      if (!oldestOnPage || pub < oldestOnPage) oldestOnPage = pub;
-
-      // Keep only window items
-      if (pub >= range.startDate && pub <= range.endDate) {
-        results.push(item);
-      }
-    }
+/* ================= FETCH (shared client) ================= */
 
-    // Early stop: if sorted DESC, once the oldest date on the page is older than startDate,
-    // subsequent pages will be even older.
-    if (oldestOnPage && oldestOnPage < range.startDate) {
-      Logger.log(`Early stop: oldestOnPage ${oldestOnPage.toISOString()} < startDate ${range.startDate.toISOString()}`);
-      break;
-    }
+function fetchAdvisoriesWindowed_(range, segment, run, searchVal) {
+  const res = broadcomFetchAdvisories_({
+    segment,
+    searchVal,
+    pageSize: getTasCVESettings_().PAGE_SIZE,
+    maxPages: getTasCVESettings_().MAX_PAGES,
+    fromDay: Utilities.formatDate(range.startDate, range.tz, "yyyy-MM-dd"),
+    toDay: Utilities.formatDate(range.endDate, range.tz, "yyyy-MM-dd"),
+  });
 
-    const nextPage = json?.data?.pageInfo?.nextPage;
-    if (nextPage == null) break;
-    page = nextPage;
+  Logger.log(`Fetched windowed advisories total kept=${res.advisories.length} (pages=${res.pages}, earlyStop=${res.earlyStop})`);
+  if (run) {
+    run.pages += res.pages;
+    run.kept += res.advisories.length;
   }
-
-  Logger.log(`Fetched windowed advisories total kept=${results.length}`);
-  return results;
+  return res.advisories;
 }
 
 /* ================= TRANSFORM ================= */
 
-function advisoriesToRows_(advisories, range) {
+/** watchEntries (optional): broadcomReadWatchlist_ entries each row is tagged with. */
+function advisoriesToRows_(advisories, range, watchEntries) {
   const rows = [];
   const seen = new Set();
 
   advisories.forEach(a => {
-    const pub = parseBroadcomDate_(a.published);
+    // a = normalized advisory from broadcom-client.js
+    const pub = parseBroadcomDate_(a.publishedDay);
     if (!pub) return;
     if (pub < range.startDate || pub > range.endDate) return;
 
-    if (a.notificationId == null) return;
-
-    const advisoryId = String(a.notificationId).trim();
-    const severity = (a.severity || "").trim();
-    const link = (a.notificationUrl || "").trim();
+    const advisoryId = a.fullId || a.id;
+    const severity = a.severity;
+    const link = a.url;
     if (!advisoryId || !link) return;
 
     const key = `${advisoryId}|${Utilities.formatDate(pub, range.tz, "yyyy-MM-dd")}|${link}`;
@@ -295,11 +1769,23 @@ function advisoriesToRows_(advisories, range) {
     seen.add(key);
 
     rows.push({
-      advisoryId,              // notificationId
+      advisoryId,              // prefixed code, else notificationId
+      rawId: a.id,             // notificationId, to match rows written before prefixed codes
       advisoryUrl: link,       // notificationUrl
       severity,
       pub,
-      comments: normalizeAndTruncateTitle_(a.title, 60)
+      comments: normalizeAndTruncateTitle_(a.title, 60),
+      title: a.title,
+      updated: a.updated,
+      products: a.products,
+      affectedVersions: a.affectedVersions,
+      fixedVersions: a.fixedVersions,
+      status: a.status,
+      cves: a.cves,
+      cvss: a.cvss,
+      segment: a.segment,
+      watchlist: broadcomWatchlistMatches_(a, watchEntries),
+      parentIds: ""
     });
   });
 
@@ -307,8 +1793,78 @@ function advisoriesToRows_(advisories, range) {
   return rows;
 }
 
+/**
+ * Advisory rows → one row per CVE. Rows arrive newest first, so a CVE seen
+ * in several advisories keeps the newest advisory's link/date and collects
+ * every parent id, the highest CVSS and the highest severity.
+ * Advisories with no CVEs anywhere stay as a single advisory row.
+ */
+function expandRowsByCve_(rows) {
+  const out = [];
+  const byCve = new Map();
+  const deadline = Date.now() + BROADCOM_CLIENT_CONFIG.TIMEOUT_MS;
+  let detailFetches = 0;
+
+  rows.forEach(r => {
+    let cves = r.cves || [];
+    let cvss = r.cvss;
+    let detailChecked = r.detailChecked;
+
+    if (!cves.length && !detailChecked && detailFetches < TAS_CVE_CONFIG.DETAIL_FETCH_LIMIT) {
+      detailFetches++;
+      detailChecked = true;
+      try {
+        const detail = broadcomFetchAdvisoryDetail_(r.advisoryUrl, deadline);
+        cves = detail.cves;
+        if (cvss == null) cvss = detail.cvss;
+      } catch (e) {
+        Logger.log(`Detail fetch failed for ${r.advisoryId}: ${e.message}`);
+      }
+    }
+
+    if (!cves.length) {
+      out.push(Object.assign({}, r, { cvss, detailChecked, parentIds: r.advisoryId }));
+      return;
+    }
+
+    cves.forEach(cve => {
+      const existing = byCve.get(cve);
+      if (existing) {
+        if (existing.parents.indexOf(r.advisoryId) === -1) existing.parents.push(r.advisoryId);
+        if (cvss != null && (existing.cvss == null || cvss > existing.cvss)) existing.cvss = cvss;
+        if (broadcomSeverityRank_(r.severity) > broadcomSeverityRank_(existing.severity)) {
+          existing.severity = r.severity;
+        }
+        (r.watchlist || []).forEach(w => { if (existing.watchlist.indexOf(w) === -1) existing.watchlist.push(w); });
+        (r.environments || []).forEach(e => { if (existing.environments.indexOf(e) === -1) existing.environments.push(e); });
+        return;
+      }
+      const row = Object.assign({}, r, {
+        advisoryId: cve, rawId: "", cvss, parents: [r.advisoryId],
+        watchlist: (r.watchlist || []).slice(), environments: (r.environments || []).slice()
+      });
+      byCve.set(cve, row);
+      out.push(row);
+    });
+  });
+
+  out.forEach(r => {
+    if (r.parents) r.parentIds = r.parents.join(", ");
+  });
+  Logger.log(`Per-CVE expansion: ${byCve.size} unique CVEs, ${detailFetches} detail page(s) fetched`);
+  return out;
+}
+
+/**
+ * Calendar day → local Date at noon (noon avoids DST edges).
+ * Accepts Broadcom's "28 December 2025" and the client's "2025-12-28".
+ */
 function parseBroadcomDate_(s) {
   if (!s) return null;
+
+  const iso = String(s).trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) return new Date(+iso[1], +iso[2] - 1, +iso[3], 12, 0, 0);
+
   const m = String(s).trim().match(/^(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})$/);
   if (!m) return null;
 
@@ -320,51 +1876,267 @@ function parseBroadcomDate_(s) {
   const month = months[m[2].toLowerCase()];
   if (month == null) return null;
 
-  return new Date(+m[3], month, +m[1], 12, 0, 0); // noon avoids DST edges
+  return new Date(+m[3], month, +m[1], 12, 0, 0);
 }
 
 /* ================= WRITE ================= */
 
+/** Append rows below the last row; returns how many were written. */
 function writeRows_(sheet, rows) {
   if (!rows.length) {
     Logger.log("No rows to write (0 advisories found in the selected window).");
-    return;
+    return 0;
   }
 
-  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  const col = mapHeaders_(headers);
+  const width = sheet.getLastColumn();
+  const col = readTasCVEColumns_(sheet);
+  const feedCols = ["rating", "link", "pub"].concat(TAS_CVE_FEED_COLUMNS).filter(k => col[k]);
 
   const out = rows.map(r => {
-    const line = new Array(headers.length).fill("");
+    const line = new Array(width).fill("");
     // CVE ID as hyperlink
-    line[col["CVE ID"] - 1] =
-      `=HYPERLINK("${r.advisoryUrl}", "${r.advisoryId}")`;
-
-    line[col["RATING"] - 1] = r.severity;
+    line[col.id - 1] = hyperlinkFormula_(r.advisoryUrl, r.advisoryId);
 
     // COMMENTS = truncated title
-    line[col["COMMENTS"] - 1] = r.comments;
+    line[col.comments - 1] = r.comments;
 
-    line[col["Link"] - 1] = r.advisoryUrl;
-    line[col["Pub Date"] - 1] = r.pub;
+    feedCols.forEach(k => { line[col[k] - 1] = tasCVECellValue_(k, r); });
+    if (col.revised) line[col.revised - 1] = r.revised || "";
+    if (TAS_CVE_CONFIG.SLA.ENABLED) line[col.rr - 1] = rowDueDate_(r) || "";
     return line;
   });
 
   sheet.getRange(sheet.getLastRow() + 1, 1, out.length, out[0].length).setValues(out);
 
-  sheet.getRange(2, col["Pub Date"], Math.max(sheet.getLastRow() - 1, 1), 1)
-    .setNumberFormat("yyyy-mm-dd");
+  const n = Math.max(sheet.getLastRow() - 1, 1);
+  sheet.getRange(2, col.pub, n, 1).setNumberFormat("yyyy-mm-dd");
+  if (TAS_CVE_CONFIG.SLA.ENABLED) sheet.getRange(2, col.rr, n, 1).setNumberFormat("yyyy-mm-dd");
+  if (col.updated) sheet.getRange(2, col.updated, n, 1).setNumberFormat("yyyy-mm-dd hh:mm");
+  if (col.kevDue) sheet.getRange(2, col.kevDue, n, 1).setNumberFormat("yyyy-mm-dd");
+  if (col.epss) sheet.getRange(2, col.epss, n, 1).setNumberFormat("0%");
+  return out.length;
 }
 
-/* ================= HELPERS ================= */
+/* ================= UPSERT ================= */
 
-function mapHeaders_(headers) {
-  const m = {};
-  headers.forEach((h, i) => {
-    if (!h) return;
-    m[String(h).trim()] = i + 1;
+/**
+ * Merge rows into the sheet keyed on the CVE ID cell's text.
+ * Only machine-owned columns are rewritten on existing rows; each column
+ * is read and written back whole so human-owned cells never round-trip.
+ * RR Date is shared with people: only the cells that change are written,
+ * and cells holding a formula are never touched.
+ * Ids in skipIds (left out by the watchlist, not gone) are never marked missing.
+ */
+function upsertRows_(sheet, rows, range, segments, skipIds) {
+  const statusCol = ensureOptionalHeader_(sheet, "feedStatus");
+  const col = readTasCVEColumns_(sheet);
+
+  const lastRow = sheet.getLastRow();
+  const n = Math.max(lastRow - 1, 0);
+
+  // Rows stored under the bare notificationId match too (and get the prefixed code)
+  const incoming = new Map();
+  rows.forEach(r => advisoryIdKeys_(r).forEach(k => { if (!incoming.has(k)) incoming.set(k, r); }));
+  const fresh = [];
+  let updated = 0, missing = 0;
+
+  if (n > 0) {
+    const idRange = sheet.getRange(2, col.id, n, 1);
+    const idValues = idRange.getValues();
+    const idFormulas = idRange.getFormulas();
+
+    // rating / link / pub always, optional feed columns when present
+    const cols = {};
+    ["rating", "link", "pub"].concat(TAS_CVE_FEED_COLUMNS).forEach(k => {
+      if (col[k]) cols[k] = readColumn_(sheet, col[k], n);
+    });
+    const status = readColumn_(sheet, statusCol, n);
+    const revised = col.revised ? readColumn_(sheet, col.revised, n) : null;
+    const rr = TAS_CVE_CONFIG.SLA.ENABLED ? readColumn_(sheet, col.rr, n) : null;
+    const rrFormulas = rr ? sheet.getRange(2, col.rr, n, 1).getFormulas() : null;
+    const rrChanged = [];
+    const ids = idValues.map((v, i) => idFormulas[i][0] || v[0]);
+
+    const matched = new Set();
+    idValues.forEach((v, i) => {
+      const key = String(v[0] || "").trim();
+      if (!key) return;
+      const r = incoming.get(key);
+
+      if (r) {
+        matched.add(r);
+        updated++;
+        // RR Date: fill blanks, and follow severity / KEV changes of dates we computed
+        if (rr && !rrFormulas[i][0] && (!rr[i] || sameDay_(rr[i], slaDueDate_(cols.rating[i], coerceDate_(cols.pub[i]))) ||
+            (cols.kevDue && sameDay_(rr[i], coerceDate_(cols.kevDue[i]))))) {
+          const due = rowDueDate_(r) || "";
+          if (due ? !sameDay_(rr[i], due) : rr[i] !== "") {
+            rr[i] = due;
+            rrChanged.push(i);
+          }
+        }
+        ids[i] = hyperlinkFormula_(r.advisoryUrl, r.advisoryId);
+        Object.keys(cols).forEach(k => { cols[k][i] = tasCVECellValue_(k, r); });
+        if (revised && r.revised) revised[i] = r.revised;
+        status[i] = "";
+        return;
+      }
+
+      if (cols.segment && segments && segments.indexOf(rowSegment_(cols.segment[i])) === -1) return;
+      if (skipIds && skipIds.has(key)) return;
+
+      // In the window but gone from the feed → mark, don't delete
+      const d = coerceDate_(cols.pub[i]);
+      if (d && d >= range.startDate && d <= range.endDate && !status[i]) {
+        status[i] = `Not in feed since ${Utilities.formatDate(new Date(), range.tz, "yyyy-MM-dd")}`;
+        missing++;
+      }
+    });
+
+    writeColumn_(sheet, col.id, ids);
+    Object.keys(cols).forEach(k => writeColumn_(sheet, col[k], cols[k]));
+    writeColumn_(sheet, statusCol, status);
+    if (revised) writeColumn_(sheet, col.revised, revised);
+    if (rr) writeCells_(sheet, col.rr, rr, rrChanged);
+
+    rows.forEach(r => { if (!matched.has(r)) fresh.push(r); });
+  } else {
+    fresh.push(...rows);
+  }
+
+  writeRows_(sheet, fresh);
+  Logger.log(`Upsert: updated=${updated}, appended=${fresh.length}, marked missing=${missing}`);
+  return { updated, appended: fresh.length, missing };
+}
+
+/* ================= REVISIONS ================= */
+
+const TAS_CVE_HISTORY_HEADERS = ["Detected", "ID", "Field", "Before", "After", "Link", "Tab"];
+
+/** id → { severity, updated, title, revised } as currently stored (first row per id). */
+function readStoredRevisionState_(sheet) {
+  const stored = new Map();
+  const n = sheet.getLastRow() - 1;
+  if (n < 1) return stored;
+
+  const col = readTasCVEColumns_(sheet);
+  const ids = readColumn_(sheet, col.id, n);
+  const severity = readColumn_(sheet, col.rating, n);
+  const updated = col.updated ? readColumn_(sheet, col.updated, n) : null;
+  const title = col.title ? readColumn_(sheet, col.title, n) : null;
+  const revised = col.revised ? readColumn_(sheet, col.revised, n) : null;
+
+  ids.forEach((v, i) => {
+    const id = String(v || "").trim();
+    if (!id || stored.has(id)) return;
+    stored.set(id, {
+      severity: String(severity[i] || "").trim(),
+      updated: updated ? coerceDate_(updated[i]) : null,
+      title: title ? String(title[i] || "").trim() : null,
+      revised: revised ? String(revised[i] || "") : "",
+    });
   });
-  return m;
+  return stored;
+}
+
+/**
+ * Compare fresh rows with the stored snapshot. Sets r.revised on every row
+ * that was stored before: a new marker when something changed, otherwise
+ * the stored marker (replace mode rewrites the row). Returns one change per
+ * field: { id, field, before, after, link }.
+ * Blank stored values (e.g. a just-added Updated column) never count.
+ */
+function detectRevisions_(rows, stored, tz) {
+  const today = Utilities.formatDate(new Date(), tz, "yyyy-MM-dd");
+  const stamp = d => Utilities.formatDate(d, tz, "yyyy-MM-dd HH:mm:ss");
+  const changes = [];
+
+  rows.forEach(r => {
+    const prev = advisoryIdKeys_(r).map(k => stored.get(k)).find(Boolean);
+    if (!prev) return;
+
+    const fields = [];
+    const add = (field, before, after) => {
+      fields.push(field);
+      changes.push({ id: r.advisoryId, field, before, after, link: r.advisoryUrl });
+    };
+
+    if (prev.updated && r.updated &&
+        Math.floor(prev.updated.getTime() / 1000) !== Math.floor(r.updated.getTime() / 1000)) {
+      add("Updated", stamp(prev.updated), stamp(r.updated));
+    }
+    if (prev.severity && r.severity && prev.severity.toLowerCase() !== String(r.severity).trim().toLowerCase()) {
+      add("Severity", prev.severity, r.severity);
+    }
+    if (prev.title && r.title && prev.title !== String(r.title).trim()) {
+      add("Title", prev.title, r.title);
+    }
+
+    r.revised = fields.length ? `Revised ${today}: ${fields.join(", ")}` : prev.revised;
+  });
+
+  Logger.log(`Revisions: ${changes.length} changed field(s)`);
+  return changes;
+}
+
+/** Append changes to the History tab (created on first use). */
+function appendRevisionHistory_(sheet, changes, tz) {
+  if (!changes.length) return;
+
+  const ss = sheet.getParent();
+  const name = TAS_CVE_CONFIG.REVISIONS.HISTORY_TAB;
+  let history = ss.getSheetByName(name);
+  if (!history) {
+    history = ss.insertSheet(name);
+    history.getRange(1, 1, 1, TAS_CVE_HISTORY_HEADERS.length)
+      .setValues([TAS_CVE_HISTORY_HEADERS])
+      .setFontWeight("bold");
+    history.setFrozenRows(1);
+  }
+
+  const detected = Utilities.formatDate(new Date(), tz, "yyyy-MM-dd HH:mm");
+  const out = changes.map(c => [detected, c.id, c.field, c.before, c.after, c.link, sheet.getName()]);
+  history.getRange(history.getLastRow() + 1, 1, out.length, out[0].length).setValues(out);
+}
+
+/**
+ * Column of an optional key (any accepted header name); when absent, the
+ * first name is appended at the end of row 1.
+ */
+function ensureOptionalHeader_(sheet, key) {
+  const width = sheet.getLastColumn();
+  const col = readTasCVEColumns_(sheet);
+  if (col[key]) return col[key];
+  const c = width + 1;
+  sheet.getRange(1, c).setValue(TAS_CVE_COLUMNS[key].headers[0]);
+  return c;
+}
+
+function readColumn_(sheet, col, n) {
+  return sheet.getRange(2, col, n, 1).getValues().map(v => v[0]);
+}
+
+function writeColumn_(sheet, col, values) {
+  if (!values.length) return;
+  sheet.getRange(2, col, values.length, 1).setValues(values.map(v => [v]));
+}
+
+/** Write values[i] for the ascending row indexes in changed, one range per contiguous run. */
+function writeCells_(sheet, col, values, changed) {
+  for (let k = 0; k < changed.length;) {
+    let end = k;
+    while (end + 1 < changed.length && changed[end + 1] === changed[end] + 1) end++;
+    sheet.getRange(2 + changed[k], col, end - k + 1, 1)
+      .setValues(changed.slice(k, end + 1).map(i => [values[i]]));
+    k = end + 1;
+  }
+}
+
+/* ================= HELPERS ================= */
+
+function hyperlinkFormula_(url, label) {
+  const esc = s => String(s == null ? "" : s).replace(/"/g, '""');
+  return `=HYPERLINK("${esc(url)}", "${esc(label)}")`;
 }
 
 function coerceDate_(v) {
@@ -377,62 +2149,25 @@ function coerceDate_(v) {
 /* ================= DEBUG ================= */
 
 function debugTasCVE_fetchFirstPage() {
-  const payload = {
-    pageNumber: 0,
-    pageSize: 20,
-    searchVal: "",
-    segment: TAS_CVE_CONFIG.SEGMENT,
-    sortInfo: { column: "", order: "" },
-  };
-
-  const resp = UrlFetchApp.fetch(TAS_CVE_CONFIG.ENDPOINT_URL, {
-    method: "post",
-    headers: TAS_CVE_CONFIG.HEADERS,
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true,
-    followRedirects: true,
-  });
-
-  const body = resp.getContentText();
-  const json = JSON.parse(body);
-
-  Logger.log(`HTTP ${resp.getResponseCode()}`);
-  Logger.log(`success=${json?.success === true}, listLen=${json?.data?.list?.length || 0}`);
-
-  if (json?.data?.list?.length) {
-    Logger.log("First item: " + JSON.stringify(json.data.list[0], null, 2));
-  }
+  tasCVE_debugFetchFirstPage();
 }
 
 function tasCVE_debugFetchFirstPage() {
-  const payload = {
-    pageNumber: 0,
-    pageSize: 20,
-    searchVal: "",
-    segment: TAS_CVE_CONFIG.SEGMENT, // "VT"
-    sortInfo: { column: "", order: "" },
-  };
+  const payload = broadcomBuildPayload_({ segment: getTasCVESettings_().SEGMENTS[0], pageSize: 20 }, 0);
+  const res = broadcomRequest_(payload);
 
-  const resp = UrlFetchApp.fetch(TAS_CVE_CONFIG.ENDPOINT_URL, {
-    method: "post",
-    headers: TAS_CVE_CONFIG.HEADERS,
-    contentType: "application/json",
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true,
-  });
-
-  const code = resp.getResponseCode();
-  const text = resp.getContentText();
-  console.log(`HTTP ${code}`);
-  if (code < 200 || code >= 300) throw new Error(text);
+  Logger.log(`HTTP ${res.code} (attempts=${res.attempts})`);
+  if (res.code < 200 || res.code >= 300) throw new Error(res.text.substring(0, 500));
 
-  const json = JSON.parse(text);
-  console.log(`success=${json.success}, listLen=${json?.data?.list?.length}`);
+  const list = res.json?.data?.list || [];
+  Logger.log(`success=${res.json?.success === true}, listLen=${list.length}`);
 
-  const first = json?.data?.list?.[0];
-  console.log("First item:", JSON.stringify(first, null, 2));
+  if (list.length) {
+    Logger.log("First item: " + JSON.stringify(list[0], null, 2));
+    Logger.log("Normalized: " + JSON.stringify(normalizeAdvisory_(list[0]), null, 2));
+  }
 
-  return json?.data?.list?.length || 0;
+  return list.length;
 }
 
 function normalizeAndTruncateTitle_(title, maxLen) {
@@ -2,6 +2,7 @@ function onOpen() {
   DocumentApp.getUi()
     .createMenu('Broadcom CVEs')
     .addItem('Fetch advisories (JSON)', 'showFetcher')
+    .addItem('Paste CSV (manual fallback)…', 'showPasteDialog')
     .addToUi();
 }
 
@@ -20,27 +21,264 @@ function getDefaults_() {
     fromDate: Utilities.formatDate(from, tz, 'yyyy-MM-dd'),
     toDate:   Utilities.formatDate(now,  tz, 'yyyy-MM-dd'),
     segment:  'VT',
-    pageSize: 10000
+    pageSize: 10000,
+    groupBySeverity: false,
+    summary: false,
+    mode: 'replace',
+    search: '',
+    watchlist: 'highlight'
   };
 }
 
+/**
+ * Sidebar report options → { groupBySeverity, summary, mode: 'replace' | 'append',
+ * watchlist: 'off' | 'highlight' | 'only' }.
+ */
+function reportOptions_(params) {
+  params = params || {};
+  return {
+    groupBySeverity: params.groupBySeverity === true || params.groupBySeverity === 'true',
+    summary: params.summary === true || params.summary === 'true',
+    mode: params.mode === 'append' ? 'append' : 'replace',
+    watchlist: ['highlight', 'only'].indexOf(params.watchlist) !== -1 ? params.watchlist : 'off'
+  };
+}
+
+/**
+ * Body ready for a new report: cleared in 'replace' mode; in 'append' mode
+ * existing content stays and a horizontal rule separates the new section.
+ */
+function prepareReportBody_(options) {
+  const body = DocumentApp.getActiveDocument().getBody();
+  if (options.mode !== 'append') {
+    clearBody_(body);
+  } else if (body.getText().trim()) {
+    body.appendHorizontalRule();
+  }
+  return body;
+}
+
 /** === Public: used by "Fetch & Insert" button === */
 function runFetchAndInsert(params) {
-  const { fromDate, toDate, segment, pageSize } = params || {};
-  const items = fetchAdvisories_(fromDate, toDate, segment, pageSize);
+  const { fromDate, toDate, segment, search } = params || {};
+  const run = broadcomStartRun_({ source: 'Doc sidebar', window: `${fromDate} → ${toDate}`, segment: segment || 'VT' });
+
+  try {
+    const options = reportOptions_(params);
+    const items = fetchReportItems_(params, options, run);
+
+    const body = prepareReportBody_(options);
+    writeAdvisoryReport_(body, items, { fromDate, toDate, segment, search, source: 'support.broadcom.com' }, options);
+    run.written = items.length;
+
+    return { count: items.length, segment, fromDate, toDate, mode: options.mode };
+  } catch (err) {
+    run.error = String(err && err.message || err);
+    throw err;
+  } finally {
+    writeDocRunLog_(run);
+  }
+}
+
+/**
+ * Sidebar params → the Doc rows a report would hold: fetched, tagged and,
+ * in 'only' mode, narrowed to watchlist matches. Sets options.watchlist to
+ * 'off' when there is no watchlist.
+ */
+function fetchReportItems_(params, options, run) {
+  const { fromDate, toDate, segment, pageSize, search } = params || {};
+  const watch = readDocWatchlist_(options.watchlist);
+  const fetched = fetchAdvisories_(fromDate, toDate, segment, pageSize, run, { search, watchlist: watch });
+  return filterWatchedItems_(fetched, options, watch);
+}
+
+/* ================= PREVIEW ================= */
+
+/**
+ * === Public: used by "Preview" button (no document changes) ===
+ * The rows Fetch & Insert would write, each with its severity rank for the
+ * sidebar's sort and filter, plus the window / watchlist mode they were
+ * fetched with (insertSelectedAdvisories reports under the same ones).
+ */
+function previewAdvisories(params) {
+  const { fromDate, toDate, segment, search } = params || {};
+  const options = reportOptions_(params);
+  const items = fetchReportItems_(params, options, null);
+  return {
+    items: items.map(o => Object.assign({ rank: broadcomSeverityRank_(o.level) }, o)),
+    fromDate,
+    toDate,
+    segment: segment || 'VT',
+    search: search || '',
+    watchlist: options.watchlist
+  };
+}
+
+/**
+ * === Public: used by the preview's "Insert selected" button ===
+ * Writes the report for the rows ticked in the preview, in the order shown.
+ * params: the preview's window / search / watchlist plus the report options;
+ * total: how many rows the preview had, noted on the source line.
+ */
+function insertSelectedAdvisories(params, selected, total) {
+  const { fromDate, toDate, segment, search } = params || {};
+  const run = broadcomStartRun_({
+    source: 'Doc sidebar (selection)', window: `${fromDate} → ${toDate}`, segment: segment || 'VT'
+  });
+
+  try {
+    const options = reportOptions_(params);
+    const items = (selected || []).map(docRowFromPreview_).filter(Boolean);
+    if (!items.length) throw new Error('Nothing selected: tick at least one advisory in the preview.');
+    run.kept = items.length;
+
+    const body = prepareReportBody_(options);
+    writeAdvisoryReport_(body, items,
+      { fromDate, toDate, segment, search, source: 'support.broadcom.com', total: Number(total) || items.length }, options);
+    run.written = items.length;
+
+    return { count: items.length, segment, fromDate, toDate, mode: options.mode };
+  } catch (err) {
+    run.error = String(err && err.message || err);
+    throw err;
+  } finally {
+    writeDocRunLog_(run);
+  }
+}
+
+/** Row sent back from the sidebar → Doc row (strings only, https links only), or null without an id. */
+function docRowFromPreview_(o) {
+  if (!o || !o.id) return null;
+  const str = v => String(v == null ? '' : v).trim();
+  const url = str(o.url);
+  return {
+    id: str(o.id),
+    issueDate: str(o.issueDate),
+    title: str(o.title),
+    level: str(o.level),
+    url: /^https:\/\//i.test(url) ? url : '',
+    watchlist: Array.isArray(o.watchlist) ? o.watchlist.map(str).filter(Boolean) : []
+  };
+}
+
+/* ================= WATCHLIST ================= */
+
+// Script Property with the spreadsheet holding the Watchlist tab; when unset,
+// RUNLOG_SPREADSHEET_ID (usually the TasCVE spreadsheet, whose tab the
+// Sheet exporter reads too).
+const WATCHLIST_SPREADSHEET_PROPERTY = 'WATCHLIST_SPREADSHEET_ID';
+const WATCHLIST_TAB = 'Watchlist';
+const WATCHLIST_HIGHLIGHT_COLOR = '#d2e3fc';
+
+/**
+ * Watchlist entries (see broadcomReadWatchlist_), or null when the mode is
+ * 'off', no spreadsheet is set or it has no Watchlist tab. 'only' without
+ * a watchlist throws rather than writing an empty report.
+ */
+function readDocWatchlist_(mode) {
+  if (mode === 'off') return null;
+  const props = PropertiesService.getScriptProperties();
+  const id = props.getProperty(WATCHLIST_SPREADSHEET_PROPERTY) || props.getProperty(RUN_LOG_SPREADSHEET_PROPERTY);
+  let ss = null;
+  if (id) {
+    try {
+      ss = SpreadsheetApp.openById(id);
+    } catch (e) {
+      if (mode === 'only') throw e;
+      Logger.log(`Watchlist spreadsheet ${id} not readable, reporting without tags: ${e.message}`);
+    }
+  }
+  const entries = ss ? broadcomReadWatchlist_(ss, WATCHLIST_TAB) : null;
+  if (!entries && mode === 'only') {
+    throw new Error(`"Only watchlist matches" needs a "${WATCHLIST_TAB}" tab in the spreadsheet set in ${WATCHLIST_SPREADSHEET_PROPERTY}.`);
+  }
+  return entries;
+}
 
-  const doc = DocumentApp.getActiveDocument();
-  const body = doc.getBody();
-  clearBody_(body);
+/**
+ * Tagged Doc rows → the rows to report: only watched ones in 'only' mode.
+ * Without a watchlist the report falls back to options.watchlist 'off'.
+ */
+function filterWatchedItems_(items, options, watch) {
+  if (!watch) {
+    options.watchlist = 'off';
+    return items;
+  }
+  return options.watchlist === 'only' ? items.filter(o => o.watchlist.length) : items;
+}
+
+/* ================= RUN LOG ================= */
+
+// Script Property with the spreadsheet that holds the RunLog tab (e.g. the
+// TasCVE spreadsheet, so sheet and Doc runs share one audit trail).
+const RUN_LOG_SPREADSHEET_PROPERTY = 'RUNLOG_SPREADSHEET_ID';
+const RUN_LOG_TAB = 'RunLog';
+
+/** Append the run to the RunLog tab; only the execution log when no spreadsheet is set. */
+function writeDocRunLog_(run) {
+  const id = PropertiesService.getScriptProperties().getProperty(RUN_LOG_SPREADSHEET_PROPERTY);
+  if (!id) {
+    Logger.log(`${RUN_LOG_SPREADSHEET_PROPERTY} not set; run: ${JSON.stringify(run)}`);
+    return;
+  }
+  try {
+    broadcomAppendRunLog_(SpreadsheetApp.openById(id), RUN_LOG_TAB, run);
+  } catch (e) {
+    Logger.log(`RunLog write failed: ${e.message}. Run: ${JSON.stringify(run)}`);
+  }
+}
+
+const SEVERITY_LABELS = { 4: 'Critical', 3: 'High', 2: 'Medium', 1: 'Low', 0: 'Unrated' };
+
+/**
+ * Title, source line, optional summary, then one Id | Release Date | Title |
+ * Level table (or one per severity, highest first), total.
+ * meta.total (optional): rows the items were picked from, for curated reports.
+ * Returns the tables written.
+ */
+function writeAdvisoryReport_(body, items, meta, options) {
+  const { fromDate, toDate, segment, search, source, total } = meta;
+  options = options || {};
 
   const titleText = `Broadcom Security Advisories – ${segment} (${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd')})`;
   body.appendParagraph(titleText).setHeading(DocumentApp.ParagraphHeading.HEADING1);
-  body.appendParagraph(`Source: support.broadcom.com | Window: ${fromDate} to ${toDate} (UTC) | Segment=${segment}`)
-      .setItalic(true);
+  let sourceLine = `Source: ${source} | Window: ${fromDate} to ${toDate} (UTC) | Segment=${segment}`;
+  if (search) sourceLine += ` | Search="${search}"`;
+  if (options.watchlist === 'only') sourceLine += ' | Watchlist matches only';
+  if (total && total !== items.length) sourceLine += ` | ${items.length} of ${total} advisories selected`;
+  body.appendParagraph(sourceLine).setItalic(true);
+
+  if (options.summary) writeReportSummary_(body, items);
+
+  const tables = [];
+  if (options.groupBySeverity) {
+    groupBySeverity_(items).forEach(g => {
+      body.appendParagraph(`${g.label} (${g.items.length})`).setHeading(DocumentApp.ParagraphHeading.HEADING2);
+      tables.push(appendAdvisoryTable_(body, g.items, options));
+    });
+  } else {
+    tables.push(appendAdvisoryTable_(body, items, options));
+  }
+
+  body.appendParagraph(`Total advisories: ${items.length}`).setBold(true);
+  return tables;
+}
 
+/**
+ * Styled Id | Release Date | Title | Level table with linked ids, plus a
+ * Watchlist column (and shaded matching rows in 'highlight' mode) when
+ * options.watchlist is on.
+ */
+function appendAdvisoryTable_(body, items, options) {
+  options = options || {};
+  const watched = options.watchlist === 'highlight' || options.watchlist === 'only';
   // New columns: Id | Release Date | Title | Level
   const header = ['Id', 'Release Date', 'Title', 'Level'];
   const values = items.map(o => [o.id, o.issueDate, o.title, o.level]);
+  if (watched) {
+    header.push('Watchlist');
+    values.forEach((v, i) => v.push((items[i].watchlist || []).join(', ')));
+  }
   const table = body.appendTable([header, ...values]);
 
   // Style header
@@ -68,236 +306,287 @@ function runFetchAndInsert(params) {
     }
   }
 
-  body.appendParagraph(`Total advisories: ${items.length}`).setBold(true);
-  return { count: items.length, segment, fromDate, toDate };
+  if (options.watchlist === 'highlight') {
+    items.forEach((item, i) => {
+      if (!item.watchlist || !item.watchlist.length) return;
+      const row = table.getRow(i + 1);
+      for (let c = 0; c < row.getNumCells(); c++) row.getCell(c).setBackgroundColor(WATCHLIST_HIGHLIGHT_COLOR);
+    });
+  }
+  return table;
 }
 
-/** === Public: used by new "Test fetch" button (no document changes) === */
-function testFetch(params) {
-  const payload = {
-    fromDate: params.fromDate,
-    toDate: params.toDate,
-    pageNumber: 0,
-    pageSize: Number(params.pageSize || 10000),
-    searchVal: '',
-    segment: params.segment || 'VT',
-    sortInfo: { column: '', order: '' }
-  };
+/** Doc rows → [{ label, items }] ordered Critical → Unrated; empty groups omitted. */
+function groupBySeverity_(items) {
+  const byRank = {};
+  items.forEach(o => {
+    const rank = broadcomSeverityRank_(o.level);
+    (byRank[rank] = byRank[rank] || []).push(o);
+  });
+  return Object.keys(byRank)
+    .map(Number)
+    .sort((a, b) => b - a)
+    .map(rank => ({ label: SEVERITY_LABELS[rank], items: byRank[rank] }));
+}
 
-  const endpoint = 'https://support.broadcom.com/web/ecx/security-advisory/-/securityadvisory/getSecurityAdvisoryList';
-  const options = {
-    method: 'post',
-    contentType: 'application/json;charset=UTF-8',
-    muteHttpExceptions: true,
-    headers: {
-      accept: 'application/json, text/plain, */*',
-      origin: 'https://support.broadcom.com',
-      referer: 'https://support.broadcom.com/web/ecx/security-advisory?segment=' + payload.segment,
-      'User-Agent': 'Mozilla/5.0 (AppsScript)'
-    },
-    payload: JSON.stringify(payload)
-  };
+/** Counts per severity plus newest / oldest release date. */
+function writeReportSummary_(body, items) {
+  body.appendParagraph('Summary').setHeading(DocumentApp.ParagraphHeading.HEADING2);
 
-  const resp = UrlFetchApp.fetch(endpoint, options);
-  const status = resp.getResponseCode();
-  const text = resp.getContentText() || '';
-  let json, list = [];
-  let firstKeys = [], firstItemSample = '';
-  try {
-    json = JSON.parse(text);
-    list = (((json || {}).data || {}).list) || [];
-    if (list.length) {
-      firstKeys = Object.keys(list[0]).sort();
-      firstItemSample = JSON.stringify(list[0], null, 2).slice(0, 1500);
-    }
-  } catch (e) {
-    // leave as-is
+  const rows = groupBySeverity_(items).map(g => [g.label, String(g.items.length)]);
+  const table = body.appendTable([['Severity', 'Count'], ...rows, ['Total', String(items.length)]]);
+  const headerRow = table.getRow(0);
+  for (let i = 0; i < headerRow.getNumCells(); i++) {
+    headerRow.getCell(i).editAsText().setBold(true);
+    headerRow.getCell(i).setBackgroundColor('#eeeeee');
   }
 
-  return {
-    httpStatus: status,
-    payloadUsed: payload,
-    rawLength: text.length,
-    listLength: list.length,
-    sampleIds: list.slice(0, 5).map(x =>
-      x.notificationId || x.notificationID || x.notificationNo ||
-      x.advisoryId || x.id || x.vmsaId || x.vmsa || null
-    ),
-    firstItemKeys: firstKeys,
-    firstItemSample: firstItemSample,
-    rawSnippet: list.length ? '' : text.slice(0, 1500)
-  };
+  const days = items.map(o => o.issueDate).filter(Boolean).sort();
+  body.appendParagraph(days.length
+    ? `Newest: ${days[days.length - 1]} | Oldest: ${days[0]}`
+    : 'No advisories in this window.');
 }
 
-/** Internal fetcher used by runFetchAndInsert */
-function fetchAdvisories_(fromDate, toDate, segment, pageSize) {
-  if (!fromDate || !toDate) throw new Error('Please provide fromDate and toDate (YYYY-MM-DD).');
-  segment = segment || 'VT';
-  pageSize = Number(pageSize || 10000);
-
-  const endpoint = 'https://support.broadcom.com/web/ecx/security-advisory/-/securityadvisory/getSecurityAdvisoryList';
-  let pageNumber = 0, all = [];
-
-  while (true) {
-    const payload = {
-      fromDate, toDate, pageNumber, pageSize,
-      searchVal: '', segment, sortInfo: { column: '', order: '' }
-    };
-
-    const options = {
-      method: 'post',
-      contentType: 'application/json;charset=UTF-8',
-      muteHttpExceptions: true,
-      headers: {
-        accept: 'application/json, text/plain, */*',
-        origin: 'https://support.broadcom.com',
-        referer: 'https://support.broadcom.com/web/ecx/security-advisory?segment=' + segment,
-        'User-Agent': 'Mozilla/5.0 (AppsScript)'
-      },
-      payload: JSON.stringify(payload)
-    };
-
-    const resp = UrlFetchApp.fetch(endpoint, options);
-    const code = resp.getResponseCode();
-    if (code !== 200) throw new Error(`Fetch failed (${code}): ${resp.getContentText().slice(0, 500)}`);
-
-    const json = JSON.parse(resp.getContentText() || '{}');
-    const list = (((json || {}).data || {}).list) || [];
-    all.push(...list);
-
-    if (list.length < pageSize) break; // end of pages
-    pageNumber += 1;
-    Utilities.sleep(200);
-  }
+/* ================= MANUAL CSV FALLBACK ================= */
 
-  // ---------- helpers ----------
-  const pick = (obj, keys, fallback='') => {
-    for (let k of keys) {
-      if (obj != null && obj[k] != null && String(obj[k]).trim() !== '') return obj[k];
-    }
-    return fallback;
-  };
+/**
+ * Menu / sidebar: open paste_dialog with a cURL+jq command for the chosen
+ * segment and window. Used when Apps Script can't reach support.broadcom.com.
+ */
+function showPasteDialog(params) {
+  const defaults = getDefaults_();
+  params = params || {};
+  const segment = params.segment || defaults.segment;
+  const fromDate = params.fromDate || defaults.fromDate;
+  const toDate = params.toDate || defaults.toDate;
+  const search = params.search || '';
+
+  const tmpl = HtmlService.createTemplateFromFile('paste_dialog');
+  tmpl.curl = buildCurlCommand_(segment, fromDate, toDate, search);
+  tmpl.search = search;
+  tmpl.segment = segment;
+  tmpl.fromDate = fromDate;
+  tmpl.toDate = toDate;
+  tmpl.report = reportOptions_(params);
+  DocumentApp.getUi().showModalDialog(
+    tmpl.evaluate().setWidth(640).setHeight(620),
+    'Broadcom CVEs – paste CSV'
+  );
+}
 
-  // Very-tolerant date parser for common Broadcom shapes
-  const toDateObj = (val) => {
-    if (val === null || val === undefined || val === '') return null;
+/** Same POST the client sends, piped through jq into the CSV insertCsvIntoDoc reads. */
+function buildCurlCommand_(segment, fromDate, toDate, searchVal) {
+  const payload = broadcomBuildPayload_({ segment, fromDay: fromDate, toDay: toDate, pageSize: 10000, searchVal }, 0);
+  const opts = broadcomRequestOptions_(payload);
+
+  const jq = '["notificationId","published","title","severity","notificationUrl","supportProducts"], ' +
+    '(.data.list[] | [.notificationId, .published, .title, .severity, .notificationUrl, ' +
+    '(.supportProducts // "" | if type == "array" then map(.productName? // .name? // .) | join(", ") else . end)]) | @csv';
+
+  return [
+    `curl -sS -X POST ${shellQuote_(BROADCOM_CLIENT_CONFIG.ENDPOINT_URL)} \\`,
+    `  -H ${shellQuote_(`accept: ${opts.headers.accept}`)} \\`,
+    `  -H ${shellQuote_(`content-type: ${opts.contentType}`)} \\`,
+    `  -H ${shellQuote_(`origin: ${opts.headers.origin}`)} \\`,
+    `  -H ${shellQuote_(`referer: ${opts.headers.referer}`)} \\`,
+    `  --data-raw ${shellQuote_(opts.payload)} \\`,
+    `  | jq -r ${shellQuote_(jq)}`
+  ].join('\n');
+}
 
-    // numeric (epoch seconds or ms)
-    if (typeof val === 'number') {
-      // treat <1e12 as seconds
-      const ms = val < 1e12 ? val * 1000 : val;
-      const d = new Date(ms);
-      return isNaN(d) ? null : d;
-    }
+/** Single-quote for sh: a search term like O'Brien must not end the argument early. */
+function shellQuote_(s) {
+  return `'${String(s).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * === Public: used by paste_dialog "Insert" button ===
+ * Parses pasted CSV (API field names, this Doc's table headers or TasCVE
+ * headers all work), then writes the same report as runFetchAndInsert.
+ */
+function insertCsvIntoDoc(csv, meta) {
+  meta = meta || {};
+  const run = broadcomStartRun_({
+    source: 'Doc CSV paste',
+    window: `${meta.fromDate || '?'} → ${meta.toDate || '?'}`,
+    segment: meta.segment || 'VT'
+  });
+  try {
+    const count = insertCsvItems_(csv, meta);
+    run.kept = run.written = count;
+    return `Inserted ${count} advisories.`;
+  } catch (err) {
+    run.error = String(err && err.message || err);
+    throw err;
+  } finally {
+    writeDocRunLog_(run);
+  }
+}
 
-    let s = String(val).trim();
-    if (!s) return null;
+/** Parse the pasted CSV and write the report; returns the number of advisories. */
+function insertCsvItems_(csv, meta) {
+  const options = reportOptions_(meta);
+  const watch = readDocWatchlist_(options.watchlist);
+  const rows = parseCsv_(csv);
+  if (rows.length < 1) throw new Error('Nothing to insert: the pasted CSV is empty.');
 
-    // plain yyyy-mm-dd -> UTC midnight
-    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return new Date(s + 'T00:00:00Z');
+  const fieldByCol = mapCsvHeaders_(rows[0]);
+  if (fieldByCol.indexOf('notificationId') === -1) {
+    throw new Error(`No Id column found in CSV header: ${rows[0].join(', ')}`);
+  }
 
-    // yyyy/mm/dd
-    if (/^\d{4}\/\d{2}\/\d{2}$/.test(s)) {
-      const [Y, M, D] = s.split('/');
-      const d = new Date(Date.UTC(Number(Y), Number(M) - 1, Number(D)));
-      return isNaN(d) ? null : d;
-    }
+  const items = [];
+  const seen = new Set();
+  rows.slice(1).forEach(r => {
+    const raw = {};
+    fieldByCol.forEach((field, i) => {
+      if (field && r[i] != null) raw[field] = r[i];
+    });
+    const a = normalizeAdvisory_(raw);
+    if (!a || seen.has(a.fullId)) return;
+    seen.add(a.fullId);
+    items.push(toDocRow_(a, watch));
+  });
 
-    // mm/dd/yyyy
-    if (/^\d{2}\/\d{2}\/\d{4}$/.test(s)) {
-      const [m, d, y] = s.split('/').map(Number);
-      const dt = new Date(Date.UTC(y, m - 1, d));
-      return isNaN(dt) ? null : dt;
-    }
+  const report = filterWatchedItems_(items, options, watch);
+  const body = prepareReportBody_(options);
+  writeAdvisoryReport_(body, report, {
+    fromDate: meta.fromDate || '?',
+    toDate: meta.toDate || '?',
+    segment: meta.segment || 'VT',
+    search: meta.search || '',
+    source: 'pasted CSV'
+  }, options);
+
+  return report.length;
+}
 
-    // "Oct 29, 2025" or "29 Oct 2025"
-    const monthMap = {
-      jan:0,feb:1,mar:2,apr:3,may:4,jun:5,jul:6,aug:7,sep:8,oct:9,nov:10,dec:11
-    };
-    let m = s.match(/^(?:([A-Za-z]{3,})\s+(\d{1,2}),?\s+(\d{4}))|(?:(\d{1,2})\s+([A-Za-z]{3,}),?\s+(\d{4}))/);
-    if (m) {
-      if (m[1]) { // "Oct 29, 2025"
-        const mon = monthMap[m[1].slice(0,3).toLowerCase()];
-        const day = Number(m[2]), year = Number(m[3]);
-        const dt = new Date(Date.UTC(year, mon, day));
-        return isNaN(dt) ? null : dt;
-      } else {    // "29 Oct 2025"
-        const day = Number(m[4]);
-        const mon = monthMap[m[5].slice(0,3).toLowerCase()];
-        const year = Number(m[6]);
-        const dt = new Date(Date.UTC(year, mon, day));
-        return isNaN(dt) ? null : dt;
+// Header aliases (lowercased, non-alphanumerics removed) → API field name
+const CSV_HEADER_ALIASES = {
+  notificationId: ['notificationid', 'id', 'cveid', 'advisoryid', 'advisory', 'notificationno'],
+  published: ['published', 'releasedate', 'pubdate', 'publishdate', 'issuedate', 'date'],
+  title: ['title', 'comments', 'summary', 'subject'],
+  severity: ['severity', 'level', 'rating', 'advisoryseverity'],
+  notificationUrl: ['notificationurl', 'url', 'link', 'advisoryurl'],
+  supportProducts: ['supportproducts', 'affectedproducts', 'products']
+};
+
+/** Header row → array of API field names (null for unknown columns). */
+function mapCsvHeaders_(headerRow) {
+  const used = new Set();
+  return headerRow.map(h => {
+    const key = String(h || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const field = Object.keys(CSV_HEADER_ALIASES)
+      .find(f => CSV_HEADER_ALIASES[f].indexOf(key) !== -1);
+    if (!field || used.has(field)) return null;
+    used.add(field);
+    return field;
+  });
+}
+
+/** RFC 4180-ish CSV: quoted fields, "" escapes, embedded commas/newlines. */
+function parseCsv_(text) {
+  text = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const rows = [];
+  let row = [], field = '', inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        field += ch;
       }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n') {
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
     }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
 
-    // ISO-ish: "2025-10-29 13:22:10", "2025-10-29T13:22:10", with/without Z/offset
-    s = s.replace(' ', 'T');
-    if (/^\d{4}-\d{2}-\d{2}T/.test(s) && !/[Zz+\-]\d{2}:?\d{2}$/.test(s)) {
-      // add Z if it looks like a full time without zone
-      s += 'Z';
-    }
-    const d2 = new Date(s);
-    if (!isNaN(d2)) return d2;
-
-    // last resort: extract yyyy-mm-dd anywhere in the string
-    const m2 = s.match(/(\d{4})-(\d{2})-(\d{2})/);
-    if (m2) {
-      const dt = new Date(Date.UTC(Number(m2[1]), Number(m2[2]) - 1, Number(m2[3])));
-      return isNaN(dt) ? null : dt;
-    }
+  // drop blank lines
+  return rows.filter(r => r.some(v => String(v).trim() !== ''));
+}
 
-    return null;
-  };
+/** === Public: used by new "Test fetch" button (no document changes) === */
+function testFetch(params) {
+  const payload = broadcomBuildPayload_({
+    fromDay: params.fromDate,
+    toDay: params.toDate,
+    pageSize: Number(params.pageSize || 10000),
+    segment: params.segment || 'VT',
+    searchVal: params.search
+  }, 0);
 
-  // inclusive UTC bounds
-  const fromBound = toDateObj(fromDate + 'T00:00:00Z');
-  const toBound   = toDateObj(toDate   + 'T23:59:59Z');
+  const res = broadcomRequest_(payload);
+  const list = (((res.json || {}).data || {}).list) || [];
+  let firstKeys = [], firstItemSample = '';
+  if (list.length) {
+    firstKeys = Object.keys(list[0]).sort();
+    firstItemSample = JSON.stringify(list[0], null, 2).slice(0, 1500);
+  }
 
-  const rows = [];
-  const seen = new Set();
+  return {
+    httpStatus: res.code,
+    attempts: res.attempts,
+    payloadUsed: payload,
+    rawLength: res.text.length,
+    listLength: list.length,
+    sampleIds: list.slice(0, 5).map(x => {
+      const a = normalizeAdvisory_(x);
+      return a ? a.fullId : null;
+    }),
+    firstItemKeys: firstKeys,
+    firstItemSample: firstItemSample,
+    rawSnippet: list.length ? '' : res.text.slice(0, 1500)
+  };
+}
 
-  all.forEach(item => {
-    const id = pick(item, [
-      'notificationId','notificationID','notificationNo',
-      'advisoryId','id','vmsaId','vmsa'
-    ]);
-    if (!id) return;
-    const idKey = String(id);
-    if (seen.has(idKey)) return;
-    seen.add(idKey);
-
-    // include lots of candidate date keys Broadcom might use
-    const dateRaw = pick(item, [
-      'issueDate','releaseDate','published','publishDate',
-      'date','releasedOn','publicationDate','lastUpdated',
-      'postedDate','advisoryDate','createDate','createdDate','modifiedDate'
-    ]);
-    const d = toDateObj(dateRaw);
-    if (!d) return;
-
-    // filter to window (inclusive)
-    if ((fromBound && d < fromBound) || (toBound && d > toBound)) return;
-
-    const issueDate = Utilities.formatDate(d, 'UTC', 'yyyy-MM-dd');
-
-    // Title cleanup + trim
-    let title = pick(item, ['title','summary','subject','headline','description'], '');
-    title = title.replace(/^Product Release Advisory\s*-\s*/i, '');
-    if (title.length > 200) title = title.substring(0, 200) + '…';
-
-    const level = pick(item, ['advisorySeverity','severity','level','riskLevel','threatLevel']);
-    const url = pick(item, ['notificationUrl','advisoryUrl','detailUrl','url']);
-
-    rows.push({
-      id: idKey,
-      issueDate,
-      title,
-      level: String(level || ''),
-      url: String(url || '')
-    });
+/**
+ * Internal fetcher for runFetchAndInsert and previewAdvisories; paging and
+ * retries live in broadcom-client.js. Optional run gets its pages / kept
+ * counters filled in; filter is { search: API searchVal, watchlist: entries }.
+ */
+function fetchAdvisories_(fromDate, toDate, segment, pageSize, run, filter) {
+  if (!fromDate || !toDate) throw new Error('Please provide fromDate and toDate (YYYY-MM-DD).');
+  filter = filter || {};
+
+  const res = broadcomFetchAdvisories_({
+    fromDay: fromDate,
+    toDay: toDate,
+    segment: segment || 'VT',
+    pageSize: Number(pageSize || 10000),
+    searchVal: filter.search,
+    serverDates: true
   });
 
-  return rows;
+  if (run) {
+    run.pages += res.pages;
+    run.kept += res.advisories.length;
+  }
+  return res.advisories.map(a => toDocRow_(a, filter.watchlist));
+}
+
+/** Normalized advisory → Doc table row object, tagged with the watchlist entries it matches. */
+function toDocRow_(a, watch) {
+  let title = a.title;
+  if (title.length > 200) title = title.substring(0, 200) + '…';
+  return {
+    id: a.fullId || a.id,
+    issueDate: a.publishedDay,
+    title,
+    level: a.severity,
+    url: a.url,
+    watchlist: broadcomWatchlistMatches_(a, watch)
+  };
 }
 
 function clearBody_(body) {
@@ -1,30 +1,77 @@
 /**
- * Taskabana → Export a SPECIFIC Google Tasks list to a Sheet tab "TaskSync"
+ * Taskabana → Export Google Tasks lists to a Sheet tab "TaskSync"
  * 1) In Apps Script editor: Services (puzzle icon) → Enable "Tasks API".
  * 2) Also enable the Tasks API in the linked Google Cloud project when prompted.
- * 3) Run menu: Taskabana → Log Task List IDs, copy the ID you want, and set LIST_ID.
+ * 3) Run menu: Taskabana → Choose task lists…, tick the lists to export and
+ *    pick the layout (stored in Script Properties). LIST_ID / SHEET_NAME below
+ *    are only used when nothing is saved.
+ *
+ * Layout "combined": every list in one tab, told apart by List Title.
+ * Layout "perList": one tab per list, named "<SHEET_NAME> - <list title>".
+ *
+ * Taskabana → "Push changes back" applies edits made in the tab to Google
+ * Tasks: Title, Notes, Status and Due of existing rows (Tasks.Tasks.patch),
+ * and rows with a Title but no Task ID become new tasks (Tasks.Tasks.insert,
+ * under Parent ID when set). A row whose task changed in Google Tasks after
+ * its "Updated" time is a conflict: it is skipped and flagged with a note,
+ * so newer edits in Tasks are never overwritten. Pushed Title / Notes are
+ * rebuilt as Markdown from the cell's rich text: links, bold, italic,
+ * strikethrough and code survive; headings and bullets go back as the text
+ * they render to.
+ *
+ * Taskabana → "Sync changes since last export" is the incremental mode: it
+ * asks Tasks only for tasks updated since the last successful export or sync
+ * of each list (updatedMin), rewrites their cells in place by Task ID, inserts
+ * new tasks at their hierarchical position and marks deleted tasks (Deleted
+ * time, struck through) instead of dropping them. Columns added next to the
+ * data are left alone. A tab without an earlier export gets a full export.
  */
 
-const LIST_ID = 'PUT_YOUR_TASK_LIST_ID_HERE'; // <-- replace after running "Log Task List IDs"
+const LIST_ID = 'PUT_YOUR_TASK_LIST_ID_HERE'; // fallback when no list is saved in Settings…
 const SHEET_NAME = 'TaskSync';
+const LAYOUT = 'combined'; // 'combined' | 'perList'
+
+const TASK_SYNC_HEADERS = [
+  'Level',
+  'Title',
+  'Notes',
+  'Status',
+  'Due',
+  'Completed',
+  'Tags',
+  'Task ID',
+  'Parent ID',
+  'Position',
+  'Updated',
+  'List ID',
+  'List Title',
+  'Deleted'
+];
+
+// Script Property keys for Taskabana → Settings…
+const TASK_SETTING_KEYS = {
+  LIST_IDS: 'TASKABANA_LIST_IDS', // comma-separated
+  SHEET_NAME: 'TASKABANA_SHEET_NAME',
+  LAYOUT: 'TASKABANA_LAYOUT'
+};
+const LEGACY_LIST_ID_KEY = 'TASKABANA_LIST_ID'; // single list, before multi-list export
+const TASK_SYNC_STATE_KEY = 'TASKABANA_LAST_SYNC'; // JSON { "<tab>|<list id>": ISO time }
 
 function onOpen() {
   SpreadsheetApp.getUi()
     .createMenu('Taskabana')
     .addItem('Export Tasks to "TaskSync"', 'exportTasksToTaskSync')
+    .addItem('Sync changes since last export', 'syncTaskSyncChanges')
+    .addItem('Push changes back to Google Tasks', 'pushTaskSyncChanges')
     .addSeparator()
+    .addItem('Choose task lists…', 'showTaskSettings')
     .addItem('Log Task List IDs', 'logTaskListIds')
     .addToUi();
 }
 
-/** Lists all your Task Lists (title + id) in the Logs so you can set LIST_ID. */
+/** Lists all your Task Lists (title + id) in the Logs and a "TaskLists" tab. */
 function logTaskListIds() {
-  // Single request — no pagination
-  const resp = Tasks.Tasklists.list({
-    maxResults: 100,
-    fields: 'items(id,title)'
-  });
-  const items = (resp && resp.items) || [];
+  const items = fetchAllTaskLists_();
 
   // Log to execution log
   if (!items.length) {
@@ -51,78 +98,98 @@ function logTaskListIds() {
 }
 
 function exportTasksToTaskSync() {
-  // Validate LIST_ID
-  try {
-    const test = Tasks.Tasklists.get(LIST_ID);
-    if (!test) {
-      SpreadsheetApp.getUi().alert('LIST_ID was not found. Use "Log Task List IDs" and set LIST_ID.');
+  exportTasks_(false);
+}
+
+function syncTaskSyncChanges() {
+  exportTasks_(true);
+}
+
+/**
+ * Full export (clear and rewrite each tab) or, when incremental, an in-place
+ * sync of each tab from the tasks updated since its lists were last synced.
+ */
+function exportTasks_(incremental) {
+  const { LIST_IDS, SHEET_NAME, LAYOUT } = getTaskSettings_();
+
+  // Validate every list before touching the sheet
+  const lists = [];
+  for (const id of LIST_IDS) {
+    try {
+      const list = Tasks.Tasklists.get(id);
+      if (!list) throw new Error('not found');
+      lists.push({ id, title: list.title || id });
+    } catch (e) {
+      SpreadsheetApp.getUi().alert(`Could not fetch task list ${id}. Pick lists in Taskabana → Choose task lists….`);
+      console.error(e);
       return;
     }
-  } catch (e) {
-    SpreadsheetApp.getUi().alert('Could not fetch that LIST_ID. Use "Log Task List IDs" and set LIST_ID.');
-    console.error(e);
-    return;
   }
 
-  // Fetch all tasks (including completed + hidden), with pagination
-  const tasks = fetchAllTasks_(LIST_ID);
-  console.log(`Fetched ${tasks.length} tasks from list ${LIST_ID}`);
+  const targets = LAYOUT === 'perList'
+    ? lists.map(list => ({ name: taskListTabName_(SHEET_NAME, list.title), lists: [list] }))
+    : [{ name: SHEET_NAME, lists }];
 
-  const sheet = getOrCreateSheet_(SHEET_NAME);
-  sheet.clear();
+  const syncState = readTaskSyncState_();
+  const lines = [];
+  let total = 0;
+  targets.forEach(target => {
+    const sheet = getOrCreateSheet_(target.name);
+    const started = new Date().toISOString();
+    const since = target.lists.map(list => syncState[taskSyncStateKey_(target.name, list.id)]);
 
-  const headers = [
-    'Level',
-    'Title',
-    'Notes',
-    'Status',
-    'Due',
-    'Completed',
-    'Tags',
-    'Task ID',
-    'Parent ID',
-    'Position',
-    'Updated',
-    'List ID'
-  ];
-  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    if (incremental && since.every(Boolean) && readTaskSyncHeaders_(sheet).indexOf('Task ID') !== -1) {
+      const res = syncTaskSyncTab_(sheet, target.lists, since);
+      lines.push(`"${target.name}": ${res.updated} updated, ${res.inserted} added, ${res.deleted} marked deleted.`);
+    } else {
+      // Fetch all tasks (including completed + hidden), with pagination
+      target.lists.forEach(list => {
+        list.tasks = fetchAllTasks_(list.id);
+        console.log(`Fetched ${list.tasks.length} tasks from list ${list.id}`);
+      });
+      const rows = writeTaskSyncTab_(sheet, target.lists);
+      total += rows;
+      if (incremental) lines.push(`"${target.name}": full export of ${rows} row(s) (no earlier export to sync from).`);
+    }
+    target.lists.forEach(list => { syncState[taskSyncStateKey_(target.name, list.id)] = started; });
+  });
+  saveTaskSyncState_(syncState);
 
-  if (tasks.length === 0) {
-    sheet.getRange(2, 1).setValue('No tasks found in this list.');
-    sheet.setFrozenRows(1);
-    return;
-  }
+  SpreadsheetApp.getUi().alert(incremental
+    ? ['Synced changes from Google Tasks:'].concat(lines).join('\n')
+    : `Exported ${total} row(s) from ${lists.length} list(s) to ${targets.map(t => `"${t.name}"`).join(', ')}.`);
+}
 
-  // Flattened hierarchical order (roots → children by position)
-  const ordered = orderTasksHierarchically_(tasks);
+/**
+ * Rewrite one tab with the tasks of the given lists ({ id, title, tasks }),
+ * each list in hierarchical order. Returns the number of task rows.
+ */
+function writeTaskSyncTab_(sheet, lists) {
+  sheet.clear();
+
+  const headers = TASK_SYNC_HEADERS;
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
 
   const rows = [];
   const titleRich = [];
   const notesRich = [];
 
-  ordered.forEach(item => {
-    const t = item.task;
-    const level = item.level;
-
-    rows.push([
-      level,
-      stripMarkdown_(t.title || ''),
-      stripMarkdown_(t.notes || ''),
-      t.status || 'needsAction',
-      t.due ? new Date(t.due) : '',
-      t.completed ? new Date(t.completed) : '',
-      extractTags_(t.notes || '').join(', '),
-      t.id || '',
-      t.parent || '',
-      t.position || '',
-      t.updated ? new Date(t.updated) : '',
-      LIST_ID
-    ]);
-
-    titleRich.push(buildRichTextFromMarkdown_(t.title || ''));
-    notesRich.push(buildRichTextFromMarkdown_(t.notes || ''));
+  lists.forEach(list => {
+    // Flattened hierarchical order (roots → children by position)
+    orderTasksHierarchically_(list.tasks).forEach(item => {
+      const t = item.task;
+      rows.push(taskSyncRowValues_(t, item.level, list));
+      titleRich.push(buildRichTextFromMarkdown_(t.title || ''));
+      notesRich.push(buildRichTextFromMarkdown_(t.notes || ''));
+    });
   });
 
+  if (rows.length === 0) {
+    sheet.getRange(2, 1).setValue(lists.length === 1 ? 'No tasks found in this list.' : 'No tasks found in these lists.');
+    sheet.setFrozenRows(1);
+    return 0;
+  }
+
   const range = sheet.getRange(2, 1, rows.length, headers.length);
   range.setValues(rows);
 
@@ -147,21 +214,527 @@ function exportTasksToTaskSync() {
   sheet.setColumnWidth(notesCol, 420);
   sheet.setColumnWidth(titleCol, 280);
 
-  SpreadsheetApp.getUi().alert(`Exported ${rows.length} row(s) to "${SHEET_NAME}".`);
+  return rows.length;
+}
+
+/** One row of TASK_SYNC_HEADERS for task t of list ({ id, title }). */
+function taskSyncRowValues_(t, level, list) {
+  return [
+    level,
+    stripMarkdown_(t.title || ''),
+    stripMarkdown_(t.notes || ''),
+    t.status || 'needsAction',
+    taskDueToDate_(t.due),
+    t.completed ? new Date(t.completed) : '',
+    extractTags_(t.notes || '').join(', '),
+    t.id || '',
+    t.parent || '',
+    t.position || '',
+    t.updated ? new Date(t.updated) : '',
+    list.id,
+    list.title,
+    ''
+  ];
+}
+
+/** ----------- Incremental sync ----------- **/
+
+/**
+ * Apply the tasks updated since since[i] (ISO time) of each lists[i] to an
+ * exported tab without clearing it. Rows are found by List ID + Task ID; only
+ * TASK_SYNC_HEADERS cells are written, wherever those columns now are.
+ * Returns { updated, inserted, deleted }.
+ */
+function syncTaskSyncTab_(sheet, lists, since) {
+  const res = { updated: 0, inserted: 0, deleted: 0 };
+  const headers = ensureTaskSyncHeaders_(sheet);
+  const col = name => headers.indexOf(name);
+  const width = headers.length;
+  const lastRow = sheet.getLastRow();
+  const values = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, width).getValues() : [];
+
+  // "<list id>|<task id>" → sheet row, kept current as rows are inserted
+  const rowOf = new Map();
+  const rowList = [];
+  values.forEach((r, i) => {
+    const id = String(r[col('Task ID')] || '').trim();
+    if (!id) {
+      if (/^No tasks found/.test(String(r[col('Level')]))) sheet.getRange(i + 2, col('Level') + 1).setValue('');
+      return;
+    }
+    const listId = String(r[col('List ID')] || '').trim() || lists[0].id;
+    rowOf.set(`${listId}|${id}`, i + 2);
+    rowList.push({ listId, id, row: r });
+  });
+
+  const insertAfter = (after, key) => {
+    sheet.insertRowsAfter(after, 1);
+    rowOf.forEach((row, k) => { if (row > after) rowOf.set(k, row + 1); });
+    rowOf.set(key, after + 1);
+    // Inserted rows take the formatting of the row above, which may be struck through
+    sheet.getRange(after + 1, 1, 1, width).setFontLine('none').setFontColor(null);
+    return after + 1;
+  };
+
+  lists.forEach((list, i) => {
+    const changed = fetchAllTasks_(list.id, since[i]);
+    console.log(`Fetched ${changed.length} task(s) updated since ${since[i]} from list ${list.id}`);
+    if (!changed.length) return;
+
+    // The list as the sheet knows it, overlaid with the changes
+    const known = new Map();
+    rowList.forEach(e => {
+      if (e.listId !== list.id || e.row[col('Deleted')] !== '') return;
+      // Sheets turns the 20-digit positions into numbers; pad them back to compare
+      const position = String(e.row[col('Position')] || '');
+      known.set(e.id, {
+        id: e.id,
+        parent: String(e.row[col('Parent ID')] || ''),
+        position: /^\d+$/.test(position) ? position.padStart(20, '0') : position
+      });
+    });
+    const changedById = new Map();
+    changed.forEach(t => {
+      const key = `${list.id}|${t.id}`;
+      if (t.deleted) {
+        known.delete(t.id);
+        if (rowOf.has(key)) {
+          markTaskDeleted_(sheet, col, width, rowOf.get(key));
+          res.deleted++;
+        }
+        return;
+      }
+      known.set(t.id, t);
+      changedById.set(t.id, t);
+    });
+
+    const listRows = () => Array.from(rowOf.keys())
+      .filter(k => k.indexOf(`${list.id}|`) === 0)
+      .map(k => rowOf.get(k));
+    const write = (t, level, row) => writeTaskSyncRow_(sheet, col, row, t, level, list);
+
+    // Walk the list in hierarchical order; a new task goes right after the
+    // nearest earlier task that already has a row.
+    let anchor = null;
+    orderTasksHierarchically_(Array.from(known.values())).forEach(item => {
+      const key = `${list.id}|${item.task.id}`;
+      const t = changedById.get(item.task.id);
+      if (rowOf.has(key)) {
+        anchor = rowOf.get(key);
+        if (t) {
+          write(t, item.level, anchor);
+          res.updated++;
+        }
+      } else if (t) {
+        const rows = listRows();
+        const after = anchor != null ? anchor : (rows.length ? Math.min.apply(null, rows) - 1 : sheet.getLastRow());
+        anchor = insertAfter(after, key);
+        write(t, item.level, anchor);
+        res.inserted++;
+      }
+      changedById.delete(item.task.id);
+    });
+
+    // Tasks whose parent the sheet doesn't have: keep them, at the list's end
+    changedById.forEach(t => {
+      const key = `${list.id}|${t.id}`;
+      if (rowOf.has(key)) {
+        write(t, 0, rowOf.get(key));
+        res.updated++;
+      } else {
+        const rows = listRows();
+        write(t, 0, insertAfter(rows.length ? Math.max.apply(null, rows) : sheet.getLastRow(), key));
+        res.inserted++;
+      }
+    });
+  });
+
+  console.log(`Sync "${sheet.getName()}": updated=${res.updated}, inserted=${res.inserted}, deleted=${res.deleted}`);
+  return res;
+}
+
+/** Header row of a tab, trimmed; [] when the tab is empty. */
+function readTaskSyncHeaders_(sheet) {
+  const width = sheet.getLastColumn();
+  if (!width || sheet.getLastRow() < 1) return [];
+  return sheet.getRange(1, 1, 1, width).getValues()[0].map(h => String(h).trim());
+}
+
+/** Append any TASK_SYNC_HEADERS the tab lacks (older exports) after its last column. */
+function ensureTaskSyncHeaders_(sheet) {
+  const headers = readTaskSyncHeaders_(sheet);
+  TASK_SYNC_HEADERS.forEach(h => {
+    if (headers.indexOf(h) !== -1) return;
+    sheet.getRange(1, headers.length + 1).setValue(h).setFontWeight('bold');
+    headers.push(h);
+  });
+  return headers;
+}
+
+/** Write task t's TASK_SYNC_HEADERS cells of one row, wherever those columns are. */
+function writeTaskSyncRow_(sheet, col, row, t, level, list) {
+  const values = taskSyncRowValues_(t, level, list);
+  TASK_SYNC_HEADERS.forEach((h, j) => {
+    const cell = sheet.getRange(row, col(h) + 1);
+    if (h === 'Title' || h === 'Notes') {
+      cell.setRichTextValue(buildRichTextFromMarkdown_(h === 'Title' ? t.title || '' : t.notes || ''));
+      return;
+    }
+    cell.setValue(values[j]);
+    if (h === 'Due') cell.setNumberFormat('yyyy-mm-dd');
+    if (h === 'Completed' || h === 'Updated') cell.setNumberFormat('yyyy-mm-dd hh:mm');
+  });
+}
+
+/** Keep a task deleted in Google Tasks visible: Deleted time, row struck through. */
+function markTaskDeleted_(sheet, col, width, row) {
+  sheet.getRange(row, col('Deleted') + 1).setValue(new Date()).setNumberFormat('yyyy-mm-dd hh:mm');
+  sheet.getRange(row, 1, 1, width).setFontLine('line-through').setFontColor('#999999');
+}
+
+/** Last-sync times per "<tab>|<list id>", from Script Properties. */
+function readTaskSyncState_() {
+  const raw = PropertiesService.getScriptProperties().getProperty(TASK_SYNC_STATE_KEY);
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    console.error(e);
+    return {};
+  }
+}
+
+function saveTaskSyncState_(syncState) {
+  PropertiesService.getScriptProperties().setProperty(TASK_SYNC_STATE_KEY, JSON.stringify(syncState));
+}
+
+function taskSyncStateKey_(tabName, listId) {
+  return `${tabName}|${listId}`;
+}
+
+/** "<base> - <list title>", without the characters sheet names can't hold. */
+function taskListTabName_(base, listTitle) {
+  const clean = String(listTitle || '').replace(/[\[\]*?:\/\\]/g, ' ').replace(/\s+/g, ' ').trim();
+  return `${base} - ${clean || 'Untitled'}`.substring(0, 100);
+}
+
+/** ----------- Push changes back ----------- **/
+
+function pushTaskSyncChanges() {
+  const { LIST_IDS, SHEET_NAME, LAYOUT } = getTaskSettings_();
+  const ss = SpreadsheetApp.getActive();
+
+  // combined: one tab, rows carry their List ID. perList: each list's tab.
+  const targets = LAYOUT === 'perList'
+    ? LIST_IDS.map(id => {
+      let title = id;
+      try { title = Tasks.Tasklists.get(id).title || id; } catch (e) { console.error(e); }
+      return { sheet: ss.getSheetByName(taskListTabName_(SHEET_NAME, title)), listId: id };
+    })
+    : [{ sheet: ss.getSheetByName(SHEET_NAME), listId: LIST_IDS[0] }];
+
+  const found = targets.filter(t => t.sheet);
+  if (!found.length) {
+    SpreadsheetApp.getUi().alert(`No "${SHEET_NAME}" tab. Export first.`);
+    return;
+  }
+
+  const res = { updated: 0, created: 0, conflicts: [], errors: [] };
+  found.forEach(t => {
+    const r = pushTaskSyncChanges_(t.sheet, t.listId);
+    const where = found.length > 1 ? `${t.sheet.getName()} ` : '';
+    res.updated += r.updated;
+    res.created += r.created;
+    r.conflicts.forEach(c => res.conflicts.push({ row: `${where}${c.row}`, reason: c.reason }));
+    r.errors.forEach(c => res.errors.push({ row: `${where}${c.row}`, reason: c.reason }));
+  });
+
+  const lines = [`Updated ${res.updated} task(s), created ${res.created}.`];
+  if (res.conflicts.length) {
+    lines.push(`Skipped ${res.conflicts.length} conflict(s) (changed in Google Tasks since export; re-export first):`);
+    res.conflicts.forEach(c => lines.push(`  row ${c.row}: ${c.reason}`));
+  }
+  if (res.errors.length) {
+    lines.push(`${res.errors.length} error(s):`);
+    res.errors.forEach(c => lines.push(`  row ${c.row}: ${c.reason}`));
+  }
+  SpreadsheetApp.getUi().alert(lines.join('\n'));
+}
+
+/**
+ * Diff each row against its task as Google Tasks has it now; patch what the
+ * sheet changed, insert rows without Task ID, and write the new Task ID /
+ * Updated back so the next push starts from the pushed state.
+ * Returns { updated, created, conflicts: [{ row, reason }], errors: [...] }.
+ */
+function pushTaskSyncChanges_(sheet, defaultListId) {
+  const res = { updated: 0, created: 0, conflicts: [], errors: [] };
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return res;
+
+  const width = sheet.getLastColumn();
+  const headers = sheet.getRange(1, 1, 1, width).getValues()[0].map(h => String(h).trim());
+  const col = name => headers.indexOf(name);
+  const missing = ['Title', 'Notes', 'Status', 'Due', 'Task ID', 'Updated'].filter(h => col(h) === -1);
+  if (missing.length) throw new Error(`TaskSync tab is missing column(s): ${missing.join(', ')}`);
+
+  const values = sheet.getRange(2, 1, lastRow - 1, width).getValues();
+  const richColumn = name => sheet.getRange(2, col(name) + 1, lastRow - 1, 1).getRichTextValues().map(r => r[0]);
+  const titleRich = richColumn('Title');
+  const notesRich = richColumn('Notes');
+  const tz = Session.getScriptTimeZone();
+  const remoteByList = {};
+  const remote = (listId, id) => {
+    if (!remoteByList[listId]) {
+      remoteByList[listId] = new Map(fetchAllTasks_(listId).map(t => [t.id, t]));
+    }
+    return remoteByList[listId].get(id);
+  };
+
+  values.forEach((row, i) => {
+    const rowNum = i + 2;
+    const title = String(row[col('Title')] || '').trim();
+    const taskId = String(row[col('Task ID')] || '').trim();
+    const listId = (col('List ID') !== -1 && String(row[col('List ID')] || '').trim()) || defaultListId;
+    if (!taskId && !title) return; // blank or "No tasks found" filler
+    if (col('Deleted') !== -1 && row[col('Deleted')] !== '') return; // deleted in Google Tasks
+
+    const status = normalizeTaskStatus_(row[col('Status')]);
+    if (!status) {
+      res.errors.push({ row: rowNum, reason: `unknown status "${row[col('Status')]}" (use needsAction or completed)` });
+      return;
+    }
+    const due = taskDueFromCell_(row[col('Due')], tz);
+    if (due == null) {
+      res.errors.push({ row: rowNum, reason: `unreadable Due "${row[col('Due')]}" (use a date)` });
+      return;
+    }
+
+    // The cell's rich text, not its display value, so [label](url) keeps its url
+    const markdown = {
+      title: titleRich[i] ? richTextToMarkdown_(titleRich[i]) : String(row[col('Title')] || ''),
+      notes: notesRich[i] ? richTextToMarkdown_(notesRich[i]) : String(row[col('Notes')] || '')
+    };
+
+    try {
+      if (!taskId) {
+        const resource = { title: markdown.title.trim(), notes: markdown.notes, status };
+        if (due) resource.due = due;
+        const parent = col('Parent ID') !== -1 ? String(row[col('Parent ID')] || '').trim() : '';
+        const created = Tasks.Tasks.insert(resource, listId, parent ? { parent } : {});
+        writeBackTask_(sheet, headers, rowNum, created, listId);
+        res.created++;
+        return;
+      }
+
+      const t = remote(listId, taskId);
+      if (!t || t.deleted) {
+        flagConflict_(sheet, rowNum, col('Task ID') + 1, res, 'task no longer exists in Google Tasks');
+        return;
+      }
+
+      const patch = taskSyncPatch_(row, col, t, status, due, markdown);
+      if (!Object.keys(patch).length) return;
+
+      const exported = row[col('Updated')] instanceof Date ? row[col('Updated')].getTime() : NaN;
+      if (!(Math.floor(new Date(t.updated).getTime() / 1000) <= Math.floor(exported / 1000))) {
+        flagConflict_(sheet, rowNum, col('Task ID') + 1, res,
+          `"${title}" changed in Google Tasks at ${t.updated}, after the sheet's Updated value`);
+        return;
+      }
+
+      const updated = Tasks.Tasks.patch(patch, listId, taskId);
+      writeBackTask_(sheet, headers, rowNum, updated, listId);
+      res.updated++;
+    } catch (e) {
+      res.errors.push({ row: rowNum, reason: e.message });
+    }
+  });
+
+  console.log(`Push: updated=${res.updated}, created=${res.created}, conflicts=${res.conflicts.length}, errors=${res.errors.length}`);
+  return res;
+}
+
+/**
+ * Fields whose cell differs from what the export wrote for task t. Title and
+ * Notes are compared as rendered text and pushed as markdown.{title,notes}.
+ */
+function taskSyncPatch_(row, col, t, status, due, markdown) {
+  const patch = {};
+  const title = String(row[col('Title')] || '');
+  const notes = String(row[col('Notes')] || '');
+
+  // Cells hold the rendered rich text, so compare against that
+  if (title !== buildRichTextFromMarkdown_(t.title || '').getText()) patch.title = markdown.title;
+  if (notes !== buildRichTextFromMarkdown_(t.notes || '').getText()) patch.notes = markdown.notes;
+  if (status !== (t.status || 'needsAction')) {
+    patch.status = status;
+    if (status === 'needsAction') patch.completed = null;
+  }
+  const remoteDue = t.due ? String(t.due).substring(0, 10) : '';
+  if (due.substring(0, 10) !== remoteDue) patch.due = due || null;
+  return patch;
+}
+
+function flagConflict_(sheet, row, col, res, reason) {
+  res.conflicts.push({ row, reason });
+  sheet.getRange(row, col).setNote(`Not pushed: ${reason}. Re-export, then re-apply the edit.`);
+}
+
+/** Store what Google Tasks returned, so the row matches the task again. */
+function writeBackTask_(sheet, headers, row, t, listId) {
+  const set = (name, value) => {
+    const c = headers.indexOf(name);
+    if (c !== -1) sheet.getRange(row, c + 1).setValue(value);
+  };
+  set('Task ID', t.id || '');
+  set('Parent ID', t.parent || '');
+  set('Position', t.position || '');
+  set('Status', t.status || 'needsAction');
+  set('Completed', t.completed ? new Date(t.completed) : '');
+  set('Updated', t.updated ? new Date(t.updated) : '');
+  set('List ID', listId);
+  const c = headers.indexOf('Task ID');
+  if (c !== -1) sheet.getRange(row, c + 1).setNote('');
+}
+
+/** Cell → 'needsAction' | 'completed', or null when unrecognised. */
+function normalizeTaskStatus_(v) {
+  if (v === true) return 'completed';
+  const s = String(v == null ? '' : v).trim().toLowerCase().replace(/[\s_-]/g, '');
+  if (['completed', 'done', 'x'].indexOf(s) !== -1) return 'completed';
+  if (['', 'needsaction', 'open', 'todo'].indexOf(s) !== -1) return 'needsAction';
+  return null;
+}
+
+/** Tasks "due" is date-only (midnight UTC): show it as that calendar day. */
+function taskDueToDate_(due) {
+  if (!due) return '';
+  const m = String(due).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? new Date(+m[1], +m[2] - 1, +m[3]) : new Date(due);
+}
+
+/** Due cell → RFC 3339 date-only "due"; '' when blank, null when unreadable. */
+function taskDueFromCell_(v, tz) {
+  if (v === '' || v == null) return '';
+  if (v instanceof Date) return `${Utilities.formatDate(v, tz, 'yyyy-MM-dd')}T00:00:00.000Z`;
+  const m = String(v).trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}T00:00:00.000Z` : null;
+}
+
+/** ----------- Settings (Script Properties) ----------- **/
+
+/** Saved settings, falling back to the LIST_ID / SHEET_NAME / LAYOUT constants. */
+function getTaskSettings_() {
+  const props = PropertiesService.getScriptProperties();
+  const saved = props.getProperty(TASK_SETTING_KEYS.LIST_IDS) || props.getProperty(LEGACY_LIST_ID_KEY);
+  const ids = String(saved || '').split(',').map(id => id.trim()).filter(Boolean);
+  return {
+    LIST_IDS: ids.length ? ids : [LIST_ID],
+    SHEET_NAME: props.getProperty(TASK_SETTING_KEYS.SHEET_NAME) || SHEET_NAME,
+    LAYOUT: props.getProperty(TASK_SETTING_KEYS.LAYOUT) || LAYOUT
+  };
+}
+
+function showTaskSettings() {
+  const html = HtmlService.createHtmlOutputFromFile('taskabana_settings')
+    .setWidth(460)
+    .setHeight(520);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Taskabana – Choose task lists');
+}
+
+/** Dialog: current values plus every task list to choose from. */
+function getTaskSettingsForm() {
+  const props = PropertiesService.getScriptProperties();
+  const configured = Object.keys(TASK_SETTING_KEYS).filter(k => props.getProperty(TASK_SETTING_KEYS[k]) != null);
+  if (configured.indexOf('LIST_IDS') === -1 && props.getProperty(LEGACY_LIST_ID_KEY) != null) configured.push('LIST_IDS');
+  return {
+    values: getTaskSettings_(),
+    configured,
+    lists: fetchAllTaskLists_().map(l => ({ id: l.id, title: l.title || '' }))
+  };
+}
+
+/** Dialog "Save": every list must resolve and the tab name must be usable. */
+function saveTaskSettings(form) {
+  form = form || {};
+  const listIds = (Array.isArray(form.LIST_IDS) ? form.LIST_IDS : String(form.LIST_IDS || '').split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean);
+  const sheetName = String(form.SHEET_NAME || '').trim();
+  const layout = form.LAYOUT === 'perList' ? 'perList' : 'combined';
+  const errors = [];
+
+  const titles = [];
+  if (!listIds.length) {
+    errors.push('Tick at least one task list.');
+  } else {
+    listIds.forEach(id => {
+      try {
+        titles.push(Tasks.Tasklists.get(id).title || id);
+      } catch (e) {
+        errors.push(`Task list "${id}" could not be found.`);
+      }
+    });
+  }
+  if (!sheetName) errors.push('Sheet name is required.');
+  else if (/[\[\]*?:\/\\]/.test(sheetName)) errors.push('Sheet name cannot contain [ ] * ? : / \\');
+
+  if (errors.length) throw new Error(errors.join(' '));
+
+  const props = PropertiesService.getScriptProperties();
+  props.setProperties({
+    [TASK_SETTING_KEYS.LIST_IDS]: listIds.join(','),
+    [TASK_SETTING_KEYS.SHEET_NAME]: sheetName,
+    [TASK_SETTING_KEYS.LAYOUT]: layout
+  });
+  props.deleteProperty(LEGACY_LIST_ID_KEY);
+
+  const where = layout === 'perList' ? `one "${sheetName} - …" tab per list` : `"${sheetName}"`;
+  return `Saved. Exporting ${titles.map(t => `"${t}"`).join(', ')} to ${where}.`;
+}
+
+function resetTaskSettings() {
+  const props = PropertiesService.getScriptProperties();
+  Object.keys(TASK_SETTING_KEYS).forEach(k => props.deleteProperty(TASK_SETTING_KEYS[k]));
+  props.deleteProperty(LEGACY_LIST_ID_KEY);
+  props.deleteProperty(TASK_SYNC_STATE_KEY);
+  return 'Reset to the defaults in the script.';
 }
 
 /** ----------- Helpers ----------- **/
 
-function fetchAllTasks_(taskListId) {
+/** Every task list of the user, following nextPageToken past 100. */
+function fetchAllTaskLists_() {
   const out = [];
   let pageToken;
   do {
-    const resp = Tasks.Tasks.list(taskListId, {
+    const resp = Tasks.Tasklists.list({
+      maxResults: 100,
+      pageToken,
+      fields: 'items(id,title),nextPageToken'
+    });
+    ((resp && resp.items) || []).forEach(l => out.push(l));
+    pageToken = resp && resp.nextPageToken;
+  } while (pageToken);
+  return out;
+}
+
+/** Every task of a list; with updatedMin, only those changed since, deleted ones included. */
+function fetchAllTasks_(taskListId, updatedMin) {
+  const out = [];
+  let pageToken;
+  do {
+    const opts = {
       showCompleted: true,
       showHidden: true,
       maxResults: 100,
       pageToken
-    });
+    };
+    if (updatedMin) {
+      opts.updatedMin = updatedMin;
+      opts.showDeleted = true;
+    }
+    const resp = Tasks.Tasks.list(taskListId, opts);
     (resp.items || []).forEach(t => out.push(t));
     pageToken = resp.nextPageToken;
   } while (pageToken);
@@ -212,104 +785,318 @@ function applyRichTextColumn_(sheet, rowStart, col, richArray) {
   }
 }
 
-/** Simple Markdown → Sheets rich text (bold/italic/code/links + bullets). */
-function buildRichTextFromMarkdown_(md) {
-  md = md || '';
-  md = md.replace(/\r\n?/g, '\n');
+/** ----------- Markdown ----------- **/
 
-  // Headings → bold (rendered as **text**)
-  md = md.replace(/^(#{1,6})\s*(.+)$/gm, (_, __, text) => `**${text.trim()}**`);
+/*
+ * Title / Notes Markdown is tokenized once into styled segments
+ * ({ text, bold, italic, strike, code, link: { url } }); the rich text and
+ * the plain-text strip are both built from them, so style and link ranges
+ * always line up with the final text. Supported: # headings (bold), - * +
+ * bullets (•), 1. / 1) numbered lists, **bold** / __bold__, *italic* /
+ * _italic_ (nestable), ~~strike~~, `code`, [label](url), <url>, bare
+ * http(s) URLs and \-escapes. Emphasis follows CommonMark's delimiter rules,
+ * so snake_case words and lone asterisks stay as typed.
+ */
 
-  // Bullet lines -> •
-  md = md.replace(/^\s*[-*]\s+/gm, '• ');
+/** Markdown → Sheets rich text. */
+function buildRichTextFromMarkdown_(md) {
+  const segments = parseMarkdown_(md);
+  const rtv = SpreadsheetApp.newRichTextValue().setText(segments.map(s => s.text).join(''));
 
-  // Links: [label](url) → hyperlink markers
-  const linkRuns = [];
-  let text = md.replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, (m, label, url) => {
-    linkRuns.push({ label, url });
-    return '\u0000' + label + '\u0001'; // sentinel
+  // One setTextStyle per run of identical style, one setLinkUrl per link
+  const styleKey = s => ['bold', 'italic', 'strike', 'code'].filter(k => s[k]).join(' ');
+  markdownRuns_(segments, styleKey).forEach(run => {
+    if (!run.key) return;
+    const builder = SpreadsheetApp.newTextStyle();
+    if (run.seg.bold) builder.setBold(true);
+    if (run.seg.italic) builder.setItalic(true);
+    if (run.seg.strike) builder.setStrikethrough(true);
+    if (run.seg.code) {
+      builder.setFontFamily('Courier New');
+      builder.setForegroundColor('#503');
+    }
+    rtv.setTextStyle(run.start, run.end, builder.build());
+  });
+  markdownRuns_(segments, s => s.link).forEach(run => {
+    if (run.key) rtv.setLinkUrl(run.start, run.end, run.key.url);
   });
 
-  // Collect style runs for bold/italic/code
-  const runs = [];
+  return rtv.build();
+}
 
-  function expandStyle(src, open, close, type) {
-    let out = '';
-    for (let i = 0; i < src.length; ) {
-      const o = src.indexOf(open, i);
-      if (o === -1) { out += src.slice(i); break; }
-      out += src.slice(i, o);
-      const c = src.indexOf(close, o + open.length);
-      if (c === -1) { out += src.slice(o, o + open.length); i = o + open.length; continue; }
-      const inner = src.slice(o + open.length, c);
-      const start = out.length;
-      out += inner;
-      const end = out.length;
-      runs.push({ start, end, type });
-      i = c + close.length;
+/** Plain text of the same Markdown for non-rich columns; links keep their target. */
+function stripMarkdown_(s) {
+  if (!s) return '';
+  const segments = parseMarkdown_(s);
+  let out = '';
+  let label = '';
+  segments.forEach((seg, i) => {
+    out += seg.text;
+    if (!seg.link) return;
+    label += seg.text;
+    const next = segments[i + 1];
+    if (next && next.link === seg.link) return;
+    if (label !== seg.link.url) out += ` (${seg.link.url})`;
+    label = '';
+  });
+  return out;
+}
+
+/**
+ * Sheets rich text → Markdown, the reverse of buildRichTextFromMarkdown_ for
+ * links and emphasis. A link whose label is its url stays a bare url.
+ */
+function richTextToMarkdown_(rtv) {
+  let out = '';
+  let link = null; // { url, text, md } of the link being collected
+  const flushLink = () => {
+    if (link) out += link.text === link.url ? link.url : `[${link.md}](${link.url})`;
+    link = null;
+  };
+  rtv.getRuns().forEach(run => {
+    const text = run.getText();
+    const url = run.getLinkUrl();
+    const md = markdownEmphasis_(text, run.getTextStyle());
+    if (url && link && link.url === url) {
+      link.text += text;
+      link.md += md;
+      return;
     }
-    return out;
+    flushLink();
+    if (url) link = { url, text, md };
+    else out += md;
+  });
+  flushLink();
+  return out;
+}
+
+/** Wrap each line of a run in its style's markers; whitespace stays outside them. */
+function markdownEmphasis_(text, style) {
+  if (!style) return text;
+  let open = '';
+  if (/^Courier New$/i.test(style.getFontFamily() || '') && text.indexOf('`') === -1) open = '`';
+  else {
+    if (style.isStrikethrough()) open += '~~';
+    if (style.isBold()) open += '**';
+    if (style.isItalic()) open += '*';
   }
+  if (!open) return text;
+  const close = open.split('').reverse().join('');
+  return text.split('\n').map(line => {
+    const m = line.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return m[2] ? m[1] + open + m[2] + close + m[3] : line;
+  }).join('\n');
+}
+
+/** Block level: headings, bullets and numbered lists per line; the rest is inline. */
+function parseMarkdown_(md) {
+  const segments = [];
+  String(md || '').replace(/\r\n?/g, '\n').split('\n').forEach((line, i) => {
+    if (i) segments.push({ text: '\n' });
+
+    const heading = line.match(/^ {0,3}#{1,6}(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/);
+    if (heading) {
+      parseMarkdownInline_(heading[1] || '').forEach(s => segments.push(Object.assign(s, { bold: true })));
+      return;
+    }
 
-  // Expand link markers first (record absolute ranges)
-  let tmp = '';
-  let linkIdx = 0;
-  for (let i = 0; i < text.length; ) {
-    if (text[i] === '\u0000') {
-      const close = text.indexOf('\u0001', i + 1);
-      if (close === -1) { tmp += text[i++]; continue; }
-      const label = text.slice(i + 1, close);
-      const start = tmp.length;
-      tmp += label;
-      const end = tmp.length;
-      const url = linkRuns[linkIdx] && linkRuns[linkIdx].url;
-      if (url) runs.push({ start, end, type: 'link', url });
-      linkIdx++;
-      i = close + 1;
+    const item = line.match(/^(\s*)(?:[-*+]|(\d{1,9})([.)]))[ \t]+(.*)$/);
+    if (item) {
+      segments.push({ text: item[1] + (item[2] ? `${item[2]}${item[3]} ` : '• ') });
+      line = item[4];
+    }
+    parseMarkdownInline_(line).forEach(s => segments.push(s));
+  });
+  return segments.filter(s => s.text);
+}
+
+/** Inline level: tokenize, resolve emphasis delimiters, flatten to segments. */
+function parseMarkdownInline_(src) {
+  const tokens = [];
+  let buf = '';
+  const flush = () => {
+    if (buf) tokens.push({ kind: 'text', text: buf });
+    buf = '';
+  };
+  const at = (re, i) => {
+    re.lastIndex = i;
+    return re.exec(src);
+  };
+
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    let m;
+    if (ch === '\\' && /[!-\/:-@\[-`{-~]/.test(src[i + 1] || '')) {
+      buf += src[i + 1];
+      i += 2;
+    } else if (ch === '`') {
+      const ticks = at(/`+/y, i)[0];
+      const close = findBacktickRun_(src, i + ticks.length, ticks.length);
+      if (close === -1) {
+        buf += ticks;
+        i += ticks.length;
+        continue;
+      }
+      let code = src.slice(i + ticks.length, close);
+      if (/^ [^]* $/.test(code) && code.trim()) code = code.slice(1, -1);
+      flush();
+      tokens.push({ kind: 'text', text: code, code: true });
+      i = close + ticks.length;
+    } else if (ch === '[' && (m = matchMarkdownLink_(src, i))) {
+      flush();
+      tokens.push({ kind: 'link', url: m.url, segments: parseMarkdownInline_(m.label) });
+      i = m.end;
+    } else if (ch === '<' && (m = at(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/iy, i))) {
+      flush();
+      tokens.push({ kind: 'link', url: m[1], segments: [{ text: m[1] }] });
+      i += m[0].length;
+    } else if (/h/i.test(ch) && !/[\p{L}\p{N}]/u.test(src[i - 1] || '') && (m = at(/https?:\/\/[^\s<>]+/iy, i))) {
+      const url = trimBareUrl_(m[0]);
+      flush();
+      tokens.push({ kind: 'link', url, segments: [{ text: url }] });
+      i += url.length;
+    } else if (ch === '*' || ch === '_' || ch === '~') {
+      const run = at(ch === '*' ? /\*+/y : ch === '_' ? /_+/y : /~+/y, i)[0];
+      flush();
+      tokens.push(markdownDelimiter_(src, i, run));
+      i += run.length;
     } else {
-      tmp += text[i++];
+      buf += ch;
+      i++;
     }
   }
-  text = tmp;
+  flush();
 
-  // Bold / italic / code
-  text = expandStyle(text, '**', '**', 'bold');
-  text = expandStyle(text, '*', '*', 'italic');
-  text = expandStyle(text, '`', '`', 'code');
+  resolveMarkdownEmphasis_(tokens);
 
-  const final = text;
-
-  // Build RichText
-  const rtv = SpreadsheetApp.newRichTextValue().setText(final);
-  runs.forEach(run => {
-    if (run.type === 'link') {
-      rtv.setLinkUrl(run.start, run.end, run.url);
+  const out = [];
+  tokens.forEach(t => {
+    if (t.kind === 'link') {
+      const link = { url: t.url };
+      t.segments.forEach(s => out.push(Object.assign({}, s, t.style, { link })));
     } else {
-      const builder = SpreadsheetApp.newTextStyle();
-      if (run.type === 'bold') builder.setBold(true);
-      if (run.type === 'italic') builder.setItalic(true);
-      if (run.type === 'code') {
-        builder.setFontFamily('Courier New');
-        builder.setForegroundColor('#503');
+      const seg = Object.assign({ text: t.kind === 'delim' ? t.char.repeat(t.count) : t.text }, t.style);
+      if (t.code) seg.code = true;
+      out.push(seg);
+    }
+  });
+  return out.filter(s => s.text);
+}
+
+/** A run of * _ or ~ and whether it can open / close emphasis (CommonMark flanking rules). */
+function markdownDelimiter_(src, i, run) {
+  const before = src[i - 1] || ' ';
+  const after = src[i + run.length] || ' ';
+  const space = c => /\s/.test(c);
+  const punct = c => /[\p{P}\p{S}]/u.test(c);
+  const left = !space(after) && (!punct(after) || space(before) || punct(before));
+  const right = !space(before) && (!punct(before) || space(after) || punct(after));
+  const ch = run[0];
+  return {
+    kind: 'delim',
+    char: ch,
+    count: run.length,
+    length: run.length,
+    // "_" does not open or close inside words (snake_case_names)
+    canOpen: ch === '_' ? left && (!right || punct(before)) : left,
+    canClose: ch === '_' ? right && (!left || punct(after)) : right
+  };
+}
+
+/**
+ * Match closers to the nearest usable opener, styling every token between;
+ * unmatched delimiter characters stay as literal text.
+ */
+function resolveMarkdownEmphasis_(tokens) {
+  tokens.forEach((closer, c) => {
+    if (closer.kind !== 'delim' || !closer.canClose) return;
+    while (closer.count) {
+      let o = c - 1;
+      for (; o >= 0; o--) {
+        const t = tokens[o];
+        if (t.kind !== 'delim' || !t.canOpen || !t.count || t.char !== closer.char) continue;
+        if (t.char === '~' && (t.count < 2 || closer.count < 2)) continue;
+        // CommonMark "rule of 3" for runs that can both open and close
+        if ((t.canClose || closer.canOpen) && (t.length + closer.length) % 3 === 0 &&
+          (t.length % 3 || closer.length % 3)) continue;
+        break;
       }
-      rtv.setTextStyle(run.start, run.end, builder.build());
+      if (o < 0) return;
+
+      const opener = tokens[o];
+      const use = closer.char === '~' || (opener.count >= 2 && closer.count >= 2) ? 2 : 1;
+      const flag = closer.char === '~' ? 'strike' : use === 2 ? 'bold' : 'italic';
+      for (let k = o + 1; k < c; k++) {
+        tokens[k].style = Object.assign({}, tokens[k].style, { [flag]: true });
+        if (tokens[k].kind === 'delim') tokens[k].canOpen = tokens[k].canClose = false;
+      }
+      opener.count -= use;
+      closer.count -= use;
     }
   });
+}
 
-  return rtv.build();
+/** [label](url "title") starting at i → { label, url, end }, or null. */
+function matchMarkdownLink_(src, i) {
+  let depth = 0;
+  let j = i;
+  for (; j < src.length; j++) {
+    if (src[j] === '\\') j++;
+    else if (src[j] === '[') depth++;
+    else if (src[j] === ']' && --depth === 0) break;
+  }
+  if (j >= src.length || src[j + 1] !== '(') return null;
+
+  // Destination: no spaces, balanced parentheses
+  let k = j + 2;
+  let parens = 0;
+  for (; k < src.length && !/\s/.test(src[k]); k++) {
+    if (src[k] === '(') parens++;
+    else if (src[k] === ')' && !parens--) break;
+  }
+  const url = src.slice(j + 2, k);
+  const tail = /(?:\s+"[^"]*")?\s*\)/y;
+  tail.lastIndex = k;
+  const m = tail.exec(src);
+  if (!m || !/^(?:https?:\/\/|mailto:)\S/i.test(url)) return null;
+  return { label: src.slice(i + 1, j), url, end: k + m[0].length };
 }
 
-/** Plain-text strip of minimal MD for non-rich columns. */
-function stripMarkdown_(s) {
-  if (!s) return '';
-  s = s.replace(/\r\n?/g, '\n');
-  s = s.replace(/^(#{1,6})\s*(.+)$/gm, '$2'); // headings
-  s = s.replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '$1 ($2)'); // links
-  s = s.replace(/\*\*(.+?)\*\*/g, '$1'); // bold
-  s = s.replace(/\*(.+?)\*/g, '$1');    // italic
-  s = s.replace(/`([^`]+)`/g, '$1');    // code
-  s = s.replace(/^\s*[-*]\s+/gm, '• '); // bullets
-  return s;
+/** Index of the next run of exactly n backticks at or after from, or -1. */
+function findBacktickRun_(src, from, n) {
+  const re = /`+/g;
+  re.lastIndex = from;
+  let m;
+  while ((m = re.exec(src))) {
+    if (m[0].length === n) return m.index;
+  }
+  return -1;
+}
+
+/** Drop trailing punctuation and unbalanced ")" that end a sentence, not the URL. */
+function trimBareUrl_(url) {
+  for (;;) {
+    const last = url[url.length - 1];
+    const opens = (url.match(/\(/g) || []).length;
+    const closes = (url.match(/\)/g) || []).length;
+    if (/[.,;:!?'"*_~]/.test(last) || (last === ')' && closes > opens)) url = url.slice(0, -1);
+    else return url;
+  }
+}
+
+/** Consecutive segments with the same key(seg) → [{ key, seg, start, end }] text ranges. */
+function markdownRuns_(segments, key) {
+  const runs = [];
+  let pos = 0;
+  segments.forEach(seg => {
+    const k = key(seg);
+    const last = runs[runs.length - 1];
+    if (last && last.key === k) last.end += seg.text.length;
+    else runs.push({ key: k, seg, start: pos, end: pos + seg.text.length });
+    pos += seg.text.length;
+  });
+  return runs;
 }
 
 /** Extract #tags */
@@ -0,0 +1,85 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PAGES } = require('./harness/load');
+const { broadcomPagesRoute } = require('./harness/gas-fakes');
+const { main, parseCliArgs } = require('../cli/advisories');
+
+/** Run the CLI against recorded pages; returns { code, out, err, requests }. */
+function runCli(args, pages) {
+  const requests = [];
+  const route = broadcomPagesRoute(pages || PAGES);
+  let out = '';
+  let err = '';
+  const code = main(args.concat(['--tz', 'UTC']), {
+    stdout: s => { out += s; },
+    stderr: s => { err += s; },
+    runtime: {
+      request(url, options) {
+        const payload = options.payload ? JSON.parse(options.payload) : null;
+        requests.push({ url, payload });
+        return route(url, options, payload) || { code: 404, body: 'not found' };
+      }
+    }
+  });
+  return { code, out, err, requests };
+}
+
+test('CLI writes TasCVE columns as CSV for an explicit window', () => {
+  const { code, out, requests } = runCli(['--from', '2025-12-15', '--to', '2025-12-31', '--segment', 'VT']);
+
+  assert.equal(code, 0);
+  const lines = out.trim().split('\r\n');
+  assert.equal(lines[0], 'CVE ID,RATING,COMMENTS,Link,Pub Date,RR Date,CVSS,Advisory,Title,Updated,Affected Products,Advisory Status,CVE List,Segment');
+  assert.equal(lines.length, 6);
+  assert.match(lines[1], /^VTDSA-2025-36622,Critical,.*,2025-12-30,2026-01-06,/);
+  assert.equal(requests[0].payload.segment, 'VT');
+  assert.equal(requests[0].payload.fromDate, undefined);   // the window is applied to published locally
+});
+
+test('CLI passes --search to the API and prints JSON records', () => {
+  const { code, out, requests } = runCli(['--from', '2025-12-29', '--to', '2025-12-31', '--search', 'Hub', '--format', 'json']);
+
+  assert.equal(code, 0);
+  assert.equal(requests[0].payload.searchVal, 'Hub');
+  const records = JSON.parse(out);
+  assert.deepEqual(records.map(r => [r['CVE ID'], r['Pub Date'], r.RATING]), [
+    ['VTDSA-2025-36622', '2025-12-30', 'Critical'],
+    ['VTDSA-2025-36610', '2025-12-29', 'High']
+  ]);
+  assert.equal(records[0].Segment, 'VT');
+});
+
+test('CLI renders a Markdown table with escaped cells', () => {
+  const page = { success: true, data: { list: [{
+    notificationId: 1, title: 'A | B', severity: 'Low', published: '30 December 2025', notificationUrl: 'https://x/1'
+  }], pageInfo: { nextPage: null } } };
+  const { out } = runCli(['--from', '2025-12-30', '--to', '2025-12-30', '--format', 'markdown'], [page]);
+
+  const lines = out.trim().split('\n');
+  assert.match(lines[0], /^\| CVE ID \| RATING \| COMMENTS \|/);
+  assert.match(lines[2], /^\| 1 \| Low \| A \\\| B \|/);
+});
+
+test('CLI rejects bad arguments with exit code 2', () => {
+  assert.throws(() => parseCliArgs(['--days', '7', '--from', '2025-12-01', '--to', '2025-12-31']), /either --days or --from\/--to/);
+  assert.throws(() => parseCliArgs(['--from', '2025-12-01']), /both required/);
+  assert.throws(() => parseCliArgs(['--format', 'xml']), /csv, json, markdown/);
+  assert.equal(parseCliArgs(['--days', '14']).daysBack, 14);
+
+  const res = runCli(['--segment', 'NOPE']);
+  assert.equal(res.code, 2);
+  assert.match(res.err, /Unknown segment\(s\): NOPE/);
+  assert.equal(res.requests.length, 0);
+});
+
+test('CLI reports fetch failures with exit code 1', () => {
+  let err = '';
+  const code = main(['--days', '1', '--tz', 'UTC'], {
+    stdout: () => {},
+    stderr: s => { err += s; },
+    runtime: { request: () => ({ code: 403, body: 'Forbidden' }) }
+  });
+  assert.equal(code, 1);
+  assert.match(err, /HTTP 403 from Broadcom endpoint/);
+});
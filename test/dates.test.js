@@ -0,0 +1,93 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, SHEET_FILES } = require('./harness/load');
+
+const iso = d => (d ? new Date(d.getTime()).toISOString() : d);
+
+test('parseBroadcomDate_ returns local noon for Broadcom and yyyy-MM-dd days', () => {
+  const { gas } = loadScripts(SHEET_FILES, { tz: 'America/New_York' });
+
+  const d = gas.parseBroadcomDate_('28 December 2025');
+  assert.equal(d.getFullYear(), 2025);
+  assert.equal(d.getMonth(), 11);
+  assert.equal(d.getDate(), 28);
+  assert.equal(d.getHours(), 12);
+
+  assert.equal(gas.parseBroadcomDate_('2025-12-28').getTime(), d.getTime());
+  assert.equal(gas.parseBroadcomDate_(' 1 March 2024 ').getDate(), 1);
+});
+
+test('parseBroadcomDate_ rejects unknown shapes', () => {
+  const { gas } = loadScripts(SHEET_FILES);
+  assert.equal(gas.parseBroadcomDate_(''), null);
+  assert.equal(gas.parseBroadcomDate_(null), null);
+  assert.equal(gas.parseBroadcomDate_('28 Decembruary 2025'), null);
+  assert.equal(gas.parseBroadcomDate_('Dec 28, 2025'), null);
+});
+
+test('broadcomToDateObj_ handles every Broadcom date shape as UTC', () => {
+  const { gas } = loadScripts(SHEET_FILES);
+  const cases = [
+    ['2025-10-29', '2025-10-29T00:00:00.000Z'],
+    ['2025/10/29', '2025-10-29T00:00:00.000Z'],
+    ['10/29/2025', '2025-10-29T00:00:00.000Z'],
+    ['Oct 29, 2025', '2025-10-29T00:00:00.000Z'],
+    ['29 Oct 2025', '2025-10-29T00:00:00.000Z'],
+    ['28 December 2025', '2025-12-28T00:00:00.000Z'],
+    ['2025-10-29 13:22:10', '2025-10-29T13:22:10.000Z'],
+    ['2025-12-30 09:14:02.0', '2025-12-30T09:14:02.000Z'],
+    ['2025-10-29T13:22:10+02:00', '2025-10-29T11:22:10.000Z'],
+    [1761696000, '2025-10-29T00:00:00.000Z'],
+    [1761696000000, '2025-10-29T00:00:00.000Z'],
+    ['released on 2025-10-29 (rev 2)', '2025-10-29T00:00:00.000Z']
+  ];
+  cases.forEach(([input, expected]) => {
+    assert.equal(iso(gas.broadcomToDateObj_(input)), expected, `input ${JSON.stringify(input)}`);
+  });
+
+  assert.equal(gas.broadcomToDateObj_(''), null);
+  assert.equal(gas.broadcomToDateObj_(null), null);
+  assert.equal(gas.broadcomToDateObj_('not a date'), null);
+});
+
+test('resolveDateRange_ defaults to the last 7 days, whole days in the script time zone', () => {
+  const { gas } = loadScripts(SHEET_FILES, { tz: 'Europe/Berlin' });
+  const range = gas.resolveDateRange_({});
+
+  assert.equal(range.tz, 'Europe/Berlin');
+  assert.equal(range.startDate.getHours(), 0);
+  assert.equal(range.startDate.getMinutes(), 0);
+  assert.equal(range.endDate.getHours(), 23);
+  assert.equal(range.endDate.getMinutes(), 59);
+
+  const days = Math.round((range.endDate - range.startDate) / 86400000);
+  assert.equal(days, 8); // 7 days back + today, inclusive
+});
+
+test('resolveDateRange_ honours daysBack and explicit start/end dates', () => {
+  const { gas } = loadScripts(SHEET_FILES, { tz: 'UTC' });
+
+  const r14 = gas.resolveDateRange_({ daysBack: 14 });
+  assert.equal(Math.round((r14.endDate - r14.startDate) / 86400000), 15);
+
+  const r = gas.resolveDateRange_({ startDate: '2025-12-20', endDate: '2025-12-31' });
+  assert.equal(iso(r.startDate), '2025-12-20T00:00:00.000Z');
+  assert.equal(iso(r.endDate), '2025-12-31T23:59:59.000Z');
+});
+
+test('advisoriesToRows_ keeps only in-window advisories, newest first', () => {
+  const { gas } = loadScripts(SHEET_FILES, { tz: 'UTC' });
+  const range = gas.resolveDateRange_({ startDate: '2025-12-20', endDate: '2025-12-31' });
+
+  const advisories = [
+    { notificationId: 1, published: '19 December 2025', notificationUrl: 'https://x/1', severity: 'High', title: 'old' },
+    { notificationId: 2, published: '20 December 2025', notificationUrl: 'https://x/2', severity: 'Low', title: 'first day' },
+    { notificationId: 3, published: '31 December 2025', notificationUrl: 'https://x/3', severity: 'Critical', title: 'last day' },
+    { notificationId: 4, published: '1 January 2026', notificationUrl: 'https://x/4', severity: 'High', title: 'too new' },
+    { notificationId: 5, published: '25 December 2025', notificationUrl: '', severity: 'High', title: 'no link' }
+  ].map(gas.normalizeAdvisory_);
+
+  const rows = gas.advisoriesToRows_(advisories, range);
+  assert.deepEqual(plain(rows.map(r => r.advisoryId)), ['3', '2']);
+});
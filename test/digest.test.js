@@ -0,0 +1,110 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadTasCVE, plain, SHEET_FILES, HEADERS, PAGES } = require('./harness/load');
+const { broadcomPagesRoute } = require('./harness/gas-fakes');
+
+// 36610 High, 36598 Medium, 36571 High are in the sheet before the digest run;
+// the full window adds 36622 Critical and 36555 Low
+const FIRST = { mode: 'upsert', startDate: '2025-12-18', endDate: '2025-12-29' };
+const SECOND = { mode: 'upsert', digest: true, startDate: '2025-12-15', endDate: '2025-12-31' };
+
+function loadSheet(properties) {
+  const env = loadTasCVE({}, {
+    properties: Object.assign({
+      TASCVE_SPREADSHEET_ID: 'sheet-1', TASCVE_PAGE_SIZE: '3',
+      TASCVE_DIGEST_RECIPIENTS: 'secops@example.com, oncall@example.com'
+    }, properties)
+  });
+  env.gas.exportTasCVE(FIRST);
+  return env;
+}
+
+const advisoryIds = text => (text.match(/VTDSA-2025-\d+/g) || []).filter((id, i, all) => all.indexOf(id) === i);
+
+test('the digest lists only advisories new in this run, grouped by severity', () => {
+  const { gas, state } = loadSheet({ TASCVE_DIGEST_MIN_SEVERITY: 'Low' });
+
+  gas.exportTasCVE(SECOND);
+
+  assert.equal(state.mail.length, 1);
+  const mail = state.mail[0];
+  assert.equal(mail.to, 'secops@example.com,oncall@example.com');
+  assert.equal(mail.subject, '[TasCVE] 2 new Broadcom advisories (2025-12-15 → 2025-12-31)');
+  assert.deepEqual(advisoryIds(mail.body), ['VTDSA-2025-36622', 'VTDSA-2025-36555']);
+  assert.match(mail.body, /^Critical \(1\)\n- VTDSA-2025-36622 2025-12-30 /m);
+  assert.match(mail.body, /^Low \(1\)\n- VTDSA-2025-36555 2025-12-15 /m);
+  assert.ok(mail.body.indexOf('Critical (1)') < mail.body.indexOf('Low (1)'));
+  assert.deepEqual(advisoryIds(mail.htmlBody), advisoryIds(mail.body));
+  assert.match(mail.htmlBody, /<h3[^>]*>Critical \(1\)<\/h3>[\s\S]*<h3[^>]*>Low \(1\)<\/h3>/);
+  assert.match(mail.htmlBody, /Minimum severity: Low/);
+});
+
+test('the digest leaves out new advisories below MIN_SEVERITY', () => {
+  const { gas, state } = loadSheet();   // DIGEST.MIN_SEVERITY defaults to High
+
+  gas.exportTasCVE(SECOND);
+
+  assert.equal(state.mail.length, 1);
+  assert.deepEqual(advisoryIds(state.mail[0].body), ['VTDSA-2025-36622']);
+  assert.match(state.mail[0].subject, / 1 new Broadcom advisory /);
+});
+
+test('with expandCves the digest lists and counts advisories, not their CVE rows', () => {
+  const notFound = (url, options) => (options.method === 'get' && /SecurityAdvisories/.test(url) ? { code: 404, body: 'Not found' } : undefined);
+  const { gas, state } = loadTasCVE({}, {
+    routes: [broadcomPagesRoute(PAGES), notFound],
+    properties: {
+      TASCVE_SPREADSHEET_ID: 'sheet-1', TASCVE_PAGE_SIZE: '3',
+      TASCVE_DIGEST_RECIPIENTS: 'secops@example.com', TASCVE_DIGEST_MIN_SEVERITY: 'Low'
+    }
+  });
+  gas.exportTasCVE(Object.assign({ expandCves: true }, FIRST));
+
+  // new rows: CVE-2025-55182 and CVE-2025-55183 (both 36622), 36555 (no CVEs)
+  gas.exportTasCVE(Object.assign({ expandCves: true }, SECOND));
+
+  assert.equal(state.mail.length, 1);
+  const mail = state.mail[0];
+  assert.equal(mail.subject, '[TasCVE] 2 new Broadcom advisories (2025-12-15 → 2025-12-31)');
+  assert.match(mail.body, /^Critical \(1\)\n- VTDSA-2025-36622 2025-12-30 .*\n {2}\S+\/36622\n\nLow \(1\)\n- VTDSA-2025-36555 /m);
+  assert.doesNotMatch(mail.body, /CVE-2025-/);
+});
+
+test('no mail when nothing new reaches the threshold, or nobody is set to receive it', () => {
+  const critical = loadSheet({ TASCVE_DIGEST_MIN_SEVERITY: 'Critical' });
+  critical.gas.exportTasCVE(Object.assign({}, SECOND, { endDate: '2025-12-29' }));   // only 36555 Low is new
+  assert.equal(critical.state.mail.length, 0);
+
+  critical.gas.exportTasCVE(SECOND);   // 36622 Critical is new
+  critical.gas.exportTasCVE(SECOND);   // nothing new
+  assert.deepEqual(plain(critical.state.mail.map(m => advisoryIds(m.body))), [['VTDSA-2025-36622']]);
+
+  const nobody = loadSheet({ TASCVE_DIGEST_RECIPIENTS: '' });
+  nobody.gas.exportTasCVE(SECOND);
+  assert.equal(nobody.state.mail.length, 0);
+});
+
+test('Settings store digest recipients and threshold in Script Properties', () => {
+  const { gas, properties } = loadScripts(SHEET_FILES, {
+    spreadsheets: [{ id: 'sheet-1', tabs: { TasCVE: [HEADERS] } }]
+  });
+  const form = {
+    SPREADSHEET_ID: 'sheet-1', TAB_NAME: 'TasCVE', SEGMENTS: 'VT', PAGE_SIZE: 200, MAX_PAGES: 15,
+    SLA_DAYS: 'Critical=7', WATCHLIST_MODE: 'highlight', ENRICH: 'off', KEV_SOURCE: '', EPSS_SOURCE: '',
+    DIGEST_RECIPIENTS: 'secops@example.com;  oncall@example.com', DIGEST_MIN_SEVERITY: 'medium'
+  };
+
+  assert.equal(gas.getTasCVESettingsForm().values.DIGEST_MIN_SEVERITY, 'High');
+  assert.match(gas.saveTasCVESettings(form), /^Saved\./);
+  assert.equal(properties.TASCVE_DIGEST_RECIPIENTS, 'secops@example.com,oncall@example.com');
+  assert.equal(properties.TASCVE_DIGEST_MIN_SEVERITY, 'Medium');
+  const saved = plain(gas.getTasCVESettingsForm());
+  assert.equal(saved.values.DIGEST_RECIPIENTS, 'secops@example.com, oncall@example.com');
+  assert.ok(saved.configured.indexOf('DIGEST_MIN_SEVERITY') !== -1);
+
+  assert.throws(() => gas.saveTasCVESettings(Object.assign({}, form, { DIGEST_RECIPIENTS: 'secops' })),
+    /Not an email address: secops\./);
+  assert.throws(() => gas.saveTasCVESettings(Object.assign({}, form, { DIGEST_MIN_SEVERITY: 'Urgent' })),
+    /Digest minimum severity/);
+});
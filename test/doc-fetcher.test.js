@@ -0,0 +1,157 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain, PAGES } = require('./harness/load');
+const { broadcomPagesRoute } = require('./harness/gas-fakes');
+
+const DOC_FILES = ['broadcom-client.js', 'google_doc_cves.js'];
+
+test('fetchAdvisories_ returns Doc rows for the inclusive UTC window', () => {
+  const { gas, state } = loadScripts(DOC_FILES, { routes: [broadcomPagesRoute(PAGES)] });
+
+  const rows = gas.fetchAdvisories_('2025-12-18', '2025-12-29', 'VT', 3);
+  assert.deepEqual([state.fetches[0].payload.fromDate, state.fetches[0].payload.toDate], ['2025-12-18', '2025-12-29']);
+
+  assert.deepEqual(plain(rows.map(r => [r.id, r.issueDate, r.level])), [
+    ['VTDSA-2025-36610', '2025-12-29', 'High'],
+    ['VTDSA-2025-36598', '2025-12-24', 'Medium'],
+    ['VTDSA-2025-36571', '2025-12-18', 'High']
+  ]);
+  assert.equal(rows[0].title, 'Tanzu Hub 10.3.1');
+});
+
+test('fetchAdvisories_ requires both dates', () => {
+  const { gas } = loadScripts(DOC_FILES);
+  assert.throws(() => gas.fetchAdvisories_('', '2025-12-31'), /fromDate and toDate/);
+});
+
+test('runFetchAndInsert writes a linked table into the Doc', () => {
+  const { gas, doc } = loadScripts(DOC_FILES, { routes: [broadcomPagesRoute(PAGES)] });
+
+  const res = gas.runFetchAndInsert({ fromDate: '2025-12-15', toDate: '2025-12-31', segment: 'VT', pageSize: 3 });
+
+  assert.equal(res.count, 5);
+  const table = doc.body.children.find(c => c.type === 'table');
+  assert.deepEqual(plain(table.rows[0]), ['Id', 'Release Date', 'Title', 'Level']);
+  assert.equal(table.rows.length, 6);
+  assert.match(table.links['1,0'], /36622$/);
+});
+
+test('the paste dialog cURL command survives a search term with a single quote', () => {
+  const { gas } = loadScripts(DOC_FILES);
+
+  const cmd = gas.buildCurlCommand_('VT', '2025-12-15', '2025-12-31', "O'Brien's \"XXE\"");
+
+  // every line's argument is one sh word: '…' runs joined by \' escapes
+  const words = cmd.split('\n').map(line => line.replace(/^\s*(\| jq -r|-H|--data-raw|curl -sS -X POST) /, '').replace(/ \\$/, ''));
+  words.forEach(w => assert.match(w, /^'[^']*'(?:\\''[^']*')*$/));
+  const unquote = w => w.slice(1, -1).split("'\\''").join("'");
+  assert.equal(JSON.parse(unquote(words[5])).searchVal, "O'Brien's \"XXE\"");
+  assert.match(unquote(words[6]), /^\["notificationId"/);
+});
+
+test('insertCsvIntoDoc parses quoted CSV with header aliases', () => {
+  const { gas, doc } = loadScripts(DOC_FILES);
+  const csv = [
+    '"CVE ID","Pub Date","Title","RATING","Link"',
+    '36622,"30 December 2025","Platform, ""quoted"" 10.2.5",Critical,https://x/36622',
+    '36610,29 December 2025,"multi',
+    'line",High,https://x/36610',
+    ''
+  ].join('\r\n');
+
+  const msg = gas.insertCsvIntoDoc(csv, { segment: 'VT', fromDate: '2025-12-01', toDate: '2025-12-31' });
+
+  assert.equal(msg, 'Inserted 2 advisories.');
+  const table = doc.body.children.find(c => c.type === 'table');
+  assert.deepEqual(plain(table.rows[1]), ['36622', '2025-12-30', 'Platform, "quoted" 10.2.5', 'Critical']);
+  assert.equal(table.rows[2][2], 'multi\nline');
+});
+
+test('runFetchAndInsert logs the run to RUNLOG_SPREADSHEET_ID', () => {
+  const { gas, spreadsheets } = loadScripts(DOC_FILES, {
+    routes: [broadcomPagesRoute(PAGES)],
+    spreadsheets: [{ id: 'audit', tabs: {} }],
+    properties: { RUNLOG_SPREADSHEET_ID: 'audit' }
+  });
+
+  gas.runFetchAndInsert({ fromDate: '2025-12-15', toDate: '2025-12-31', segment: 'VT', pageSize: 3 });
+
+  const entry = spreadsheets[0].getSheetByName('RunLog').data[1];
+  assert.deepEqual(plain(entry.slice(2, 11).map((v, i) => (i === 8 ? typeof v : v))),
+    ['Doc sidebar', 'tester@example.com', '2025-12-15 → 2025-12-31', 'VT', 2, 5, 0, 5, 'number']);
+});
+
+test('report options group by severity and add a summary block', () => {
+  const { gas, doc } = loadScripts(DOC_FILES, { routes: [broadcomPagesRoute(PAGES)] });
+
+  gas.runFetchAndInsert({ fromDate: '2025-12-15', toDate: '2025-12-31', segment: 'VT', pageSize: 3,
+    groupBySeverity: true, summary: true });
+
+  const headings = doc.body.children.filter(c => c.attrs.heading === 'HEADING2').map(c => c.text);
+  assert.deepEqual(headings, ['Summary', 'Critical (1)', 'High (2)', 'Medium (1)', 'Low (1)']);
+
+  const tables = doc.body.children.filter(c => c.type === 'table');
+  assert.deepEqual(plain(tables[0].rows), [
+    ['Severity', 'Count'], ['Critical', '1'], ['High', '2'], ['Medium', '1'], ['Low', '1'], ['Total', '5']
+  ]);
+  assert.deepEqual(plain(tables[2].rows.slice(1).map(r => r[0])), ['VTDSA-2025-36610', 'VTDSA-2025-36571']);
+  assert.ok(doc.body.children.some(c => c.text === 'Newest: 2025-12-30 | Oldest: 2025-12-15'));
+});
+
+test('append mode keeps earlier reports and separates the new section', () => {
+  const { gas, doc } = loadScripts(DOC_FILES, { routes: [broadcomPagesRoute(PAGES)] });
+  const params = { fromDate: '2025-12-29', toDate: '2025-12-31', segment: 'VT', pageSize: 3, mode: 'append' };
+
+  gas.runFetchAndInsert(params);
+  const res = gas.runFetchAndInsert(params);
+
+  assert.equal(res.mode, 'append');
+  assert.equal(doc.body.children.filter(c => c.type === 'table').length, 2);
+  assert.equal(doc.body.children.filter(c => c.type === 'hr').length, 1);
+  assert.equal(doc.body.children[0].attrs.heading, 'HEADING1');
+});
+
+test('previewAdvisories returns ranked rows without touching the Doc or the RunLog', () => {
+  const { gas, doc, spreadsheets } = loadScripts(DOC_FILES, {
+    routes: [broadcomPagesRoute(PAGES)],
+    spreadsheets: [{ id: 'audit', tabs: {} }],
+    properties: { RUNLOG_SPREADSHEET_ID: 'audit' }
+  });
+
+  const res = gas.previewAdvisories({ fromDate: '2025-12-15', toDate: '2025-12-31', pageSize: 3 });
+
+  assert.deepEqual(plain(res.items.map(o => [o.id, o.level, o.rank])), [
+    ['VTDSA-2025-36622', 'Critical', 4],
+    ['VTDSA-2025-36610', 'High', 3],
+    ['VTDSA-2025-36598', 'Medium', 2],
+    ['VTDSA-2025-36571', 'High', 3],
+    ['VTDSA-2025-36555', 'Low', 1]
+  ]);
+  assert.deepEqual(plain([res.segment, res.watchlist]), ['VT', 'off']);
+  assert.equal(doc.body.children.length, 0);
+  assert.equal(spreadsheets[0].getSheetByName('RunLog'), null);
+});
+
+test('insertSelectedAdvisories writes only the ticked rows, in the order shown', () => {
+  const { gas, doc, spreadsheets } = loadScripts(DOC_FILES, {
+    routes: [broadcomPagesRoute(PAGES)],
+    spreadsheets: [{ id: 'audit', tabs: {} }],
+    properties: { RUNLOG_SPREADSHEET_ID: 'audit' }
+  });
+  const params = { fromDate: '2025-12-15', toDate: '2025-12-31', segment: 'VT', pageSize: 3 };
+  const { items } = gas.previewAdvisories(params);
+  const picked = [items[3], items[0], Object.assign({}, items[1], { url: 'javascript:alert(1)' })];
+
+  const res = gas.insertSelectedAdvisories(params, picked, items.length);
+
+  assert.equal(res.count, 3);
+  const table = doc.body.children.find(c => c.type === 'table');
+  assert.deepEqual(plain(table.rows.slice(1).map(r => r[0])), ['VTDSA-2025-36571', 'VTDSA-2025-36622', 'VTDSA-2025-36610']);
+  assert.match(table.links['1,0'], /36571$/);
+  assert.equal(table.links['3,0'], undefined);
+  assert.ok(doc.body.children.some(c => / \| 3 of 5 advisories selected$/.test(c.text)));
+  assert.equal(spreadsheets[0].getSheetByName('RunLog').data[1][2], 'Doc sidebar (selection)');
+
+  assert.throws(() => gas.insertSelectedAdvisories(params, [], 5), /Nothing selected/);
+});
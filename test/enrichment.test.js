@@ -0,0 +1,177 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { loadScripts, loadTasCVE, plain, SHEET_FILES, HEADERS, PAGES } = require('./harness/load');
+const { broadcomPagesRoute } = require('./harness/gas-fakes');
+
+const WINDOW = { startDate: '2025-12-15', endDate: '2025-12-31' };
+const KEV_URL = 'https://www.cisa.gov/sites/default/files/feeds/known_exploited_vulnerabilities.json';
+const DRIVE_ID = '1AbCdEfGhIjKlMnOpQrStUvWxYz012345';
+
+const KEV_JSON = {
+  catalogVersion: '2026.01.02',
+  vulnerabilities: [
+    { cveID: 'CVE-2025-66516', dateAdded: '2025-12-29', dueDate: '2026-01-05' },
+    { cveID: 'CVE-2025-55183', dateAdded: '2025-12-30', dueDate: '2026-01-20' },
+    { cveID: 'CVE-2021-44228', dateAdded: '2021-12-10', dueDate: '2021-12-24' }
+  ]
+};
+
+const EPSS_CSV = [
+  '#model_version:v2025.03.14,score_date:2026-01-02T12:55:00Z',
+  'cve,epss,percentile',
+  'CVE-2025-55182,0.01200,0.78000',
+  'CVE-2025-55183,0.91000,0.99000',
+  'CVE-2025-41243,0.00300,0.41000'
+].join('\n');
+
+const detailRoute = (url, options) => {
+  if (options.method !== 'get' || !/SecurityAdvisories/.test(url)) return undefined;
+  return /\/36598$/.test(url) ? { code: 200, body: '<p>CVE-2025-41243</p>' } : { code: 404, body: 'Not found' };
+};
+
+// Dates from the vm realm fail instanceof Date
+const day = d => (Object.prototype.toString.call(d) === '[object Date]' ? d.toISOString().slice(0, 10) : d);
+
+test('KEV and EPSS feeds parse from JSON and from CSV', () => {
+  const { gas } = loadScripts(SHEET_FILES);
+
+  const kev = gas.parseKevCatalog_(JSON.stringify(KEV_JSON));
+  assert.equal(kev.size, 3);
+  assert.equal(day(kev.get('CVE-2025-66516').due), '2026-01-05');
+  const kevCsv = gas.parseKevCatalog_('cveID,vendorProject,vulnerabilityName,dueDate\n' +
+    'cve-2025-66516,Broadcom,"Tanzu Hub, XXE",2026-01-05\n');
+  assert.deepEqual(Array.from(kevCsv.keys()), ['CVE-2025-66516']);
+  assert.throws(() => gas.parseKevCatalog_('id,due\nCVE-1,2026-01-01'), /cveID/);
+
+  const epss = gas.parseEpssScores_(EPSS_CSV);
+  assert.equal(epss.get('CVE-2025-55183'), 0.99);
+  const api = gas.parseEpssScores_(JSON.stringify({
+    status: 'OK', data: [{ cve: 'CVE-2025-66516', epss: '0.04', percentile: '0.88' }, { cve: 'CVE-2025-1', percentile: '' }]
+  }));
+  assert.deepEqual(plain(Array.from(api.entries())), [['CVE-2025-66516', 0.88]]);
+});
+
+test('enrichment flags KEV rows, adds EPSS and pulls RR Date forward to the KEV due date', () => {
+  const epssRoute = url => {
+    if (!/api\.first\.org/.test(url)) return undefined;
+    const asked = decodeURIComponent(url.split('cve=')[1]).split(',');
+    const data = [['CVE-2025-55183', '0.99'], ['CVE-2025-66516', '0.88']]
+      .filter(([cve]) => asked.indexOf(cve) !== -1)
+      .map(([cve, percentile]) => ({ cve, percentile }));
+    return { code: 200, body: { status: 'OK', data } };
+  };
+  const { gas, sheet, state } = loadTasCVE({}, {
+    routes: [
+      broadcomPagesRoute(PAGES), detailRoute, epssRoute,
+      url => (url === KEV_URL ? { code: 200, body: KEV_JSON } : undefined)
+    ],
+    properties: { TASCVE_SPREADSHEET_ID: 'sheet-1', TASCVE_PAGE_SIZE: '3', TASCVE_ENRICH: 'on' }
+  });
+
+  gas.exportTasCVE(WINDOW);
+
+  const h = sheet.data[0];
+  const rows = sheet.data.slice(1).map(r => [r[0], r[h.indexOf('KEV')], day(r[h.indexOf('KEV Due')]),
+    r[h.indexOf('EPSS Percentile')], day(r[h.indexOf('RR Date')])]);
+  assert.deepEqual(rows.map(r => r.slice(1)), [
+    ['Yes', '2026-01-20', 0.99, '2026-01-06'],   // Critical: SLA (7 days) comes first
+    ['Yes', '2026-01-05', 0.88, '2026-01-05'],   // High: KEV due before the 30-day SLA
+    ['', '', '', '2026-03-24'],                  // CVE from the detail page, no EPSS score
+    ['', '', '', '2026-01-17'],
+    ['', '', '', '']
+  ]);
+
+  // one EPSS request for every CVE, detail pages only for rows without CVEs
+  const epssCalls = state.fetches.filter(f => /api\.first\.org/.test(f.url));
+  assert.equal(epssCalls.length, 1);
+  assert.match(epssCalls[0].url, /cve=CVE-2025-55182,CVE-2025-55183,CVE-2025-66516,CVE-2025-41243$/);
+  assert.equal(state.fetches.filter(f => /SecurityAdvisories\/0\//.test(f.url)).length, 2);
+
+  const rules = sheet.conditionalRules.map(r => r.condition.formula);
+  const kevCol = String.fromCharCode(65 + h.indexOf('KEV'));
+  assert.equal(rules[0], `=AND(N("TasCVE KEV")=0, $${kevCol}2="Yes")`);
+  assert.equal(sheet.conditionalRules[0].format.bold, true);
+  assert.ok(rules.slice(1).every(f => f.indexOf('TasCVE KEV') === -1));
+});
+
+test('Drive sources feed per-CVE rows, gzip included', () => {
+  const { gas, sheet, state } = loadTasCVE({}, {
+    routes: [broadcomPagesRoute(PAGES), detailRoute],
+    driveFiles: {
+      [DRIVE_ID]: { name: 'known_exploited_vulnerabilities.csv', content: 'cveID,dueDate\nCVE-2025-55183,2026-01-02\n' },
+      [`${DRIVE_ID}gz`]: { name: 'epss_scores-2026-01-02.csv.gz', content: zlib.gzipSync(EPSS_CSV) }
+    },
+    properties: {
+      TASCVE_SPREADSHEET_ID: 'sheet-1', TASCVE_PAGE_SIZE: '3',
+      TASCVE_KEV_SOURCE: `drive:${DRIVE_ID}`, TASCVE_EPSS_SOURCE: `https://drive.google.com/file/d/${DRIVE_ID}gz/view`
+    }
+  });
+
+  gas.exportTasCVE(Object.assign({ enrich: true, expandCves: true }, WINDOW));
+
+  const h = sheet.data[0];
+  const byId = {};
+  sheet.data.slice(1).forEach(r => {
+    byId[r[0]] = [r[h.indexOf('KEV')], r[h.indexOf('EPSS Percentile')], day(r[h.indexOf('RR Date')])];
+  });
+  assert.deepEqual(byId['CVE-2025-55182'], ['', 0.78, '2026-01-06']);
+  assert.deepEqual(byId['CVE-2025-55183'], ['Yes', 0.99, '2026-01-02']);
+  assert.deepEqual(byId['CVE-2025-41243'].slice(0, 2), ['', 0.41]);
+  assert.deepEqual(plain(state.driveReads), [DRIVE_ID, `${DRIVE_ID}gz`]);
+  assert.equal(state.fetches.filter(f => !/broadcom\.com/.test(f.url)).length, 0);
+});
+
+test('an unreachable KEV source fails the export instead of dropping the flags', () => {
+  const { gas, sheet } = loadTasCVE({}, {
+    routes: [broadcomPagesRoute(PAGES), url => (url === KEV_URL ? { code: 503, body: 'down' } : undefined)],
+    properties: { TASCVE_SPREADSHEET_ID: 'sheet-1', TASCVE_EPSS_SOURCE: '' }
+  });
+
+  assert.throws(() => gas.exportTasCVE(Object.assign({ enrich: true }, WINDOW)), /KEV source returned HTTP 503/);
+  assert.deepEqual(plain(sheet.data), [HEADERS]);
+});
+
+test('upsert moves RR Dates it computed to a new KEV due date but keeps hand-set ones', () => {
+  let kev = { vulnerabilities: [] };
+  const { gas, sheet } = loadTasCVE({}, {
+    routes: [broadcomPagesRoute(PAGES), detailRoute, url => (url === KEV_URL ? { code: 200, body: kev } : undefined)],
+    properties: { TASCVE_SPREADSHEET_ID: 'sheet-1', TASCVE_PAGE_SIZE: '3', TASCVE_EPSS_SOURCE: '' }
+  });
+  const opts = Object.assign({ enrich: true, mode: 'upsert' }, WINDOW);
+
+  gas.exportTasCVE(opts);
+  const rr = HEADERS.indexOf('RR Date');
+  sheet.data[4][rr] = new Date('2026-02-01T12:00:00Z');   // hand-set on 36571
+
+  kev = { vulnerabilities: [
+    { cveID: 'CVE-2025-66516', dueDate: '2026-01-05' },
+    { cveID: 'CVE-2025-41243', dueDate: '2026-01-03' }
+  ] };
+  gas.exportTasCVE(opts);
+  assert.equal(day(sheet.data[2][rr]), '2026-01-05');
+  assert.equal(day(sheet.data[4][rr]), '2026-02-01');
+
+  kev = { vulnerabilities: [] };
+  gas.exportTasCVE(opts);
+  assert.equal(day(sheet.data[2][rr]), '2026-01-28');
+});
+
+test('Settings reject KEV / EPSS sources that are neither a URL nor a readable Drive file', () => {
+  const { gas } = loadScripts(SHEET_FILES, {
+    spreadsheets: [{ id: 'sheet-1', tabs: { TasCVE: [HEADERS] } }],
+    driveFiles: { [DRIVE_ID]: { name: 'kev.json', content: '{}' } }
+  });
+  const form = {
+    SPREADSHEET_ID: 'sheet-1', TAB_NAME: 'TasCVE', SEGMENTS: 'VT', PAGE_SIZE: 200, MAX_PAGES: 15,
+    SLA_DAYS: 'Critical=7', WATCHLIST_MODE: 'highlight', ENRICH: 'on',
+    KEV_SOURCE: `drive:${DRIVE_ID}`, EPSS_SOURCE: 'https://api.first.org/data/v1/epss?cve={cves}'
+  };
+
+  assert.match(gas.saveTasCVESettings(form), /^Saved\./);
+  assert.throws(() => gas.saveTasCVESettings(Object.assign({}, form, { KEV_SOURCE: 'kev.json' })),
+    /KEV source must be an https:\/\/ URL or a Drive file id/);
+  assert.throws(() => gas.saveTasCVESettings(Object.assign({}, form, { EPSS_SOURCE: `${DRIVE_ID}x` })),
+    /EPSS source: cannot open Drive file/);
+});
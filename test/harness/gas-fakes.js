@@ -0,0 +1,688 @@
+'use strict';
+const zlib = require('zlib');
+
+/**
+ * In-memory fakes for the Apps Script services the scripts use.
+ * Only the surface our code touches is implemented; formatting calls that
+ * don't affect data (fonts, widths, colors) are accepted and recorded.
+ */
+
+/* ================= Utilities / Session / Logger ================= */
+
+function formatDate(date, tz, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: tz || 'UTC',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    weekday: 'short', hourCycle: 'h23'
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+  const isoDay = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 }[parts.weekday];
+  const tokens = {
+    yyyy: parts.year, MM: parts.month, dd: parts.day,
+    HH: parts.hour, mm: parts.minute, ss: parts.second, u: String(isoDay)
+  };
+  return pattern.replace(/'([^']*)'|yyyy|MM|dd|HH|mm|ss|u/g, (m, lit) => lit != null ? lit : tokens[m]);
+}
+
+function createUtilities(state) {
+  return {
+    formatDate,
+    sleep(ms) { state.slept.push(ms); },
+    getUuid() { return `uuid-${++state.uuid}`; },
+    newBlob,
+    ungzip(blob) { return newBlob(zlib.gunzipSync(blob.getBytes())); },
+    parseCsv
+  };
+}
+
+function newBlob(data, name) {
+  const bytes = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+  const blob = {
+    getDataAsString: () => bytes.toString('utf8'),
+    getBytes: () => bytes,
+    getName: () => name || null,
+    setContentType() { return blob; }
+  };
+  return blob;
+}
+
+/** RFC 4180 CSV → rows of strings (quoted fields may hold commas, quotes and newlines). */
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+function createLogger(state) {
+  return { log(msg) { state.logs.push(String(msg)); } };
+}
+
+/* ================= UrlFetchApp ================= */
+
+/**
+ * routes: array of (url, options, callIndex) => response | undefined.
+ * A response is { code, body, headers } where body may be an object (JSON).
+ */
+function createUrlFetchApp(state, routes) {
+  function toResponse(r) {
+    const text = typeof r.body === 'string' ? r.body : JSON.stringify(r.body == null ? {} : r.body);
+    return {
+      getResponseCode: () => r.code == null ? 200 : r.code,
+      getContentText: () => text,
+      getHeaders: () => r.headers || {},
+      getBlob: () => newBlob(Buffer.isBuffer(r.body) ? r.body : text)
+    };
+  }
+  return {
+    fetch(url, options) {
+      options = options || {};
+      const call = { url, options, payload: null };
+      if (options.payload) {
+        try { call.payload = JSON.parse(options.payload); } catch (e) { call.payload = options.payload; }
+      }
+      state.fetches.push(call);
+      for (const route of routes) {
+        const r = route(url, options, call.payload, state.fetches.length - 1);
+        if (r instanceof Error) throw r;
+        if (r) return toResponse(r);
+      }
+      throw new Error(`No fake route for ${options.method || 'get'} ${url}`);
+    }
+  };
+}
+
+/** Route that replays recorded list pages by pageNumber (per segment if given an object). */
+function broadcomPagesRoute(pages) {
+  return (url, options, payload) => {
+    if (!/getSecurityAdvisoryList/.test(url)) return undefined;
+    const list = Array.isArray(pages) ? pages : (pages[payload.segment] || []);
+    const page = list[payload.pageNumber];
+    return { code: 200, body: page || { success: true, data: { list: [], pageInfo: { nextPage: null } } } };
+  };
+}
+
+/* ================= Spreadsheet ================= */
+
+function createSheet(name, rows) {
+  const data = (rows || []).map(r => r.slice());
+  const formulas = new Map();
+  const rich = new Map();
+  const formats = new Map();
+  const calls = [];
+  const key = (r, c) => `${r},${c}`;
+
+  function ensure(r, c) {
+    while (data.length < r) data.push([]);
+    const row = data[r - 1];
+    while (row.length < c) row.push('');
+    return row;
+  }
+  function get(r, c) {
+    const row = data[r - 1] || [];
+    return row[c - 1] === undefined ? '' : row[c - 1];
+  }
+  function set(r, c, v) {
+    const row = ensure(r, c);
+    rich.delete(key(r, c));
+    if (typeof v === 'string' && v.charAt(0) === '=') {
+      formulas.set(key(r, c), v);
+      const m = v.match(/^=HYPERLINK\("(?:[^"]|"")*",\s*"((?:[^"]|"")*)"\)$/);
+      row[c - 1] = m ? m[1].replace(/""/g, '"') : v;
+    } else {
+      formulas.delete(key(r, c));
+      row[c - 1] = v;
+    }
+  }
+  // Stored rich text while the cell still shows its text, else plain rich text of the value
+  // (a test editing data[][] directly stands for a user retyping the cell)
+  function richAt(r, c) {
+    const v = get(r, c);
+    const stored = rich.get(key(r, c));
+    if (stored && stored.getText() === v) return stored;
+    if (v instanceof Date || typeof v !== 'string') return null;
+    return createRichText().newRichTextValue().setText(v).build();
+  }
+  const grid = (r, c, nr, nc, fn) =>
+    Array.from({ length: nr }, (_, i) => Array.from({ length: nc }, (_, j) => fn(r + i, c + j)));
+
+  function range(r, c, nr, nc) {
+    nr = nr || 1; nc = nc || 1;
+    if (r < 1 || c < 1 || nr < 1 || nc < 1) throw new Error(`Bad range ${r},${c},${nr},${nc}`);
+    const rng = {
+      getRow: () => r, getColumn: () => c, getNumRows: () => nr, getNumColumns: () => nc,
+      getValues: () => grid(r, c, nr, nc, get),
+      getDisplayValues: () => grid(r, c, nr, nc, (i, j) => {
+        const v = get(i, j);
+        return v instanceof Date ? v.toISOString().substring(0, 10) : String(v);
+      }),
+      getValue: () => get(r, c),
+      getFormulas: () => grid(r, c, nr, nc, (i, j) => formulas.get(key(i, j)) || ''),
+      getFormula: () => formulas.get(key(r, c)) || '',
+      getRichTextValue: () => richAt(r, c),
+      getRichTextValues: () => grid(r, c, nr, nc, richAt),
+      getNumberFormats: () => grid(r, c, nr, nc, (i, j) => formats.get(key(i, j)) || ''),
+      setValues(values) {
+        if (values.length !== nr || values.some(v => v.length !== nc)) {
+          throw new Error(`setValues dimensions ${values.length}x${(values[0] || []).length} != ${nr}x${nc}`);
+        }
+        values.forEach((row, i) => row.forEach((v, j) => set(r + i, c + j, v)));
+        return rng;
+      },
+      setValue(v) { set(r, c, v); return rng; },
+      setFormula(f) { set(r, c, f); return rng; },
+      setRichTextValue(v) { ensure(r, c)[c - 1] = v.getText(); rich.set(key(r, c), v); return rng; },
+      setNumberFormat(f) { grid(r, c, nr, nc, (i, j) => formats.set(key(i, j), f)); return rng; },
+      clearContent() { grid(r, c, nr, nc, (i, j) => set(i, j, '')); return rng; }
+    };
+    ['setFontWeight', 'setFontWeights', 'setBackground', 'setBackgrounds', 'setFontColor', 'setFontColors',
+      'setFontLine', 'setWrap', 'setNote', 'setHorizontalAlignment'].forEach(m => {
+      rng[m] = (...args) => { calls.push({ method: m, range: [r, c, nr, nc], args }); return rng; };
+    });
+    return rng;
+  }
+
+  const sheet = {
+    data, formulas, calls,
+    parent: null,
+    getName: () => name,
+    setName(n) { name = n; return sheet; },
+    getParent: () => sheet.parent,
+    getRange: range,
+    getDataRange: () => range(1, 1, Math.max(sheet.getLastRow(), 1), Math.max(sheet.getLastColumn(), 1)),
+    getLastRow() {
+      let n = data.length;
+      while (n > 0 && data[n - 1].every(v => v === '' || v == null)) n--;
+      return n;
+    },
+    getLastColumn() { return data.reduce((m, row) => Math.max(m, row.length), 0); },
+    getMaxRows() { return Math.max(data.length, 1000); },
+    deleteRows(start, count) {
+      calls.push({ method: 'deleteRows', args: [start, count] });
+      data.splice(start - 1, count);
+      shiftKeys(start, -count);
+    },
+    deleteRow(row) { sheet.deleteRows(row, 1); },
+    insertRowsAfter(after, count) {
+      calls.push({ method: 'insertRowsAfter', args: [after, count] });
+      ensure(after, 1);
+      data.splice(after, 0, ...Array.from({ length: count }, () => []));
+      shiftKeys(after + 1, count);
+    },
+    insertRowBefore(before) { sheet.insertRowsAfter(before - 1, 1); },
+    appendRow(values) { range(sheet.getLastRow() + 1, 1, 1, values.length).setValues([values]); return sheet; },
+    clear() { data.length = 0; formulas.clear(); rich.clear(); formats.clear(); return sheet; },
+    setFrozenRows() { return sheet; },
+    autoResizeColumns() { return sheet; },
+    setColumnWidth() { return sheet; },
+    hideColumns() { return sheet; },
+    conditionalRules: [],
+    getConditionalFormatRules() { return sheet.conditionalRules.slice(); },
+    setConditionalFormatRules(rules) { sheet.conditionalRules = rules.slice(); }
+  };
+
+  function shiftKeys(fromRow, delta) {
+    [formulas, rich, formats].forEach(map => {
+      const entries = Array.from(map.entries());
+      map.clear();
+      entries.forEach(([k, v]) => {
+        const [rr, cc] = k.split(',').map(Number);
+        if (rr >= fromRow) {
+          if (delta < 0 && rr < fromRow - delta) return; // deleted
+          map.set(key(rr + delta, cc), v);
+        } else {
+          map.set(k, v);
+        }
+      });
+    });
+  }
+
+  return sheet;
+}
+
+function createSpreadsheet(id, name, tabs) {
+  const sheets = [];
+  const ss = {
+    toasts: [],
+    getId: () => id,
+    getName: () => name,
+    getUrl: () => `https://docs.google.com/spreadsheets/d/${id}/edit`,
+    getSheets: () => sheets.slice(),
+    getSheetByName: n => sheets.find(s => s.getName() === n) || null,
+    insertSheet(n) {
+      if (ss.getSheetByName(n)) throw new Error(`A sheet with the name "${n}" already exists.`);
+      const s = createSheet(n, []);
+      s.parent = ss;
+      sheets.push(s);
+      return s;
+    },
+    deleteSheet(s) { sheets.splice(sheets.indexOf(s), 1); },
+    toast(msg) { ss.toasts.push(String(msg)); }
+  };
+  Object.keys(tabs || {}).forEach(n => {
+    const s = createSheet(n, tabs[n]);
+    s.parent = ss;
+    sheets.push(s);
+  });
+  return ss;
+}
+
+function createUi(state) {
+  const ui = {
+    Button: { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO' },
+    ButtonSet: { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO' },
+    alert(a, b) { state.alerts.push(b != null && typeof b === 'string' ? `${a}: ${b}` : String(a)); return ui.Button.OK; },
+    prompt() {
+      const next = state.promptResponses.shift();
+      const cancelled = next == null;
+      return {
+        getSelectedButton: () => cancelled ? ui.Button.CANCEL : ui.Button.OK,
+        getResponseText: () => cancelled ? '' : String(next)
+      };
+    },
+    showSidebar(html) { state.dialogs.push({ kind: 'sidebar', html }); },
+    showModalDialog(html, title) { state.dialogs.push({ kind: 'modal', html, title }); },
+    createMenu(title) {
+      const menu = { title, items: [] };
+      menu.addItem = (label, fn) => { menu.items.push({ label, fn }); return menu; };
+      menu.addSeparator = () => menu;
+      menu.addSubMenu = sub => { menu.items.push({ label: sub.title, sub }); return menu; };
+      menu.addToUi = () => { state.menus.push(menu); };
+      return menu;
+    }
+  };
+  return ui;
+}
+
+/** RichTextValue builder that records runs so tests can assert offsets. */
+function createRichText() {
+  function newTextStyle() {
+    const style = {};
+    const b = {
+      setBold(v) { style.bold = v; return b; },
+      setItalic(v) { style.italic = v; return b; },
+      setStrikethrough(v) { style.strikethrough = v; return b; },
+      setUnderline(v) { style.underline = v; return b; },
+      setFontFamily(v) { style.fontFamily = v; return b; },
+      setForegroundColor(v) { style.foregroundColor = v; return b; },
+      build() { return Object.assign({}, style); }
+    };
+    return b;
+  }
+  function newRichTextValue() {
+    let text = '';
+    const styles = [];
+    const links = [];
+    const b = {
+      setText(t) { text = t; return b; },
+      setTextStyle(start, end, style) {
+        if (start < 0 || end > text.length || start > end) throw new Error(`Bad style range ${start}-${end} for length ${text.length}`);
+        styles.push({ start, end, style });
+        return b;
+      },
+      setLinkUrl(start, end, url) {
+        if (start < 0 || end > text.length || start > end) throw new Error(`Bad link range ${start}-${end} for length ${text.length}`);
+        links.push({ start, end, url });
+        return b;
+      },
+      build() {
+        return {
+          getText: () => text,
+          styles: styles.slice(),
+          links: links.slice(),
+          /** Runs split wherever the style or link changes, like Sheets' getRuns(). */
+          getRuns() {
+            const cuts = new Set([0, text.length]);
+            styles.concat(links).forEach(x => { cuts.add(x.start); cuts.add(x.end); });
+            const bounds = Array.from(cuts).sort((a, b) => a - b);
+            const runs = [];
+            for (let i = 0; i < bounds.length - 1; i++) {
+              const [start, end] = [bounds[i], bounds[i + 1]];
+              if (start === end) continue;
+              const style = {};
+              styles.filter(x => x.start <= start && x.end >= end).forEach(x => Object.assign(style, x.style));
+              const link = links.filter(x => x.start <= start && x.end >= end).pop();
+              runs.push({
+                getText: () => text.slice(start, end),
+                getStartIndex: () => start,
+                getEndIndex: () => end,
+                getLinkUrl: () => (link ? link.url : null),
+                getTextStyle: () => ({
+                  isBold: () => !!style.bold,
+                  isItalic: () => !!style.italic,
+                  isStrikethrough: () => !!style.strikethrough,
+                  getFontFamily: () => style.fontFamily || 'Arial'
+                })
+              });
+            }
+            return runs;
+          },
+          /** Substring covered by each styled run, e.g. { bold: ['x'], link: [['y','https://…']] } */
+          spans() {
+            const out = {};
+            styles.forEach(s => Object.keys(s.style).forEach(k => {
+              (out[k] = out[k] || []).push(text.slice(s.start, s.end));
+            }));
+            links.forEach(l => (out.link = out.link || []).push([text.slice(l.start, l.end), l.url]));
+            return out;
+          }
+        };
+      }
+    };
+    return b;
+  }
+  return { newRichTextValue, newTextStyle };
+}
+
+function createSpreadsheetApp(state, spreadsheets) {
+  const byId = new Map(spreadsheets.map(ss => [ss.getId(), ss]));
+  const active = spreadsheets[0] || null;
+  const rt = createRichText();
+  return Object.assign({
+    openById(id) {
+      const ss = byId.get(id);
+      if (!ss) throw new Error(`Exception: Unexpected error while getting the method or property openById on object SpreadsheetApp. (${id})`);
+      return ss;
+    },
+    getActive: () => active,
+    getActiveSpreadsheet: () => active,
+    getUi: () => state.ui,
+    flush() {},
+    newConditionalFormatRule() {
+      const rule = { ranges: [], condition: null, format: {} };
+      const b = {
+        whenFormulaSatisfied(f) { rule.condition = { formula: f }; return b; },
+        setBackground(c) { rule.format.background = c; return b; },
+        setFontColor(c) { rule.format.fontColor = c; return b; },
+        setBold(v) { rule.format.bold = v; return b; },
+        setRanges(r) { rule.ranges = r; return b; },
+        build() {
+          return Object.assign({
+            getRanges: () => rule.ranges,
+            getBooleanCondition: () => rule.condition && {
+              getCriteriaType: () => 'CUSTOM_FORMULA',
+              getCriteriaValues: () => [rule.condition.formula]
+            }
+          }, rule);
+        }
+      };
+      return b;
+    }
+  }, rt);
+}
+
+/* ================= DocumentApp ================= */
+
+function createDocument() {
+  const children = [];
+  function paragraph(text) {
+    const p = { type: 'paragraph', text, attrs: {} };
+    ['setHeading', 'setItalic', 'setBold', 'setForegroundColor', 'setFontSize'].forEach(m => {
+      p[m] = v => { p.attrs[m.replace(/^set/, '').toLowerCase()] = v; return p; };
+    });
+    p.getText = () => text;
+    return p;
+  }
+  function table(rows) {
+    const t = { type: 'table', rows: rows.map(r => r.slice()), links: {}, backgrounds: {}, attrs: {} };
+    t.getNumRows = () => t.rows.length;
+    t.getRow = i => ({
+      getNumCells: () => t.rows[i].length,
+      getCell: j => ({
+        setBackgroundColor(c) { t.backgrounds[`${i},${j}`] = c; return this; },
+        editAsText: () => ({
+          setBold() { return this; },
+          setText(v) { t.rows[i][j] = v; return this; },
+          setLinkUrl(u) { t.links[`${i},${j}`] = u; return this; },
+          setForegroundColor() { return this; }
+        })
+      })
+    });
+    t.setColumnWidth = () => t;
+    return t;
+  }
+  const body = {
+    children,
+    appendParagraph(text) { const p = paragraph(text); children.push(p); return p; },
+    appendTable(rows) { const t = table(rows); children.push(t); return t; },
+    appendHorizontalRule() { children.push({ type: 'hr' }); },
+    appendPageBreak() { children.push({ type: 'pagebreak' }); },
+    clear() { children.length = 0; },
+    getNumChildren: () => children.length,
+    getText: () => children.map(c => (c.type === 'table' ? c.rows.map(r => r.join('\t')).join('\n') : c.text || '')).join('\n'),
+    getChild: i => children[i],
+    removeChild(c) { children.splice(children.indexOf(c), 1); }
+  };
+  return { getBody: () => body, body };
+}
+
+function createDocumentApp(state, doc) {
+  return {
+    ParagraphHeading: { HEADING1: 'HEADING1', HEADING2: 'HEADING2', HEADING3: 'HEADING3', NORMAL: 'NORMAL' },
+    getActiveDocument: () => doc,
+    getUi: () => state.ui
+  };
+}
+
+/* ================= Tasks (advanced service) ================= */
+
+function createTasks(state, lists) {
+  // lists: { [listId]: { title, tasks: [...] } }
+  const svc = {
+    Tasklists: {
+      list(opts) {
+        const all = Object.keys(lists).map(id => ({ id, title: lists[id].title }));
+        const max = (opts && opts.maxResults) || 100;
+        const start = opts && opts.pageToken ? Number(opts.pageToken) : 0;
+        const items = all.slice(start, start + max);
+        return { items, nextPageToken: start + max < all.length ? String(start + max) : undefined };
+      },
+      get(id) {
+        if (!lists[id]) throw new Error(`API call to tasks.tasklists.get failed with error: Not Found`);
+        return { id, title: lists[id].title };
+      }
+    },
+    Tasks: {
+      list(listId, opts) {
+        opts = opts || {};
+        if (!lists[listId]) throw new Error('Not Found');
+        state.taskCalls.push({ method: 'list', listId, opts });
+        let all = lists[listId].tasks.slice();
+        if (opts.updatedMin) all = all.filter(t => t.updated >= opts.updatedMin);
+        if (!opts.showDeleted) all = all.filter(t => !t.deleted);
+        if (!opts.showCompleted) all = all.filter(t => t.status !== 'completed');
+        const max = opts.maxResults || 100;
+        const start = opts.pageToken ? Number(opts.pageToken) : 0;
+        return {
+          items: all.slice(start, start + max),
+          nextPageToken: start + max < all.length ? String(start + max) : undefined
+        };
+      },
+      get(listId, taskId) {
+        const t = lists[listId] && lists[listId].tasks.find(x => x.id === taskId);
+        if (!t) throw new Error('Not Found');
+        return Object.assign({}, t);
+      },
+      insert(resource, listId, opts) {
+        state.taskCalls.push({ method: 'insert', listId, resource, opts });
+        const t = Object.assign({
+          id: `t${++state.uuid}`, status: 'needsAction', updated: new Date().toISOString(), position: '9'
+        }, resource);
+        if (opts && opts.parent) t.parent = opts.parent;
+        lists[listId].tasks.push(t);
+        return Object.assign({}, t);
+      },
+      patch(resource, listId, taskId) {
+        state.taskCalls.push({ method: 'patch', listId, taskId, resource });
+        const t = lists[listId].tasks.find(x => x.id === taskId);
+        if (!t) throw new Error('Not Found');
+        Object.assign(t, resource, { updated: new Date().toISOString() });
+        return Object.assign({}, t);
+      }
+    }
+  };
+  return svc;
+}
+
+/* ================= DriveApp ================= */
+
+/** files: { id: { name, content } }; content is a string or a Buffer. */
+function createDriveApp(state, files) {
+  return {
+    getFileById(id) {
+      state.driveReads.push(id);
+      const f = files[id];
+      if (!f) throw new Error(`No item with the given ID could be found: ${id}`);
+      return {
+        getId: () => id,
+        getName: () => f.name,
+        getBlob: () => newBlob(f.content, f.name)
+      };
+    }
+  };
+}
+
+/* ================= Properties / Lock / Mail / Script ================= */
+
+function createPropertiesService(store) {
+  const props = {
+    getProperty: k => (Object.prototype.hasOwnProperty.call(store, k) ? store[k] : null),
+    getProperties: () => Object.assign({}, store),
+    setProperty(k, v) { store[k] = String(v); return props; },
+    setProperties(o) { Object.keys(o).forEach(k => { store[k] = String(o[k]); }); return props; },
+    deleteProperty(k) { delete store[k]; return props; }
+  };
+  return { getScriptProperties: () => props, getUserProperties: () => props, getDocumentProperties: () => props };
+}
+
+function createLockService(state) {
+  return {
+    getScriptLock: () => ({
+      tryLock() { if (state.lockHeld) return false; state.lockHeld = true; return true; },
+      waitLock() { if (state.lockHeld) throw new Error('Lock timeout'); state.lockHeld = true; },
+      releaseLock() { state.lockHeld = false; },
+      hasLock: () => state.lockHeld
+    })
+  };
+}
+
+function createMailApp(state) {
+  return { sendEmail(msg) { state.mail.push(msg); } };
+}
+
+function createScriptApp(state) {
+  const builder = handler => {
+    const t = { handler, spec: {} };
+    const b = {
+      timeBased: () => b,
+      everyDays(n) { t.spec.everyDays = n; return b; },
+      everyHours(n) { t.spec.everyHours = n; return b; },
+      atHour(n) { t.spec.atHour = n; return b; },
+      nearMinute(n) { t.spec.nearMinute = n; return b; },
+      inTimezone(z) { t.spec.tz = z; return b; },
+      onWeekDay(d) { t.spec.weekDay = d; return b; },
+      create() {
+        const trig = {
+          getHandlerFunction: () => handler,
+          getEventType: () => 'CLOCK',
+          getUniqueId: () => `trigger-${state.triggers.length + 1}`,
+          spec: t.spec
+        };
+        state.triggers.push(trig);
+        return trig;
+      }
+    };
+    return b;
+  };
+  return {
+    newTrigger: builder,
+    getProjectTriggers: () => state.triggers.slice(),
+    deleteTrigger(t) { state.triggers.splice(state.triggers.indexOf(t), 1); },
+    WeekDay: { MONDAY: 'MONDAY' }
+  };
+}
+
+/* ================= Assemble ================= */
+
+/**
+ * Build a full set of fakes.
+ *   opts.tz           script time zone (also applied to process.env.TZ)
+ *   opts.routes       UrlFetchApp routes (see broadcomPagesRoute)
+ *   opts.spreadsheets [{ id, name, tabs: { TabName: [[...row], ...] } }]
+ *   opts.taskLists    { listId: { title, tasks: [...] } }
+ *   opts.properties   initial Script Properties
+ *   opts.user         Session active user email
+ */
+function createFakes(opts) {
+  opts = opts || {};
+  const tz = opts.tz || 'UTC';
+  process.env.TZ = tz;
+
+  const state = {
+    logs: [], slept: [], fetches: [], alerts: [], dialogs: [], menus: [], mail: [],
+    triggers: [], taskCalls: [], driveReads: [], promptResponses: (opts.prompts || []).slice(),
+    uuid: 0, lockHeld: false
+  };
+  state.ui = createUi(state);
+
+  const spreadsheets = (opts.spreadsheets || []).map(s => createSpreadsheet(s.id, s.name || s.id, s.tabs));
+  const doc = createDocument();
+  const properties = Object.assign({}, opts.properties || {});
+
+  const globals = {
+    console: opts.console || { log() {}, error() {}, warn() {}, info() {} },
+    Logger: createLogger(state),
+    Utilities: createUtilities(state),
+    Session: {
+      getScriptTimeZone: () => tz,
+      getActiveUser: () => ({ getEmail: () => opts.user || 'tester@example.com' }),
+      getEffectiveUser: () => ({ getEmail: () => opts.user || 'tester@example.com' })
+    },
+    UrlFetchApp: createUrlFetchApp(state, opts.routes || []),
+    SpreadsheetApp: createSpreadsheetApp(state, spreadsheets),
+    DocumentApp: createDocumentApp(state, doc),
+    Tasks: createTasks(state, opts.taskLists || {}),
+    DriveApp: createDriveApp(state, opts.driveFiles || {}),
+    PropertiesService: createPropertiesService(properties),
+    LockService: createLockService(state),
+    MailApp: createMailApp(state),
+    ScriptApp: createScriptApp(state),
+    HtmlService: {
+      createTemplateFromFile(name) {
+        const tmpl = { name, evaluate: () => ({ tmpl, setTitle() { return this; }, setWidth() { return this; }, setHeight() { return this; } }) };
+        return tmpl;
+      },
+      createHtmlOutputFromFile(name) {
+        return { name, setWidth() { return this; }, setHeight() { return this; }, setTitle() { return this; } };
+      }
+    }
+  };
+
+  return { globals, state, spreadsheets, doc, properties, taskLists: opts.taskLists || {} };
+}
+
+module.exports = {
+  createFakes,
+  createSheet,
+  broadcomPagesRoute,
+  formatDate
+};
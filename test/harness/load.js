@@ -0,0 +1,71 @@
+'use strict';
+/**
+ * Load Apps Script source files into one vm context, the way Apps Script
+ * concatenates a project's files into a single global scope.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createFakes, broadcomPagesRoute } = require('./gas-fakes');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * files: repo-relative .js files, in project order.
+ * opts:  passed to createFakes (routes, spreadsheets, tz, ...).
+ * Returns the fakes plus `gas` (the script globals) and `evaluate(expr)`
+ * for top-level const/let bindings, which vm does not expose on the context.
+ */
+function loadScripts(files, opts) {
+  const fakes = createFakes(opts);
+  const context = vm.createContext(Object.assign({}, fakes.globals));
+
+  files.forEach(file => {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  });
+
+  return Object.assign(fakes, {
+    gas: context,
+    evaluate: expr => vm.runInContext(expr, context)
+  });
+}
+
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8'));
+}
+
+/* The Sheet exporter project, its default tab header and the VT fixture pages */
+const SHEET_FILES = ['broadcom-client.js', 'google-app-function.js'];
+const HEADERS = ['CVE ID', 'RATING', 'COMMENTS', 'Link', 'Pub Date', 'RR Date'];
+const PAGES = [fixture('vt-page-0.json'), fixture('vt-page-1.json'), fixture('vt-page-2.json')];
+
+/**
+ * The Sheet exporter against spreadsheet "sheet-1" with a TasCVE tab,
+ * PAGES served from the Broadcom API and a page size of 3.
+ * tabs:  { TabName: rows } merged over { TasCVE: [HEADERS] }, or an array
+ *        as shorthand for the TasCVE rows below HEADERS.
+ * extra: overrides any loadScripts option (properties are replaced, not merged).
+ * Returns loadScripts' result plus `sheet`, the TasCVE tab.
+ */
+function loadTasCVE(tabs, extra) {
+  const tabRows = Array.isArray(tabs) ? { TasCVE: [HEADERS].concat(tabs) } : tabs;
+  const env = loadScripts(SHEET_FILES, Object.assign({
+    tz: 'UTC',
+    routes: [broadcomPagesRoute(PAGES)],
+    spreadsheets: [{ id: 'sheet-1', name: 'Security', tabs: Object.assign({ TasCVE: [HEADERS] }, tabRows) }],
+    properties: { TASCVE_SPREADSHEET_ID: 'sheet-1', TASCVE_PAGE_SIZE: '3' }
+  }, extra));
+  env.sheet = env.spreadsheets[0].getSheetByName('TasCVE');
+  return env;
+}
+
+/**
+ * Copy a value out of the vm realm (arrays/objects there have a different
+ * prototype, which assert.deepStrictEqual rejects). Dates become ISO strings.
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, loadTasCVE, fixture, plain, SHEET_FILES, HEADERS, PAGES, ROOT };
@@ -0,0 +1,102 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadTasCVE, plain, SHEET_FILES, PAGES } = require('./harness/load');
+const { broadcomPagesRoute } = require('./harness/gas-fakes');
+
+const DETAIL_36622 = `<h1>VTDSA-2025-36622</h1>
+<table><tr><th>Product</th><th>Affected Versions</th><th>Fixed Version</th></tr>
+<tr><td>VMware Tanzu Platform for Cloud Foundry</td><td>10.2.0 - 10.2.4</td><td>10.2.5</td></tr>
+<tr><td>VMware Tanzu Platform for Cloud Foundry</td><td>10.0.x</td><td>10.0.12</td></tr></table>
+<p>CVSSv3 9.8</p>`;
+
+const detailRoute = (url, options) => {
+  if (options.method !== 'get') return undefined;
+  return /\/36622$/.test(url) ? { code: 200, body: DETAIL_36622 } : { code: 404, body: 'Not found' };
+};
+
+test('broadcomParseVersionRanges_ reads lists, wildcards, bounds and "all"', () => {
+  const { gas } = loadScripts(['broadcom-client.js']);
+  const ranges = text => plain(gas.broadcomParseVersionRanges_(text));
+
+  assert.deepEqual(ranges('10.2.0 - 10.2.4, 10.0.x'), [
+    { lo: [10, 2, 0], loIncl: true, hi: [10, 2, 4], hiIncl: true },
+    { lo: [10, 0], loIncl: true, hi: [10, 1], hiIncl: false }
+  ]);
+  assert.deepEqual(ranges('prior to 6.0.21 and 4.0'), [
+    { lo: null, loIncl: true, hi: [6, 0, 21], hiIncl: false },
+    { lo: [4, 0], loIncl: true, hi: [4, 1], hiIncl: false }
+  ]);
+  assert.deepEqual(ranges('up to and including 2.3.1; 3.0 and later'), [
+    { lo: null, loIncl: true, hi: [2, 3, 1], hiIncl: true },
+    { lo: [3, 0], loIncl: true, hi: null, hiIncl: true }
+  ]);
+  assert.deepEqual(ranges('All versions'), [{ lo: null, loIncl: true, hi: null, hiIncl: true }]);
+  assert.deepEqual(ranges(''), []);
+});
+
+test('detail pages yield affected and fixed versions from tables or labelled lines', () => {
+  const { gas } = loadScripts(['broadcom-client.js']);
+
+  const table = gas.broadcomParseDetailText_(DETAIL_36622);
+  assert.equal(table.affectedVersions, '10.2.0 - 10.2.4, 10.0.x');
+  assert.equal(table.fixedVersions, '10.2.5, 10.0.12');
+  assert.equal(table.cvss, 9.8);
+
+  const lines = gas.broadcomParseDetailText_('<p>Affected Versions: &lt; 1.4.2</p><p>Fixed Version(s): 1.4.2</p>');
+  assert.equal(lines.fixedVersions, '1.4.2');
+  assert.equal(gas.broadcomParseDetailText_('<p>nothing here</p>').affectedVersions, '');
+  assert.deepEqual(plain(gas.broadcomFetchAdvisoryDetail_('')), { cves: [], cvss: null, affectedVersions: '', fixedVersions: '' });
+});
+
+test('inventoryExposure_ compares on the same release line first', () => {
+  const { gas } = loadScripts(SHEET_FILES);
+  const v = s => gas.broadcomParseVersion_(s);
+  const exposure = (version, ranges, fixed) =>
+    plain(gas.inventoryExposure_(version, gas.broadcomParseVersionRanges_(ranges), fixed.map(v)));
+
+  assert.deepEqual(exposure('10.2.3', '', ['10.2.5', '10.0.12']), { status: 'affected', fix: '10.2.5', guess: false });
+  assert.deepEqual(exposure('10.0.13', '', ['10.2.5', '10.0.12']), { status: 'fixed', fix: '', guess: false });
+  // no fix on the 10.1 line: older than the newest fix is only a guess
+  assert.deepEqual(exposure('10.1.3', '', ['10.2.5', '10.0.12']), { status: 'affected', fix: '10.2.5', guess: true });
+  assert.deepEqual(exposure('10.1.3', '', ['10.0.12']), { status: 'fixed', fix: '', guess: true });
+  assert.deepEqual(exposure('10.0.9', '10.0.x', ['10.2.5', '10.0.12']), { status: 'affected', fix: '10.0.12', guess: false });
+  // in range, but the only fix is on another line
+  assert.deepEqual(exposure('10.1.2', '10.1.x', ['10.2.5']), { status: 'affected', fix: '10.2.5', guess: true });
+  assert.deepEqual(exposure('9.8', '10.0.x', []), { status: 'fixed', fix: '', guess: false });
+  assert.deepEqual(exposure('', '10.0.x', []), { status: 'unknown', fix: '', guess: false });
+  assert.deepEqual(exposure('10.0.1', '', []), { status: 'unknown', fix: '', guess: false });
+});
+
+test('exportTasCVE lists the inventory environments each advisory affects', () => {
+  const inventory = [
+    ['Product', 'Version', 'Environment', 'Owner'],
+    ['Tanzu Platform for Cloud Foundry', '10.2.3', 'prod', 'alice'],
+    ['Tanzu Platform for Cloud Foundry', '10.0.9', 'dr', ''],
+    ['Tanzu Platform for Cloud Foundry', '10.2.5', 'stage', 'bob'],
+    ['Tanzu Hub', '10.3.1', 'prod', ''],
+    ['Tanzu Hub', '10.2.0', 'lab', 'carol'],
+    ['GemFire', '', 'prod', '']
+  ];
+  const { gas, sheet, state } = loadTasCVE({ Inventory: inventory }, { routes: [broadcomPagesRoute(PAGES), detailRoute] });
+
+  gas.exportTasCVE({ startDate: '2025-12-15', endDate: '2025-12-31' });
+
+  const col = sheet.data[0].indexOf('Affected Environments');
+  assert.ok(col > 0);
+  assert.deepEqual(sheet.data.slice(1).map(r => r[col]), [
+    'prod: Tanzu Platform for Cloud Foundry 10.2.3 → 10.2.5 (alice); dr: Tanzu Platform for Cloud Foundry 10.0.9 → 10.0.12',
+    'lab: Tanzu Hub 10.2.0 → 10.3.1 (carol) [unverified]',   // fix taken from the title
+    'prod: GemFire [unverified]',
+    '',
+    ''
+  ]);
+  // detail pages only for advisories that name an inventory product
+  assert.equal(state.fetches.filter(f => f.options.method === 'get').length, 3);
+});
+
+test('an Inventory tab without Product / Version headers fails the export', () => {
+  const { gas } = loadTasCVE({ Inventory: [['Name', 'Release']] }, { properties: { TASCVE_SPREADSHEET_ID: 'sheet-1' } });
+
+  assert.throws(() => gas.exportTasCVE({ startDate: '2025-12-15', endDate: '2025-12-31' }), /needs "Product" and "Version"/);
+});
@@ -0,0 +1,85 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness/load');
+
+const TASK_FILES = ['task-export.js'];
+
+test('buildRichTextFromMarkdown_ styles bold, italic and code', () => {
+  const { gas } = loadScripts(TASK_FILES);
+  const rtv = gas.buildRichTextFromMarkdown_('Patch **now** then `cf push`');
+
+  assert.equal(rtv.getText(), 'Patch now then cf push');
+  const spans = rtv.spans();
+  assert.deepEqual(plain(spans.bold), ['now']);
+  assert.deepEqual(plain(spans.fontFamily), ['cf push']);
+});
+
+test('buildRichTextFromMarkdown_ turns links into hyperlinked labels', () => {
+  const { gas } = loadScripts(TASK_FILES);
+  const rtv = gas.buildRichTextFromMarkdown_('See [VTDSA-2025-1](https://support.broadcom.com/a) for details');
+
+  assert.equal(rtv.getText(), 'See VTDSA-2025-1 for details');
+  assert.deepEqual(plain(rtv.spans().link), [['VTDSA-2025-1', 'https://support.broadcom.com/a']]);
+});
+
+test('buildRichTextFromMarkdown_ renders headings bold and bullets as •', () => {
+  const { gas } = loadScripts(TASK_FILES);
+  const rtv = gas.buildRichTextFromMarkdown_('## Steps\r\n- upgrade\n* restart');
+
+  assert.equal(rtv.getText(), 'Steps\n• upgrade\n• restart');
+  assert.deepEqual(plain(rtv.spans().bold), ['Steps']);
+});
+
+test('stripMarkdown_ keeps text and link targets', () => {
+  const { gas } = loadScripts(TASK_FILES);
+  assert.equal(
+    gas.stripMarkdown_('# Title\n**bold** and *it* and `code` [x](https://y)'),
+    'Title\nbold and it and code x (https://y)'
+  );
+  assert.equal(gas.stripMarkdown_(''), '');
+});
+
+test('links and emphasis in one note keep their own offsets', () => {
+  const { gas } = loadScripts(TASK_FILES);
+  const rtv = gas.buildRichTextFromMarkdown_('Fix in [**VTDSA-2025-1**](https://x/a) and **now**, then [b](https://y)');
+
+  assert.equal(rtv.getText(), 'Fix in VTDSA-2025-1 and now, then b');
+  const spans = rtv.spans();
+  assert.deepEqual(plain(spans.bold), ['VTDSA-2025-1', 'now']);
+  assert.deepEqual(plain(spans.link), [['VTDSA-2025-1', 'https://x/a'], ['b', 'https://y']]);
+});
+
+test('buildRichTextFromMarkdown_ nests emphasis and supports __bold__ and ~~strike~~', () => {
+  const { gas } = loadScripts(TASK_FILES);
+  const rtv = gas.buildRichTextFromMarkdown_('**bold *both*** __also__ ~~gone~~ snake_case_name 2 * 3');
+
+  assert.equal(rtv.getText(), 'bold both also gone snake_case_name 2 * 3');
+  const spans = rtv.spans();
+  assert.deepEqual(plain(spans.bold), ['bold ', 'both', 'also']);
+  assert.deepEqual(plain(spans.italic), ['both']);
+  assert.deepEqual(plain(spans.strikethrough), ['gone']);
+});
+
+test('buildRichTextFromMarkdown_ keeps numbered lists and links bare URLs', () => {
+  const { gas } = loadScripts(TASK_FILES);
+  const rtv = gas.buildRichTextFromMarkdown_('1. Read https://support.broadcom.com/a_(b).\n2) Patch (see <https://x/y>)\n  - nested');
+
+  assert.equal(rtv.getText(), '1. Read https://support.broadcom.com/a_(b).\n2) Patch (see https://x/y)\n  • nested');
+  assert.deepEqual(plain(rtv.spans().link), [
+    ['https://support.broadcom.com/a_(b)', 'https://support.broadcom.com/a_(b)'],
+    ['https://x/y', 'https://x/y']
+  ]);
+});
+
+test('stripMarkdown_ matches the rich text, escapes and code spans included', () => {
+  const { gas } = loadScripts(TASK_FILES);
+  const md = '#tanzu **unclosed \\*x\\* `a ** b` [**L**](https://y) https://z';
+  assert.equal(gas.stripMarkdown_(md), '#tanzu **unclosed *x* a ** b L (https://y) https://z');
+  assert.equal(gas.buildRichTextFromMarkdown_(md).getText(), '#tanzu **unclosed *x* a ** b L https://z');
+});
+
+test('extractTags_ returns unique #tags', () => {
+  const { gas } = loadScripts(TASK_FILES);
+  assert.deepEqual(plain(gas.extractTags_('#critical fix for #tanzu and #critical')), ['critical', 'tanzu']);
+});
@@ -0,0 +1,149 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, fixture, plain, PAGES } = require('./harness/load');
+const { broadcomPagesRoute } = require('./harness/gas-fakes');
+
+const CLIENT = ['broadcom-client.js'];
+
+const listCalls = state => state.fetches.filter(f => /getSecurityAdvisoryList/.test(f.url));
+
+test('broadcomFetchAdvisories_ stops early once a page is older than fromDay', () => {
+  const { gas, state } = loadScripts(CLIENT, { routes: [broadcomPagesRoute(PAGES)] });
+
+  const res = gas.broadcomFetchAdvisories_({ segment: 'VT', fromDay: '2025-12-15', toDay: '2025-12-31', pageSize: 3 });
+
+  assert.deepEqual(listCalls(state).map(c => c.payload.pageNumber), [0, 1]);
+  assert.equal(res.pages, 2);
+  assert.equal(res.fetched, 6);
+  assert.equal(res.earlyStop, true);
+  assert.deepEqual(plain(res.advisories.map(a => a.id)), ['36622', '36610', '36598', '36571', '36555']);
+});
+
+test('broadcomFetchAdvisories_ follows pageInfo.nextPage to the end without a window', () => {
+  const { gas, state } = loadScripts(CLIENT, { routes: [broadcomPagesRoute(PAGES)] });
+
+  const res = gas.broadcomFetchAdvisories_({ segment: 'VT', pageSize: 3 });
+
+  assert.deepEqual(listCalls(state).map(c => c.payload.pageNumber), [0, 1, 2]);
+  assert.equal(res.advisories.length, 7);
+  assert.equal(res.earlyStop, false);
+});
+
+test('broadcomFetchAdvisories_ falls back to short-page detection without pageInfo', () => {
+  const strip = p => ({ success: true, data: { list: p.data.list } });
+  const { gas, state } = loadScripts(CLIENT, { routes: [broadcomPagesRoute(PAGES.map(strip))] });
+
+  gas.broadcomFetchAdvisories_({ segment: 'VT', pageSize: 3, earlyStop: false });
+
+  // page 2 has 1 item < pageSize → last page
+  assert.deepEqual(listCalls(state).map(c => c.payload.pageNumber), [0, 1, 2]);
+});
+
+test('broadcomFetchAdvisories_ respects maxPages', () => {
+  const { gas, state } = loadScripts(CLIENT, { routes: [broadcomPagesRoute(PAGES)] });
+  gas.broadcomFetchAdvisories_({ segment: 'VT', pageSize: 3, maxPages: 1 });
+  assert.equal(listCalls(state).length, 1);
+});
+
+test('payload carries segment, window, search and DESC sort', () => {
+  const { gas, state } = loadScripts(CLIENT, { routes: [broadcomPagesRoute({ VC: PAGES })] });
+
+  gas.broadcomFetchAdvisories_({ segment: 'VC', fromDay: '2025-12-15', toDay: '2025-12-31', searchVal: 'GemFire', pageSize: 3, serverDates: true });
+
+  const first = listCalls(state)[0];
+  assert.equal(first.options.method, 'post');
+  assert.equal(first.payload.segment, 'VC');
+  assert.equal(first.payload.fromDate, '2025-12-15');
+  assert.equal(first.payload.toDate, '2025-12-31');
+  assert.equal(first.payload.searchVal, 'GemFire');
+  assert.deepEqual(plain(first.payload.sortInfo), { column: 'published', order: 'DESC' });
+  assert.match(first.options.headers.referer, /segment=VC$/);
+});
+
+test('without serverDates the window is applied to published here, not sent to the API', () => {
+  const { gas, state } = loadScripts(CLIENT, { routes: [broadcomPagesRoute(PAGES)] });
+
+  const res = gas.broadcomFetchAdvisories_({ segment: 'VT', fromDay: '2025-12-18', toDay: '2025-12-29', pageSize: 3 });
+
+  assert.ok(listCalls(state).every(c => !('fromDate' in c.payload) && !('toDate' in c.payload)));
+  assert.deepEqual(plain(res.advisories.map(a => a.publishedDay)), ['2025-12-29', '2025-12-24', '2025-12-18']);
+});
+
+test('429 and 5xx responses are retried with backoff, honouring Retry-After', () => {
+  let n = 0;
+  const flaky = (url, options, payload) => {
+    n++;
+    if (n === 1) return { code: 429, body: 'slow down', headers: { 'Retry-After': '2' } };
+    if (n === 2) return { code: 503, body: 'unavailable' };
+    return undefined;
+  };
+  const { gas, state } = loadScripts(CLIENT, { routes: [flaky, broadcomPagesRoute(PAGES)] });
+
+  const res = gas.broadcomFetchAdvisories_({ segment: 'VT', pageSize: 3, maxPages: 1 });
+
+  assert.equal(res.advisories.length, 3);
+  assert.equal(listCalls(state).length, 3);
+  assert.equal(state.slept[0], 2000);
+  assert.ok(state.slept[1] >= 2000 && state.slept[1] < 2250, `second backoff ${state.slept[1]}`);
+});
+
+test('non-retryable errors and exhausted retries throw with the HTTP code', () => {
+  const { gas } = loadScripts(CLIENT, { routes: [() => ({ code: 403, body: 'Forbidden' })] });
+  assert.throws(() => gas.broadcomFetchAdvisories_({ segment: 'VT' }), /HTTP 403 from Broadcom endpoint/);
+
+  const down = loadScripts(CLIENT, { routes: [() => ({ code: 500, body: 'down' })] });
+  assert.throws(() => down.gas.broadcomFetchAdvisories_({ segment: 'VT' }), /HTTP 500/);
+  assert.equal(down.state.fetches.length, down.evaluate('BROADCOM_CLIENT_CONFIG.MAX_RETRIES') + 1);
+});
+
+test('transport exceptions are retried, then reported', () => {
+  const { gas, state } = loadScripts(CLIENT, { routes: [() => new Error('Address unavailable')] });
+  assert.throws(() => gas.broadcomRequest_({ pageNumber: 0, segment: 'VT' }), /failed after 5 attempt\(s\).*Address unavailable/);
+  assert.equal(state.fetches.length, 5);
+});
+
+test('normalizeAdvisory_ maps tolerant field names into one shape', () => {
+  const { gas } = loadScripts(CLIENT);
+  const a = gas.normalizeAdvisory_(fixture('vt-page-0.json').data.list[0]);
+
+  assert.equal(a.id, '36622');
+  assert.equal(a.title, 'VMware Tanzu Platform for Cloud Foundry 10.2.5');
+  assert.equal(a.severity, 'Critical');
+  assert.equal(a.publishedDay, '2025-12-30');
+  assert.equal(new Date(a.updated.getTime()).toISOString(), '2025-12-30T09:14:02.000Z');
+  assert.deepEqual(plain(a.cves), ['CVE-2025-55182', 'CVE-2025-55183']);
+
+  const b = gas.normalizeAdvisory_({ vmsaId: 'VMSA-2025-0001', releaseDate: 'Oct 29, 2025', riskLevel: 'High', detailUrl: 'https://x' });
+  assert.equal(b.id, 'VMSA-2025-0001');
+  assert.equal(b.publishedDay, '2025-10-29');
+  assert.equal(b.severity, 'High');
+  assert.equal(b.url, 'https://x');
+
+  assert.equal(gas.normalizeAdvisory_({ title: 'no id' }), null);
+});
+
+test('normalizeAdvisory_ reads CVEs from the affectedCve string of the list payload', () => {
+  const { gas } = loadScripts(CLIENT);
+  const cves = affectedCve => plain(gas.normalizeAdvisory_({
+    notificationId: 103, published: '2025-12-01', title: 'Tanzu Hub 10.3.1', affectedCve
+  }).cves);
+
+  assert.deepEqual(cves('CVE-2025-66516, cve-2025-41243;CVE-2025-66516'), ['CVE-2025-41243', 'CVE-2025-66516']);
+  assert.deepEqual(cves(''), []);
+});
+
+test('normalizeAdvisory_ keeps the prefixed advisory code as fullId', () => {
+  const { gas } = loadScripts(CLIENT);
+
+  const a = gas.normalizeAdvisory_(fixture('vt-page-0.json').data.list[0]);
+  assert.equal(a.fullId, 'VTDSA-2025-36622');
+
+  const fromUrl = gas.normalizeAdvisory_({ notificationId: 101, published: '2025-12-01',
+    notificationUrl: 'https://support.broadcom.com/web/ecx/support-content-notification/-/external/content/SecurityAdvisories/0/VCDSA-2025-101?x=1' });
+  assert.equal(fromUrl.id, '101');
+  assert.equal(fromUrl.fullId, 'VCDSA-2025-101');
+
+  const bare = gas.normalizeAdvisory_({ notificationId: 102, published: '2025-12-01', notificationUrl: 'https://x/102' });
+  assert.equal(bare.fullId, '102');
+});
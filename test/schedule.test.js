@@ -0,0 +1,77 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadTasCVE, plain } = require('./harness/load');
+
+const loadSheet = extra => loadTasCVE({}, Object.assign({ tz: 'Europe/Berlin' }, extra));
+
+const handlers = state => state.triggers.map(t => t.getHandlerFunction());
+
+test('installing a schedule replaces the previous one instead of stacking triggers', () => {
+  const { gas, state } = loadSheet({ prompts: ['6', '6', '', '25'] });
+  gas.ScriptApp.newTrigger('onEditHandler').timeBased().everyHours(6).create();   // not ours, never touched
+
+  gas.menuTasCVE_scheduleDaily();
+  gas.menuTasCVE_scheduleDaily();
+  assert.deepEqual(plain(handlers(state)), ['onEditHandler', 'runScheduledTasCVE']);
+  assert.deepEqual(plain(state.triggers[1].spec), { everyDays: 1, atHour: 6, nearMinute: 0, tz: 'Europe/Berlin' });
+
+  gas.menuTasCVE_scheduleDaily();   // blank → DAILY_HOUR
+  assert.equal(state.triggers[1].spec.atHour, 7);
+
+  gas.menuTasCVE_scheduleDaily();   // out of range: the installed trigger stays
+  assert.match(state.alerts[state.alerts.length - 1], /Invalid hour/);
+  assert.equal(state.triggers[1].spec.atHour, 7);
+
+  gas.menuTasCVE_scheduleDaily();   // cancelled prompt
+  gas.menuTasCVE_scheduleHourlyWeekdays();
+  gas.menuTasCVE_scheduleHourlyWeekdays();
+  assert.deepEqual(plain(handlers(state)), ['onEditHandler', 'runScheduledTasCVEWeekdays']);
+  assert.deepEqual(plain(state.triggers[1].spec), { everyHours: 1 });
+});
+
+test('listing and removing schedules only sees the TasCVE triggers', () => {
+  const { gas, state } = loadSheet();
+
+  gas.menuTasCVE_listSchedules();
+  assert.equal(state.alerts.pop(), 'No scheduled TasCVE refreshes.');
+
+  gas.ScriptApp.newTrigger('onEditHandler').timeBased().everyHours(6).create();
+  gas.menuTasCVE_scheduleHourlyWeekdays();
+  gas.menuTasCVE_listSchedules();
+  assert.match(state.alerts.pop(), /^Scheduled TasCVE refreshes:\n• runScheduledTasCVEWeekdays \(CLOCK\) – id trigger-\d+$/);
+
+  gas.menuTasCVE_removeSchedules();
+  assert.equal(state.alerts.pop(), 'Removed 1 scheduled TasCVE refresh(es).');
+  assert.deepEqual(plain(handlers(state)), ['onEditHandler']);
+  gas.menuTasCVE_removeSchedules();
+  assert.equal(state.alerts.pop(), 'Removed 0 scheduled TasCVE refresh(es).');
+});
+
+test('scheduled runs record success and failure in the status tab', () => {
+  const { gas, state, spreadsheets } = loadSheet();
+  const status = () => spreadsheets[0].getSheetByName('TasCVE Status');
+  const value = key => (status().data.find(r => r[0] === key) || [])[1];
+
+  gas.runScheduledTasCVE();
+  assert.deepEqual(plain(status().data.map(r => r[0])), ['Key', 'Last success', 'Last run source']);
+  assert.equal(value('Last run source'), 'daily trigger');
+  const success = value('Last success');
+  assert.equal(Object.prototype.toString.call(success), '[object Date]');
+
+  // another export holds the script lock: the run fails, is recorded, and still throws
+  state.lockHeld = true;
+  assert.throws(() => gas.runScheduledTasCVE(), /already running/);
+  state.lockHeld = false;
+  assert.deepEqual(plain(status().data.map(r => r[0])),
+    ['Key', 'Last success', 'Last run source', 'Last failure', 'Last error']);
+  assert.equal(value('Last success'), success);
+  assert.match(value('Last error'), /Another TasCVE export is already running/);
+  assert.equal(Object.prototype.toString.call(value('Last failure')), '[object Date]');
+
+  // the next success updates its rows in place and leaves the last failure for reference
+  gas.runScheduledTasCVE();
+  assert.equal(status().data.length, 5);
+  assert.ok(value('Last success') >= value('Last failure'));
+  assert.match(value('Last error'), /already running/);
+});
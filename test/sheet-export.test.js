@@ -0,0 +1,489 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadTasCVE, plain, SHEET_FILES, HEADERS, PAGES } = require('./harness/load');
+const { broadcomPagesRoute } = require('./harness/gas-fakes');
+
+const day = s => new Date(`${s}T12:00:00Z`);
+const row = (id, pub, comment) => [id, 'High', comment || '', `https://x/${id}`, day(pub), ''];
+
+test('clearTasCVERowsInRange_ deletes in-window rows in contiguous blocks, bottom-up', () => {
+  const { gas, sheet } = loadTasCVE([
+    row('a', '2025-12-01'),
+    row('b', '2025-12-20'),
+    row('c', '2025-12-21'),
+    row('d', '2025-11-30'),
+    row('e', '2025-12-22'),
+    row('f', '2025-12-23'),
+    row('g', '2025-12-24'),
+    row('h', '2026-01-05')
+  ]);
+  const range = gas.resolveDateRange_({ startDate: '2025-12-15', endDate: '2025-12-31' });
+
+  gas.clearTasCVERowsInRange_(sheet, range);
+
+  const deletes = sheet.calls.filter(c => c.method === 'deleteRows').map(c => c.args);
+  assert.deepEqual(deletes, [[6, 3], [3, 2]]);
+  assert.deepEqual(sheet.data.slice(1).map(r => r[0]), ['a', 'd', 'h']);
+});
+
+test('clearTasCVERowsInRange_ is a no-op on an empty tab', () => {
+  const { gas, sheet } = loadTasCVE([]);
+  gas.clearTasCVERowsInRange_(sheet, gas.resolveDateRange_({}));
+  assert.equal(sheet.calls.filter(c => c.method === 'deleteRows').length, 0);
+});
+
+test('exportTasCVE replaces the window with fresh rows and keeps rows outside it', () => {
+  const { gas, sheet, state } = loadTasCVE([
+    row('36610', '2025-12-29', 'stale copy'),
+    row('older', '2025-11-01', 'outside window')
+  ]);
+
+  gas.exportTasCVE({ startDate: '2025-12-15', endDate: '2025-12-31' });
+
+  const ids = sheet.data.slice(1).map(r => r[0]);
+  assert.deepEqual(ids, ['older', 'VTDSA-2025-36622', 'VTDSA-2025-36610', 'VTDSA-2025-36598', 'VTDSA-2025-36571', 'VTDSA-2025-36555']);
+
+  const first = sheet.data[2];
+  assert.equal(first[1], 'Critical');
+  assert.equal(first[2], 'VMware Tanzu Platform for Cloud Foundry 10.2.5');
+  assert.equal(sheet.formulas.get('3,1'), `=HYPERLINK("${first[3]}", "VTDSA-2025-36622")`);
+
+  // early stop: page 2 never requested
+  assert.deepEqual(state.fetches.map(f => f.payload.pageNumber), [0, 1]);
+  assert.equal(state.lockHeld, false);
+});
+
+test('ensureHeadersExist_ names every missing header', () => {
+  const env = loadScripts(SHEET_FILES, {
+    spreadsheets: [{ id: 's', tabs: { TasCVE: [['CVE ID', 'RATING', 'Link']] } }]
+  });
+  const sheet = env.spreadsheets[0].getSheetByName('TasCVE');
+  assert.throws(() => env.gas.ensureHeadersExist_(sheet), /missing required header\(s\): COMMENTS, Pub Date, RR Date/);
+});
+
+test('renamed headers resolve through aliases, in any order', () => {
+  const { gas, sheet } = loadTasCVE({ TasCVE: [['Published', 'id', 'Severity', 'URL', 'Comments', 'RR date']] });
+
+  gas.exportTasCVE({ startDate: '2025-12-29', endDate: '2025-12-31' });
+
+  assert.equal(sheet.data.length, 3);
+  const [pub, id, severity, url, comments] = sheet.data[1];
+  assert.equal(new Date(pub.getTime()).toISOString(), '2025-12-30T12:00:00.000Z');
+  assert.equal(id, 'VTDSA-2025-36622');
+  assert.equal(severity, 'Critical');
+  assert.match(url, /36622$/);
+  assert.equal(comments, 'VMware Tanzu Platform for Cloud Foundry 10.2.5');
+});
+
+test('COLUMN_ALIASES adds header names without editing TAS_CVE_COLUMNS', () => {
+  const { gas, evaluate } = loadTasCVE();
+  evaluate('TAS_CVE_CONFIG.COLUMN_ALIASES = { rating: ["Risk"] }');
+
+  const col = gas.mapTasCVEColumns_(['CVE ID', 'Risk', 'COMMENTS', 'Link', 'Pub Date', 'RR Date', 'Status']);
+  assert.equal(col.rating, 2);
+  assert.equal(col.status, 7);
+  assert.equal(col.feedStatus, undefined);
+});
+
+test('optional columns are filled when their header is present', () => {
+  const headers = HEADERS.concat(['Title', 'Updated', 'Affected Products', 'Advisory Status', 'CVE List']);
+  const { gas, sheet } = loadTasCVE([], {
+    spreadsheets: [{ id: 'sheet-1', tabs: { TasCVE: [headers] } }]
+  });
+
+  gas.exportTasCVE({ startDate: '2025-12-30', endDate: '2025-12-31' });
+
+  const line = sheet.data[1];
+  assert.equal(line[6], 'VMware Tanzu Platform for Cloud Foundry 10.2.5');
+  assert.equal(new Date(line[7].getTime()).toISOString(), '2025-12-30T09:14:02.000Z');
+  assert.equal(line[8], '');
+  assert.equal(line[9], 'OPEN');
+  assert.equal(line[10], 'CVE-2025-55182, CVE-2025-55183');
+});
+
+test('upsert rewrites optional feed columns but leaves COMMENTS alone', () => {
+  const headers = HEADERS.concat(['Advisory Status', 'Title']);
+  const existing = row('36622', '2025-12-30', 'my note').concat(['DRAFT', 'old title']);
+  const { gas, sheet } = loadTasCVE([], {
+    spreadsheets: [{ id: 'sheet-1', tabs: { TasCVE: [headers, existing] } }]
+  });
+
+  gas.exportTasCVE({ startDate: '2025-12-30', endDate: '2025-12-31', mode: 'upsert' });
+
+  assert.deepEqual(sheet.data[0].slice(6), ['Advisory Status', 'Title', 'Feed Status']);
+  const line = sheet.data[1];
+  assert.equal(line[1], 'Critical');
+  assert.equal(line[2], 'my note');
+  assert.equal(line[6], 'OPEN');
+  assert.equal(line[7], 'VMware Tanzu Platform for Cloud Foundry 10.2.5');
+  assert.equal(line[8], '');
+});
+
+test('upsert rewrites rows stored under the bare notificationId to the prefixed id', () => {
+  const { gas, sheet } = loadTasCVE([row('36622', '2025-12-30', 'my note')]);
+
+  gas.exportTasCVE({ startDate: '2025-12-30', endDate: '2025-12-31', mode: 'upsert' });
+
+  assert.equal(sheet.data.length, 2);
+  assert.equal(sheet.data[1][0], 'VTDSA-2025-36622');
+  assert.equal(sheet.data[1][2], 'my note');
+});
+
+test('upsert marks window rows gone from the feed and clears the mark when they return', () => {
+  const pages = PAGES.slice();
+  const { gas, sheet, evaluate } = loadTasCVE([row('older', '2025-11-01', 'outside window')], {
+    routes: [broadcomPagesRoute(pages)]
+  });
+  const window = { startDate: '2025-12-15', endDate: '2025-12-31', mode: 'upsert' };
+  const today = evaluate('Utilities.formatDate(new Date(), "UTC", "yyyy-MM-dd")');
+  const feedStatus = () => {
+    const h = sheet.data[0];
+    return sheet.data.slice(1).map(r => [r[0], r[h.indexOf('Feed Status')] || '']);
+  };
+
+  gas.exportTasCVE(window);
+  assert.ok(feedStatus().every(([, s]) => s === ''));
+
+  // 36598 drops out of the feed: marked, not deleted; the row outside the window is left alone
+  pages[0] = JSON.parse(JSON.stringify(PAGES[0]));
+  pages[0].data.list = pages[0].data.list.filter(a => a.notificationId !== 36598);
+  gas.exportTasCVE(window);
+  assert.deepEqual(feedStatus(), [
+    ['older', ''],
+    ['VTDSA-2025-36622', ''],
+    ['VTDSA-2025-36610', ''],
+    ['VTDSA-2025-36598', `Not in feed since ${today}`],
+    ['VTDSA-2025-36571', ''],
+    ['VTDSA-2025-36555', '']
+  ]);
+
+  // back in the feed: the mark is cleared
+  pages[0] = PAGES[0];
+  gas.exportTasCVE(window);
+  assert.ok(feedStatus().every(([, s]) => s === ''));
+  assert.equal(sheet.data.length, 7);
+});
+
+test('expandCves writes one row per CVE and merges a CVE named by two advisories', () => {
+  // 36571 also fixes CVE-2025-66516, which 36610 (newer, High) names too
+  const page1 = JSON.parse(JSON.stringify(PAGES[1]));
+  page1.data.list[0].affectedCve = 'CVE-2025-41243, CVE-2025-66516';
+  page1.data.list[0].severity = 'Critical';
+  const notFound = (url, options) => (options.method === 'get' && /SecurityAdvisories/.test(url) ? { code: 404, body: 'Not found' } : undefined);
+  const { gas, spreadsheets } = loadTasCVE([], {
+    routes: [broadcomPagesRoute([PAGES[0], page1, PAGES[2]]), notFound],
+    spreadsheets: [{ id: 'sheet-1', tabs: { TasCVE: [HEADERS.concat(['Advisory'])] } }]
+  });
+  const sheet = spreadsheets[0].getSheetByName('TasCVE');
+
+  gas.exportTasCVE({ startDate: '2025-12-15', endDate: '2025-12-31', expandCves: true });
+
+  assert.deepEqual(sheet.data.slice(1).map(r => [r[0], r[1], r[4].toISOString().slice(0, 10), r[6]]), [
+    ['CVE-2025-55182', 'Critical', '2025-12-30', 'VTDSA-2025-36622'],
+    ['CVE-2025-55183', 'Critical', '2025-12-30', 'VTDSA-2025-36622'],
+    ['CVE-2025-66516', 'Critical', '2025-12-29', 'VTDSA-2025-36610, VTDSA-2025-36571'],
+    ['VTDSA-2025-36598', 'Medium', '2025-12-24', 'VTDSA-2025-36598'],   // no CVEs, not even on the detail page
+    ['CVE-2025-41243', 'Critical', '2025-12-18', 'VTDSA-2025-36571'],
+    ['VTDSA-2025-36555', 'Low', '2025-12-15', 'VTDSA-2025-36555']
+  ]);
+  assert.match(sheet.data[3][3], /\/36610$/);   // the newest advisory's link
+});
+
+test('revised advisories are flagged and their before/after values logged to History', () => {
+  const headers = HEADERS.concat(['Title', 'Updated', 'Revised']);
+  const stored = (id, severity, title, updated, revised) =>
+    [id, severity, 'note', `https://x/${id}`, day('2025-12-30'), '', title, new Date(updated), revised || ''];
+  const { gas, sheet, spreadsheets } = loadTasCVE([], {
+    spreadsheets: [{ id: 'sheet-1', tabs: { TasCVE: [headers,
+      // 36622: updated + severity + title changed
+      stored('36622', 'High', 'VMware Tanzu Platform for Cloud Foundry 10.2.4', '2025-12-29T08:00:00Z'),
+      // 36610: unchanged, keeps an earlier marker
+      stored('36610', 'High', 'Tanzu Hub 10.3.1', '2025-12-29T17:41:55Z', 'Revised 2025-12-01: Severity')
+    ] } }]
+  });
+  const today = new Date().toISOString().substring(0, 10);
+
+  gas.exportTasCVE({ startDate: '2025-12-29', endDate: '2025-12-31', revisions: true });
+
+  const byId = new Map(sheet.data.slice(1).map(r => [r[0], r]));
+  assert.equal(byId.get('VTDSA-2025-36622')[8], `Revised ${today}: Updated, Severity, Title`);
+  assert.equal(byId.get('VTDSA-2025-36610')[8], 'Revised 2025-12-01: Severity');
+
+  const history = spreadsheets[0].getSheetByName('TasCVE History');
+  assert.deepEqual(history.data[0], ['Detected', 'ID', 'Field', 'Before', 'After', 'Link', 'Tab']);
+  assert.deepEqual(history.data.slice(1).map(r => [r[1], r[2], r[3], r[4], r[6]]), [
+    ['VTDSA-2025-36622', 'Updated', '2025-12-29 08:00:00', '2025-12-30 09:14:02', 'TasCVE'],
+    ['VTDSA-2025-36622', 'Severity', 'High', 'Critical', 'TasCVE'],
+    ['VTDSA-2025-36622', 'Title', 'VMware Tanzu Platform for Cloud Foundry 10.2.4', 'VMware Tanzu Platform for Cloud Foundry 10.2.5', 'TasCVE']
+  ]);
+});
+
+test('a freshly added Updated column does not count as a revision', () => {
+  const { gas, sheet, spreadsheets } = loadTasCVE([row('36622', '2025-12-30')]);
+  sheet.data[1][1] = 'Critical';
+
+  gas.exportTasCVE({ startDate: '2025-12-30', endDate: '2025-12-31', mode: 'upsert', revisions: true });
+
+  assert.deepEqual(sheet.data[0].slice(6, 8), ['Updated', 'Revised']);
+  assert.equal(sheet.data[1][7], '');
+  assert.equal(spreadsheets[0].getSheetByName('TasCVE History'), null);
+});
+
+test('revision tracking is off by default: no Updated / Revised columns, no History', () => {
+  const { gas, sheet, spreadsheets } = loadTasCVE([row('36622', '2025-12-30')]);   // stored as High
+
+  gas.exportTasCVE({ startDate: '2025-12-30', endDate: '2025-12-31', mode: 'upsert' });
+
+  assert.deepEqual(sheet.data[0].slice(6), ['Feed Status']);
+  assert.equal(sheet.data[1][1], 'Critical');
+  assert.equal(spreadsheets[0].getSheetByName('TasCVE History'), null);
+});
+
+test('every export appends a RunLog row with counts, user and duration', () => {
+  const { gas, spreadsheets } = loadTasCVE([
+    row('36610', '2025-12-29', 'stale copy'),
+    row('older', '2025-11-01', 'outside window')
+  ], { user: 'analyst@example.com' });
+
+  gas.exportTasCVE({ startDate: '2025-12-15', endDate: '2025-12-31' });
+
+  const log = spreadsheets[0].getSheetByName('RunLog');
+  assert.deepEqual(log.data[0].slice(2, 10), ['Source', 'User', 'Window', 'Segment', 'Pages', 'Items Kept', 'Rows Deleted', 'Rows Written']);
+  const [started, finished, source, user, window, segment, pages, kept, deleted, written, secs, error] = log.data[1];
+  assert.ok(finished >= started);
+  assert.deepEqual([source, user, window, segment], ['manual', 'analyst@example.com', '2025-12-15 → 2025-12-31', 'VT']);
+  assert.deepEqual([pages, kept, deleted, written], [2, 5, 1, 5]);
+  assert.equal(typeof secs, 'number');
+  assert.equal(error, '');
+});
+
+test('failed exports are logged with the error and still throw', () => {
+  const { gas, spreadsheets } = loadTasCVE([], { routes: [() => ({ code: 403, body: 'Forbidden' })] });
+
+  assert.throws(() => gas.exportTasCVE({ daysBack: 7, source: 'daily trigger' }), /HTTP 403/);
+
+  const entry = spreadsheets[0].getSheetByName('RunLog').data[1];
+  assert.equal(entry[2], 'daily trigger');
+  assert.match(entry[11], /HTTP 403 from Broadcom endpoint/);
+});
+
+test('RR Date is Pub Date plus the SLA days for the rating', () => {
+  const { gas, sheet } = loadTasCVE();
+
+  gas.exportTasCVE({ startDate: '2025-12-15', endDate: '2025-12-31' });
+
+  const rr = new Map(sheet.data.slice(1).map(r => [r[0], r[5] && r[5].toISOString().substring(0, 10)]));
+  assert.equal(rr.get('VTDSA-2025-36622'), '2026-01-06'); // Critical, +7
+  assert.equal(rr.get('VTDSA-2025-36610'), '2026-01-28'); // High, +30
+  assert.equal(rr.get('VTDSA-2025-36598'), '2026-03-24'); // Medium, +90
+  assert.equal(rr.get('VTDSA-2025-36555'), '');           // Low: no SLA
+});
+
+test('upsert keeps hand-set RR Dates and follows severity changes of computed ones', () => {
+  const computed = row('36622', '2025-12-30');           // High → computed +30
+  computed[5] = day('2026-01-29');
+  const manual = row('36610', '2025-12-29');
+  manual[5] = day('2026-02-15');
+  const { gas, sheet } = loadTasCVE([computed, manual]);
+
+  gas.exportTasCVE({ startDate: '2025-12-29', endDate: '2025-12-31', mode: 'upsert' });
+
+  assert.equal(sheet.data[1][5].toISOString().substring(0, 10), '2026-01-06'); // now Critical, +7
+  assert.equal(sheet.data[2][5].toISOString().substring(0, 10), '2026-02-15');
+});
+
+test('upsert writes only the RR Date cells it changes and never replaces a formula', () => {
+  const { gas, sheet } = loadTasCVE([
+    row('36622', '2025-12-30'),   // =Pub Date + 30: matches the High SLA date, but is the user's formula
+    row('36610', '2025-12-29'),   // computed High date, still right
+    row('36598', '2025-12-24')    // blank, gets filled
+  ]);
+  sheet.getRange(2, 6).setFormula('=E2+30');
+  sheet.data[1][5] = day('2026-01-29');
+  sheet.data[2][5] = day('2026-01-28');
+  const rrWrites = [];
+  const getRange = sheet.getRange;
+  sheet.getRange = (r, c, nr, nc) => {
+    const rng = getRange(r, c, nr, nc);
+    if (c === 6) {
+      const setValues = rng.setValues;
+      rng.setValues = values => { rrWrites.push([r, nr || 1]); return setValues(values); };
+    }
+    return rng;
+  };
+
+  gas.exportTasCVE({ startDate: '2025-12-24', endDate: '2025-12-31', mode: 'upsert' });
+
+  assert.equal(sheet.formulas.get('2,6'), '=E2+30');
+  assert.equal(sheet.data[2][5].toISOString().substring(0, 10), '2026-01-28');
+  assert.equal(sheet.data[3][5].toISOString().substring(0, 10), '2026-03-24');
+  assert.deepEqual(rrWrites, [[4, 1]]);
+});
+
+test('SLA conditional formatting is replaced, not stacked, and honours a Done column', () => {
+  const { gas, sheet } = loadTasCVE([], {
+    spreadsheets: [{ id: 'sheet-1', tabs: { TasCVE: [HEADERS.concat(['Done'])] } }]
+  });
+  sheet.conditionalRules = [{ condition: { formula: '=$B2="Low"' }, getBooleanCondition: () => ({ getCriteriaValues: () => ['=$B2="Low"'] }) }];
+
+  gas.exportTasCVE({ startDate: '2025-12-29', endDate: '2025-12-31' });
+  gas.exportTasCVE({ startDate: '2025-12-29', endDate: '2025-12-31' });
+
+  const formulas = sheet.conditionalRules.map(r => r.condition.formula);
+  assert.equal(formulas.length, 3);
+  assert.equal(formulas[0], '=$B2="Low"');
+  assert.match(formulas[1], /\$F2<TODAY\(\), NOT\(OR\(\$G2=TRUE, REGEXMATCH/);
+  assert.match(formulas[2], /\$F2<=TODAY\(\)\+7/);
+});
+
+test('Overdue report lists overdue rows that are not done, most overdue first', () => {
+  const r = (id, rating, pub, rr, done) => [id, rating, '', `https://x/${id}`, day(pub), rr ? day(rr) : '', done || ''];
+  const { gas, spreadsheets } = loadTasCVE([], {
+    spreadsheets: [{ id: 'sheet-1', tabs: { TasCVE: [HEADERS.concat(['Done']),
+      r('late', 'High', '2025-01-01', '2025-01-31'),
+      r('later', 'Critical', '2024-12-01', ''),         // no RR Date → SLA target 2024-12-08
+      r('fixed', 'Critical', '2024-12-01', '2024-12-08', 'Fixed'),
+      r('future', 'Medium', '2025-01-01', '2999-01-01'),
+      r('low', 'Low', '2020-01-01', '')                  // no SLA → never overdue
+    ] } }]
+  });
+
+  assert.equal(gas.buildOverdueReport_(), 2);
+
+  const report = spreadsheets[0].getSheetByName('Overdue');
+  assert.deepEqual(report.data[0], ['CVE ID', 'RATING', 'Pub Date', 'RR Date', 'Days Overdue', 'COMMENTS', 'Link', 'Tab']);
+  assert.deepEqual(report.data.slice(1).map(x => x[0]), ['later', 'late']);
+  assert.ok(report.data[1][4] > report.data[2][4]);
+  assert.equal(report.formulas.get('2,1'), '=HYPERLINK("https://x/later", "later")');
+});
+
+test('parseSlaDays_ validates entries and TASCVE_SLA_DAYS overrides the defaults', () => {
+  const { gas } = loadTasCVE([], {
+    properties: { TASCVE_SPREADSHEET_ID: 'sheet-1', TASCVE_SLA_DAYS: 'critical=3, Important=14' }
+  });
+
+  const bad = gas.parseSlaDays_('High=30, Urgent=1, Medium');
+  assert.deepEqual(plain(bad.days), { High: 30 });
+  assert.equal(bad.errors.length, 2);
+
+  assert.equal(gas.slaDaysFor_('Critical'), 3);
+  assert.equal(gas.slaDaysFor_('High'), 14);
+  assert.equal(gas.slaDaysFor_('Medium'), null);
+});
+
+test('tasks are created once per new advisory at or above the threshold', () => {
+  const taskLists = { secops: { title: 'SecOps', tasks: [] } };
+  const { gas, evaluate, state, spreadsheets } = loadTasCVE([], {
+    taskLists,
+    properties: { TASCVE_SPREADSHEET_ID: 'sheet-1', TASCVE_PAGE_SIZE: '3', TASCVE_TASK_LIST_ID: 'secops' }
+  });
+  evaluate('TAS_CVE_CONFIG.TASKS.MIN_SEVERITY = "High"');
+
+  gas.exportTasCVE({ startDate: '2025-12-15', endDate: '2025-12-31', tasks: true });
+
+  const inserts = state.taskCalls.filter(c => c.method === 'insert');
+  assert.deepEqual(inserts.map(c => c.resource.title), [
+    'VTDSA-2025-36622: VMware Tanzu Platform for Cloud Foundry 10.2.5',
+    'VTDSA-2025-36610: Tanzu Hub 10.3.1',
+    'VTDSA-2025-36571: Spring Cloud Gateway for VMware Tanzu 2.3.2'
+  ]);
+  const first = inserts[0].resource;
+  assert.match(first.notes, /^https:\/\/support\.broadcom\.com\/.*36622\n\n#critical$/);
+  assert.equal(first.due, '2026-01-06T00:00:00.000Z');
+  assert.equal(inserts[0].listId, 'secops');
+
+  const registry = spreadsheets[0].getSheetByName('TasCVE Tasks');
+  assert.deepEqual(registry.data.slice(1).map(r => [r[0], r[2]]), [['VTDSA-2025-36622', 'secops'], ['VTDSA-2025-36610', 'secops'], ['VTDSA-2025-36571', 'secops']]);
+
+  // Rows deleted by hand come back as "new", but their ids already have tasks
+  const sheet = spreadsheets[0].getSheetByName('TasCVE');
+  sheet.deleteRows(2, sheet.getLastRow() - 1);
+  gas.exportTasCVE({ startDate: '2025-12-15', endDate: '2025-12-31', tasks: true });
+  assert.equal(state.taskCalls.filter(c => c.method === 'insert').length, 3);
+  assert.equal(taskLists.secops.tasks.length, 3);
+});
+
+test('with expandCves an advisory with several new CVEs still gets one task', () => {
+  const taskLists = { secops: { title: 'SecOps', tasks: [] } };
+  const notFound = (url, options) => (options.method === 'get' && /SecurityAdvisories/.test(url) ? { code: 404, body: 'Not found' } : undefined);
+  const { gas, evaluate, state, spreadsheets } = loadTasCVE([], {
+    taskLists,
+    routes: [broadcomPagesRoute(PAGES), notFound],
+    properties: { TASCVE_SPREADSHEET_ID: 'sheet-1', TASCVE_PAGE_SIZE: '3', TASCVE_TASK_LIST_ID: 'secops' }
+  });
+  evaluate('TAS_CVE_CONFIG.TASKS.MIN_SEVERITY = "Critical"');
+
+  // 36622 names CVE-2025-55182 and CVE-2025-55183
+  gas.exportTasCVE({ startDate: '2025-12-15', endDate: '2025-12-31', tasks: true, expandCves: true });
+
+  const inserts = state.taskCalls.filter(c => c.method === 'insert');
+  assert.deepEqual(inserts.map(c => c.resource.title), ['VTDSA-2025-36622: VMware Tanzu Platform for Cloud Foundry 10.2.5']);
+  assert.deepEqual(spreadsheets[0].getSheetByName('TasCVE Tasks').data.slice(1).map(r => r[0]), ['VTDSA-2025-36622']);
+});
+
+test('tasks are skipped without a configured list', () => {
+  const { gas, state, spreadsheets } = loadTasCVE([], { taskLists: {} });
+  gas.exportTasCVE({ startDate: '2025-12-15', endDate: '2025-12-31', tasks: true });
+  assert.equal(state.taskCalls.length, 0);
+  assert.equal(spreadsheets[0].getSheetByName('TasCVE Tasks'), null);
+});
+
+const VC_PAGE = {
+  success: true,
+  data: {
+    list: [{
+      notificationId: 501,
+      notificationUrl: 'https://support.broadcom.com/web/ecx/support-content-notification/-/external/content/SecurityAdvisories/0/501',
+      notificationCode: 'VCDSA-2025-501',
+      title: 'VMSA-2025-0020: VMware vCenter Server updates',
+      severity: 'Critical',
+      published: '22 December 2025',
+      status: 'OPEN'
+    }],
+    pageInfo: { currentPage: 0, pageSize: 3, nextPage: null, totalCount: 1 }
+  }
+};
+const SEGMENT_PAGES = { VT: PAGES, VC: [VC_PAGE] };
+
+test('a VC-only refresh tags its rows and leaves VT rows in the shared tab alone', () => {
+  const { gas, sheet } = loadTasCVE([row('VTDSA-2025-1', '2025-12-20', 'triage')], {
+    routes: [broadcomPagesRoute(SEGMENT_PAGES)]
+  });
+  const window = { startDate: '2025-12-15', endDate: '2025-12-31' };
+
+  gas.exportTasCVE(Object.assign({ segments: ['VC'] }, window));
+
+  const seg = sheet.data[0].indexOf('Segment');
+  assert.ok(seg > 0);
+  assert.deepEqual(plain(sheet.data.slice(1).map(r => [r[0], r[2], r[seg] || ''])), [
+    ['VTDSA-2025-1', 'triage', ''],
+    ['VCDSA-2025-501', 'VMSA-2025-0020: VMware vCenter Server updates', 'VC']
+  ]);
+
+  // the default (VT) refresh replaces blank-segment rows only
+  gas.exportTasCVE(window);
+  const ids = sheet.data.slice(1).map(r => r[0]);
+  assert.ok(ids.indexOf('VCDSA-2025-501') !== -1);
+  assert.equal(ids.indexOf('VTDSA-2025-1'), -1);
+  assert.equal(ids.filter(id => /^VTDSA/.test(id)).length, 5);
+});
+
+test('tabs routing tags rows too, so a segment tab shared with TasCVE keeps its VT rows', () => {
+  const { gas, sheet, spreadsheets, evaluate } = loadTasCVE([row('VTDSA-2025-1', '2025-12-20', 'triage')], {
+    routes: [broadcomPagesRoute(SEGMENT_PAGES)]
+  });
+  const window = { startDate: '2025-12-15', endDate: '2025-12-31', segmentRouting: 'tabs' };
+
+  gas.exportTasCVE(Object.assign({ segments: ['VC'] }, window));
+  const vcTab = spreadsheets[0].getSheetByName('TasCVE VC');
+  assert.deepEqual(plain(vcTab.data.slice(1).map(r => [r[0], r[vcTab.data[0].indexOf('Segment')]])), [['VCDSA-2025-501', 'VC']]);
+  assert.equal(sheet.data.length, 2);
+
+  evaluate('TAS_CVE_CONFIG.SEGMENT_TABS.VC = "TasCVE"');
+  gas.exportTasCVE(Object.assign({ segments: ['VC'] }, window));
+  assert.deepEqual(plain(sheet.data.slice(1).map(r => [r[0], r[2]])), [
+    ['VTDSA-2025-1', 'triage'],
+    ['VCDSA-2025-501', 'VMSA-2025-0020: VMware vCenter Server updates']
+  ]);
+});
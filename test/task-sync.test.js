@@ -0,0 +1,244 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./harness/load');
+
+const TASK_FILES = ['task-export.js'];
+
+function setup() {
+  const taskLists = {
+    L1: {
+      title: 'SecOps',
+      tasks: [
+        { id: 'a', title: 'Patch **TAS**', notes: 'see #critical', status: 'needsAction', due: '2026-01-06T00:00:00.000Z', position: '1', updated: '2026-01-01T10:00:00.000Z' },
+        { id: 'b', title: 'Rotate keys', notes: '', status: 'needsAction', position: '2', updated: '2026-01-01T10:00:00.000Z' },
+        { id: 'c', title: 'Review', notes: '', status: 'completed', completed: '2026-01-02T09:00:00.000Z', position: '3', updated: '2026-01-02T09:00:00.000Z' }
+      ]
+    }
+  };
+  const env = loadScripts(TASK_FILES, {
+    tz: 'America/New_York',
+    taskLists,
+    spreadsheets: [{ id: 'tasks', tabs: {} }],
+    properties: { TASKABANA_LIST_ID: 'L1' }
+  });
+  env.gas.exportTasksToTaskSync();
+  env.sheet = env.spreadsheets[0].getSheetByName('TaskSync');
+  env.col = name => env.sheet.data[0].indexOf(name);
+  env.rowOf = id => env.sheet.data.findIndex(r => r[env.col('Task ID')] === id);
+  return env;
+}
+
+test('export shows Tasks due dates as their calendar day in any time zone', () => {
+  const { sheet, col, rowOf } = setup();
+  const due = sheet.data[rowOf('a')][col('Due')];
+  assert.equal(due.getFullYear(), 2026);
+  assert.equal(due.getMonth(), 0);
+  assert.equal(due.getDate(), 6);
+});
+
+test('an untouched sheet pushes nothing', () => {
+  const { gas, sheet, state } = setup();
+  const res = gas.pushTaskSyncChanges_(sheet, 'L1');
+  assert.deepEqual(plain(res), { updated: 0, created: 0, conflicts: [], errors: [] });
+  assert.equal(state.taskCalls.filter(c => c.method !== 'list').length, 0);
+});
+
+test('edited Title, Notes, Status and Due are patched; new rows are inserted', () => {
+  const { gas, evaluate, sheet, state, taskLists, col, rowOf } = setup();
+  const a = sheet.data[rowOf('a')];
+  a[col('Title')] = 'Patch TAS 10.2.5';
+  a[col('Due')] = evaluate('new Date(2026, 0, 9)'); // a Date from the script's realm, as Sheets returns
+  const c = sheet.data[rowOf('c')];
+  c[col('Status')] = 'needsAction';
+  const row = new Array(sheet.data[0].length).fill('');
+  row[col('Title')] = 'New follow-up';
+  row[col('Notes')] = 'from the sheet';
+  row[col('Parent ID')] = 'a';
+  sheet.data.push(row);
+
+  const res = gas.pushTaskSyncChanges_(sheet, 'L1');
+
+  assert.deepEqual(plain(res.errors), []);
+  assert.equal(res.updated, 2);
+  assert.equal(res.created, 1);
+  const patches = state.taskCalls.filter(x => x.method === 'patch');
+  assert.deepEqual(plain(patches.map(p => [p.taskId, p.resource])), [
+    ['a', { title: 'Patch TAS 10.2.5', due: '2026-01-09T00:00:00.000Z' }],
+    ['c', { status: 'needsAction', completed: null }]
+  ]);
+  const insert = state.taskCalls.find(x => x.method === 'insert');
+  assert.deepEqual(plain(insert.opts), { parent: 'a' });
+  assert.equal(insert.resource.title, 'New follow-up');
+
+  // Task ID and Updated written back, so a second push is a no-op
+  const created = taskLists.L1.tasks.find(t => t.title === 'New follow-up');
+  assert.equal(sheet.data[sheet.data.length - 1][col('Task ID')], created.id);
+  assert.deepEqual(plain(gas.pushTaskSyncChanges_(sheet, 'L1')), { updated: 0, created: 0, conflicts: [], errors: [] });
+});
+
+test('pushed Notes keep their links and emphasis as Markdown', () => {
+  const { gas, sheet, state, taskLists, col, rowOf } = setup();
+  const md = '[VTDSA-2025-1](https://x/a) is **urgent**, see https://x/b\n- ~~old~~ *new* `fix`';
+  sheet.getRange(rowOf('b') + 1, col('Notes') + 1).setRichTextValue(gas.buildRichTextFromMarkdown_(md));
+  assert.equal(sheet.data[rowOf('b')][col('Notes')], 'VTDSA-2025-1 is urgent, see https://x/b\n• old new fix');
+
+  const res = gas.pushTaskSyncChanges_(sheet, 'L1');
+
+  assert.equal(res.updated, 1);
+  const patch = state.taskCalls.find(x => x.method === 'patch');
+  assert.deepEqual(plain(patch.resource), { notes: md.replace('- ', '• ') });
+
+  // exported back from Tasks, the same cell text comes out: nothing to push
+  const b = taskLists.L1.tasks.find(t => t.id === 'b');
+  assert.equal(gas.buildRichTextFromMarkdown_(b.notes).getText(), sheet.data[rowOf('b')][col('Notes')]);
+  assert.equal(gas.pushTaskSyncChanges_(sheet, 'L1').updated, 0);
+});
+
+test('rows changed in Google Tasks after export are conflicts, not overwritten', () => {
+  const { gas, sheet, state, taskLists, col, rowOf } = setup();
+  Object.assign(taskLists.L1.tasks.find(t => t.id === 'b'), { title: 'Rotate ALL keys', updated: '2026-01-03T08:00:00.000Z' });
+  sheet.data[rowOf('b')][col('Notes')] = 'my sheet edit';
+  taskLists.L1.tasks = taskLists.L1.tasks.filter(t => t.id !== 'c');
+  sheet.data[rowOf('c')][col('Title')] = 'Review again';
+
+  const res = gas.pushTaskSyncChanges_(sheet, 'L1');
+
+  assert.equal(res.updated, 0);
+  assert.deepEqual(plain(res.conflicts.map(x => x.row)), [rowOf('b') + 1, rowOf('c') + 1]);
+  assert.match(res.conflicts[0].reason, /changed in Google Tasks/);
+  assert.match(res.conflicts[1].reason, /no longer exists/);
+  assert.equal(state.taskCalls.filter(x => x.method === 'patch').length, 0);
+  assert.ok(sheet.calls.some(x => x.method === 'setNote' && /Not pushed/.test(x.args[0])));
+});
+
+test('bad Status or Due cells are reported per row', () => {
+  const { gas, sheet, col, rowOf } = setup();
+  sheet.data[rowOf('a')][col('Status')] = 'maybe';
+  sheet.data[rowOf('b')][col('Due')] = 'next week';
+
+  const res = gas.pushTaskSyncChanges_(sheet, 'L1');
+
+  assert.equal(res.errors.length, 2);
+  assert.match(res.errors[0].reason, /unknown status "maybe"/);
+  assert.match(res.errors[1].reason, /unreadable Due "next week"/);
+});
+
+function multiListEnv(properties) {
+  const taskLists = {
+    L1: { title: 'SecOps', tasks: [{ id: 'a', title: 'Patch', position: '1', updated: '2026-01-01T10:00:00.000Z' }] },
+    L2: { title: 'Platform: TAS', tasks: [{ id: 'x', title: 'Upgrade', position: '1', updated: '2026-01-01T10:00:00.000Z' }] }
+  };
+  return loadScripts(TASK_FILES, { taskLists, spreadsheets: [{ id: 'tasks', tabs: {} }], properties });
+}
+
+test('combined layout exports every chosen list into one tab with List Title', () => {
+  const { gas, spreadsheets, state } = multiListEnv({ TASKABANA_LIST_IDS: 'L1,L2' });
+  gas.exportTasksToTaskSync();
+
+  const data = spreadsheets[0].getSheetByName('TaskSync').data;
+  const col = name => data[0].indexOf(name);
+  assert.deepEqual(plain(data.slice(1).map(r => [r[col('Task ID')], r[col('List ID')], r[col('List Title')]])), [
+    ['a', 'L1', 'SecOps'],
+    ['x', 'L2', 'Platform: TAS']
+  ]);
+  assert.match(state.alerts[0], /Exported 2 row\(s\) from 2 list\(s\) to "TaskSync"/);
+});
+
+test('perList layout writes one tab per list and pushes each against its own list', () => {
+  const { gas, spreadsheets, state } = multiListEnv({ TASKABANA_LIST_IDS: 'L1,L2', TASKABANA_LAYOUT: 'perList' });
+  gas.exportTasksToTaskSync();
+
+  const ss = spreadsheets[0];
+  assert.ok(ss.getSheetByName('TaskSync - SecOps'));
+  const tas = ss.getSheetByName('TaskSync - Platform TAS');
+  assert.equal(tas.data.length, 2);
+
+  const row = new Array(tas.data[0].length).fill('');
+  row[tas.data[0].indexOf('Title')] = 'Follow-up';
+  tas.data.push(row);
+  gas.pushTaskSyncChanges();
+
+  const inserts = state.taskCalls.filter(c => c.method === 'insert');
+  assert.deepEqual(plain(inserts.map(c => c.listId)), ['L2']);
+});
+
+test('settings remember the picked lists and read the legacy single-list key', () => {
+  const legacy = multiListEnv({ TASKABANA_LIST_ID: 'L2' });
+  assert.deepEqual(plain(legacy.gas.getTaskSettings_().LIST_IDS), ['L2']);
+  assert.deepEqual(plain(legacy.gas.getTaskSettingsForm().configured), ['LIST_IDS']);
+
+  const msg = legacy.gas.saveTaskSettings({ LIST_IDS: ['L1', 'L2'], SHEET_NAME: 'Tasks', LAYOUT: 'perList' });
+  assert.match(msg, /"SecOps", "Platform: TAS" to one "Tasks - …" tab per list/);
+  assert.deepEqual(plain(legacy.gas.getTaskSettings_()), { LIST_IDS: ['L1', 'L2'], SHEET_NAME: 'Tasks', LAYOUT: 'perList' });
+  assert.equal(legacy.properties.TASKABANA_LIST_ID, undefined);
+
+  assert.throws(() => legacy.gas.saveTaskSettings({ LIST_IDS: [], SHEET_NAME: 'Tasks' }), /at least one task list/);
+  assert.throws(() => legacy.gas.saveTaskSettings({ LIST_IDS: ['nope'], SHEET_NAME: 'Tasks' }), /"nope" could not be found/);
+});
+
+test('the list picker sees task lists beyond the first 100', () => {
+  const taskLists = {};
+  for (let i = 0; i < 130; i++) taskLists[`L${i}`] = { title: `List ${i}`, tasks: [] };
+  const { gas } = loadScripts(TASK_FILES, { taskLists });
+  assert.equal(gas.getTaskSettingsForm().lists.length, 130);
+});
+
+test('incremental sync updates in place, inserts in tree order and marks deletions', () => {
+  const pos = n => String(n).padStart(20, '0');
+  const taskLists = {
+    L1: {
+      title: 'SecOps',
+      tasks: [
+        { id: 'a', title: 'Patch', status: 'needsAction', position: pos(1), updated: '2026-01-01T10:00:00.000Z' },
+        { id: 'b', title: 'Rotate', status: 'needsAction', position: pos(20), updated: '2026-01-01T10:00:00.000Z' }
+      ]
+    }
+  };
+  const { gas, spreadsheets, state } = loadScripts(TASK_FILES, {
+    taskLists, spreadsheets: [{ id: 'tasks', tabs: {} }], properties: { TASKABANA_LIST_IDS: 'L1' }
+  });
+  gas.exportTasksToTaskSync();
+  const sheet = spreadsheets[0].getSheetByName('TaskSync');
+  const helper = sheet.data[0].length + 1;
+  sheet.getRange(1, helper).setValue('Owner');
+  sheet.getRange(2, helper).setValue('alice');
+
+  const later = new Date(Date.now() + 60000).toISOString();
+  const tasks = taskLists.L1.tasks;
+  Object.assign(tasks[0], { title: 'Patch **TAS**', updated: later });
+  Object.assign(tasks[1], { deleted: true, updated: later });
+  tasks.push({ id: 'n', title: 'Notify', status: 'needsAction', position: pos(15), updated: later });
+  tasks.push({ id: 'c', title: 'Check', parent: 'a', status: 'needsAction', position: pos(1), updated: later });
+  tasks.push({ id: 'old', title: 'Untouched', status: 'needsAction', position: pos(30), updated: '2026-01-01T10:00:00.000Z' });
+
+  gas.syncTaskSyncChanges();
+
+  const col = name => sheet.data[0].indexOf(name);
+  assert.deepEqual(plain(sheet.data.slice(1).map(r => [r[col('Task ID')], r[col('Level')], r[col('Title')]])), [
+    ['a', 0, 'Patch TAS'],
+    ['c', 1, 'Check'],
+    ['n', 0, 'Notify'],
+    ['b', 0, 'Rotate']
+  ]);
+  assert.equal(sheet.data[1][helper - 1], 'alice');
+  assert.equal(typeof sheet.data[4][col('Deleted')].getTime, 'function');
+  assert.ok(sheet.calls.some(c => c.method === 'setFontLine' && c.args[0] === 'line-through'));
+
+  const listCall = state.taskCalls.filter(c => c.method === 'list').pop();
+  assert.equal(listCall.opts.showDeleted, true);
+  assert.ok(listCall.opts.updatedMin);
+  assert.match(state.alerts.pop(), /"TaskSync": 1 updated, 2 added, 1 marked deleted\./);
+
+  // The deleted row is not pushed back or reported as a conflict
+  assert.deepEqual(plain(gas.pushTaskSyncChanges_(sheet, 'L1')), { updated: 0, created: 0, conflicts: [], errors: [] });
+});
+
+test('incremental sync of a tab never exported falls back to a full export', () => {
+  const { gas, spreadsheets, state, properties } = multiListEnv({ TASKABANA_LIST_IDS: 'L1' });
+  gas.syncTaskSyncChanges();
+
+  assert.equal(spreadsheets[0].getSheetByName('TaskSync').data.length, 2);
+  assert.match(state.alerts[0], /full export of 1 row\(s\)/);
+  assert.ok(JSON.parse(properties.TASKABANA_LAST_SYNC)['TaskSync|L1']);
+});
@@ -0,0 +1,129 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadTasCVE, plain, HEADERS, PAGES } = require('./harness/load');
+const { broadcomPagesRoute } = require('./harness/gas-fakes');
+
+const DOC_FILES = ['broadcom-client.js', 'google_doc_cves.js'];
+
+const WATCHLIST = [
+  ['Entry', 'Type', 'Exclude'],
+  ['Tanzu Platform', 'product', ''],
+  ['GemFire', '', ''],
+  ['Tanzu', 'keyword', 'RabbitMQ, Hub'],
+  ['Spring Cloud Gateway', 'Exclude', '']
+];
+const WINDOW = { startDate: '2025-12-15', endDate: '2025-12-31' };
+
+const loadSheet = (extra, tabs) => loadTasCVE(Object.assign({ Watchlist: WATCHLIST }, tabs), extra);
+
+test('broadcomReadWatchlist_ reads entries and rejects unknown types', () => {
+  const { gas, spreadsheets } = loadSheet({}, { Typo: [['Product', 'Kind'], ['Hub', 'exclued']] });
+  const ss = spreadsheets[0];
+
+  assert.deepEqual(plain(gas.broadcomReadWatchlist_(ss, 'Watchlist')), [
+    { entry: 'Tanzu Platform', type: 'product', exclude: [] },
+    { entry: 'GemFire', type: 'keyword', exclude: [] },
+    { entry: 'Tanzu', type: 'keyword', exclude: ['RabbitMQ', 'Hub'] },
+    { entry: 'Spring Cloud Gateway', type: 'exclude', exclude: [] }
+  ]);
+  assert.equal(gas.broadcomReadWatchlist_(ss, 'Missing'), null);
+  assert.throws(() => gas.broadcomReadWatchlist_(ss, 'Typo'), /row 2: unknown Type "exclued"/);
+});
+
+test('broadcomWatchlistMatches_ matches whole phrases in the title and every product field', () => {
+  const { gas } = loadScripts(['broadcom-client.js']);
+  const entries = [
+    { entry: 'Hub', type: 'keyword', exclude: [] },
+    { entry: 'Tanzu GemFire', type: 'product', exclude: [] },
+    { entry: 'Greenplum', type: 'product', exclude: [] }
+  ];
+  const a = gas.normalizeAdvisory_({
+    notificationId: 1, published: '2025-12-01', title: 'GitHub Actions runner for Greenplum',
+    affectedProducts: [{ productName: 'VMware Tanzu GemFire' }, 'Tanzu-Hub']
+  });
+
+  // "Hub" is a word in "Tanzu-Hub" but not in "GitHub"; product entries ignore the title
+  // once the payload lists products
+  assert.deepEqual(plain(gas.broadcomWatchlistMatches_(a, entries)), ['Hub', 'Tanzu GemFire']);
+  assert.deepEqual(plain(gas.broadcomWatchlistMatches_(a, null)), []);
+});
+
+test('highlight mode tags every advisory and shades watched rows', () => {
+  const { gas, sheet } = loadSheet();
+
+  gas.exportTasCVE(WINDOW);
+
+  const col = sheet.data[0].indexOf('Watchlist');
+  assert.ok(col > 0);
+  assert.deepEqual(sheet.data.slice(1).map(r => [r[0].replace(/^.*"(.*)"\)$/, '$1'), r[col]]), [
+    ['VTDSA-2025-36622', 'Tanzu Platform, Tanzu'],
+    ['VTDSA-2025-36610', ''],
+    ['VTDSA-2025-36598', 'GemFire, Tanzu'],
+    ['VTDSA-2025-36571', ''],
+    ['VTDSA-2025-36555', '']
+  ]);
+
+  const letter = String.fromCharCode(65 + col);
+  const rules = sheet.conditionalRules.filter(r => /TasCVE Watchlist/.test(r.condition.formula));
+  assert.equal(rules.length, 1);
+  assert.match(rules[0].condition.formula, new RegExp(`LEN\\(\\$${letter}2\\)>0`));
+  // SLA rules come first, so overdue / due-soon colors win
+  assert.equal(sheet.conditionalRules[sheet.conditionalRules.length - 1], rules[0]);
+});
+
+test('only mode writes matching advisories and upsert leaves the others unmarked', () => {
+  const stored = ['VTDSA-2025-36610', 'High', 'mine', 'https://x', new Date('2025-12-29T12:00:00Z'), ''];
+  const { gas, sheet } = loadSheet({}, { TasCVE: [HEADERS, stored] });
+
+  gas.exportTasCVE(Object.assign({ watchlist: 'only', mode: 'upsert' }, WINDOW));
+
+  const ids = sheet.data.slice(1).map(r => String(r[0]).replace(/^.*"(.*)"\)$/, '$1'));
+  assert.deepEqual(ids, ['VTDSA-2025-36610', 'VTDSA-2025-36622', 'VTDSA-2025-36598']);
+  const status = sheet.data[0].indexOf('Feed Status');
+  assert.equal(sheet.data[1][status], '');
+});
+
+test('only mode without a Watchlist tab fails instead of writing nothing', () => {
+  const env = loadTasCVE({}, { properties: { TASCVE_SPREADSHEET_ID: 'sheet-1', TASCVE_WATCHLIST_MODE: 'only' } });
+
+  assert.throws(() => env.gas.exportTasCVE(WINDOW), /needs a "Watchlist" tab/);
+  assert.deepEqual(plain(env.spreadsheets[0].getSheetByName('TasCVE').data[0]), HEADERS);
+});
+
+test('the search term is sent as searchVal from options or Settings', () => {
+  const { gas, state } = loadSheet({
+    properties: { TASCVE_SPREADSHEET_ID: 'sheet-1', TASCVE_PAGE_SIZE: '3', TASCVE_SEARCH: 'GemFire' }
+  });
+
+  gas.exportTasCVE(WINDOW);
+  assert.equal(state.fetches[0].payload.searchVal, 'GemFire');
+
+  gas.exportTasCVE(Object.assign({ search: 'Hub' }, WINDOW));
+  assert.equal(state.fetches[state.fetches.length - 1].payload.searchVal, 'Hub');
+});
+
+test('Doc reports add a Watchlist column, shade matches and can keep matches only', () => {
+  const opts = {
+    routes: [broadcomPagesRoute(PAGES)],
+    spreadsheets: [{ id: 'watch', tabs: { Watchlist: WATCHLIST } }],
+    properties: { WATCHLIST_SPREADSHEET_ID: 'watch' }
+  };
+  const params = { fromDate: '2025-12-15', toDate: '2025-12-31', segment: 'VT', pageSize: 3, search: 'Tanzu' };
+
+  const highlighted = loadScripts(DOC_FILES, opts);
+  highlighted.gas.runFetchAndInsert(Object.assign({ watchlist: 'highlight' }, params));
+  const table = highlighted.doc.body.children.find(c => c.type === 'table');
+  assert.deepEqual(plain(table.rows[0]), ['Id', 'Release Date', 'Title', 'Level', 'Watchlist']);
+  assert.deepEqual(plain(table.rows.slice(1).map(r => r[4])), ['Tanzu Platform, Tanzu', '', 'GemFire, Tanzu', '', '']);
+  assert.equal(table.backgrounds['1,0'], '#d2e3fc');
+  assert.equal(table.backgrounds['2,0'], undefined);
+  assert.equal(highlighted.state.fetches[0].payload.searchVal, 'Tanzu');
+  assert.ok(highlighted.doc.body.children.some(c => /Search="Tanzu"/.test(c.text || '')));
+
+  const only = loadScripts(DOC_FILES, opts);
+  const res = only.gas.runFetchAndInsert(Object.assign({ watchlist: 'only' }, params));
+  assert.equal(res.count, 2);
+  const rows = only.doc.body.children.find(c => c.type === 'table').rows;
+  assert.deepEqual(plain(rows.slice(1).map(r => r[0])), ['VTDSA-2025-36622', 'VTDSA-2025-36598']);
+});